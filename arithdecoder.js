@@ -0,0 +1,472 @@
+/**
+ * Probability estimation state machine for the QM-coder (Table D.3). Each entry is
+ * [Qe, Next_Index_LPS, Next_Index_MPS, Switch_MPS].
+ * 
+ * Entry 113 isn't in the spec; it's a fixed (non-adapting) estimate of 0.5, which is
+ * used to decode sign bits + progressive refinement bits (F.1.4.4.1.3, G.1.3.3)
+ */
+const QE_TABLE = [
+    [0x5A1D,   1,   1, 1], [0x2586,  14,   2, 0], [0x1114,  16,   3, 0], [0x080B,  18,   4, 0],
+    [0x03D8,  20,   5, 0], [0x01DA,  23,   6, 0], [0x00E5,  25,   7, 0], [0x006F,  28,   8, 0],
+    [0x0036,  30,   9, 0], [0x001A,  33,  10, 0], [0x000D,  35,  11, 0], [0x0006,   9,  12, 0],
+    [0x0003,  10,  13, 0], [0x0001,  12,  13, 0], [0x5A7F,  15,  15, 1], [0x3F25,  36,  16, 0],
+    [0x2CF2,  38,  17, 0], [0x207C,  39,  18, 0], [0x17B9,  40,  19, 0], [0x1182,  42,  20, 0],
+    [0x0CEF,  43,  21, 0], [0x09A1,  45,  22, 0], [0x072F,  46,  23, 0], [0x055C,  48,  24, 0],
+    [0x0406,  49,  25, 0], [0x0303,  51,  26, 0], [0x0240,  52,  27, 0], [0x01B1,  54,  28, 0],
+    [0x0144,  56,  29, 0], [0x00F5,  57,  30, 0], [0x00B7,  59,  31, 0], [0x008A,  60,  32, 0],
+    [0x0068,  62,  33, 0], [0x004E,  63,  34, 0], [0x003B,  32,  35, 0], [0x002C,  33,   9, 0],
+    [0x5AE1,  37,  37, 1], [0x484C,  64,  38, 0], [0x3A0D,  65,  39, 0], [0x2EF1,  67,  40, 0],
+    [0x261F,  68,  41, 0], [0x1F33,  69,  42, 0], [0x19A8,  70,  43, 0], [0x1518,  72,  44, 0],
+    [0x1177,  73,  45, 0], [0x0E74,  74,  46, 0], [0x0BFB,  75,  47, 0], [0x09F8,  77,  48, 0],
+    [0x0861,  78,  49, 0], [0x0706,  79,  50, 0], [0x05CD,  48,  51, 0], [0x04DE,  50,  52, 0],
+    [0x040F,  50,  53, 0], [0x0363,  51,  54, 0], [0x02D4,  52,  55, 0], [0x025C,  53,  56, 0],
+    [0x01F8,  54,  57, 0], [0x01A4,  55,  58, 0], [0x0160,  56,  59, 0], [0x0125,  57,  60, 0],
+    [0x00F6,  58,  61, 0], [0x00CB,  59,  62, 0], [0x00AB,  61,  63, 0], [0x008F,  61,  32, 0],
+    [0x5B12,  65,  65, 1], [0x4D04,  80,  66, 0], [0x412C,  81,  67, 0], [0x37D8,  82,  68, 0],
+    [0x2FE8,  83,  69, 0], [0x293C,  84,  70, 0], [0x2379,  86,  71, 0], [0x1EDF,  87,  72, 0],
+    [0x1AA9,  87,  73, 0], [0x174E,  72,  74, 0], [0x1424,  72,  75, 0], [0x119C,  74,  76, 0],
+    [0x0F6B,  74,  77, 0], [0x0D51,  75,  78, 0], [0x0BB6,  77,  79, 0], [0x0A40,  77,  48, 0],
+    [0x5832,  80,  81, 1], [0x4D1C,  88,  82, 0], [0x438E,  89,  83, 0], [0x3BDD,  90,  84, 0],
+    [0x34EE,  91,  85, 0], [0x2EAE,  92,  86, 0], [0x299A,  93,  87, 0], [0x2516,  86,  71, 0],
+    [0x5570,  88,  89, 1], [0x4CA9,  95,  90, 0], [0x44D9,  96,  91, 0], [0x3E22,  97,  92, 0],
+    [0x3824,  99,  93, 0], [0x32B4,  99,  94, 0], [0x2E17,  93,  86, 0], [0x56A8,  95,  96, 1],
+    [0x4F46, 101,  97, 0], [0x47E5, 102,  98, 0], [0x41CF, 103,  99, 0], [0x3C3D, 104, 100, 0],
+    [0x375E,  99,  93, 0], [0x5231, 105, 102, 0], [0x4C0F, 106, 103, 0], [0x4639, 107, 104, 0],
+    [0x415E, 103,  99, 0], [0x5627, 105, 106, 1], [0x50E7, 108, 107, 0], [0x4B85, 109, 103, 0],
+    [0x5597, 110, 109, 0], [0x504F, 111, 107, 0], [0x5A10, 110, 111, 1], [0x5522, 112, 109, 0],
+    [0x59EB, 112, 111, 1],
+    [0x5A1D, 113, 113, 0],
+];
+
+/**
+ * Entropy decoder for arithmetic-coded scans (SOF9, SOF10). Implements the QM-coder
+ * from Annex D and the statistical model for DCT coefficients from F.1.4 and G.1.3.
+ * Has the same interface as HuffmanDecoder. Lossless (SOF11) isn't supported.
+ * 
+ * Statistics areas are kept as arrays of bytes, one byte per context: the high bit
+ * is the sense of the more probable symbol (MPS), the low 7 bits are the index into
+ * QE_TABLE.
+ */
+class ArithmeticDecoder {
+
+    /**
+     * Creates a new ArithmeticDecoder for the current scan
+     * 
+     * @param {*} img Struct with information about the image; used for the conditioning tables (DAC)
+     *                and to report corrupt data
+     */
+    constructor(img) {
+        this.img = img;         // For reporting corrupt data (see corruptData())
+        this.conditioning = img.arithmeticConditioning;
+        this.dcStats = [];      // Statistics areas for DC coding, indexed by table ID (F.1.4.4.1.4)
+        this.acStats = [];      // Statistics areas for AC coding, indexed by table ID (F.1.4.4.2.1)
+        for (let i = 0; i < 4; i++) {
+            this.dcStats[i] = new Uint8Array(64);
+            this.acStats[i] = new Uint8Array(256);
+        }
+        this.fixedBin = new Uint8Array(1);
+        this.dcContext = [];    // DC conditioning category of each component, indexed by component ID
+        this.reset();
+    }
+
+    /**
+     * Returns the default conditioning tables, which are in effect until a DAC segment
+     * replaces them (F.1.4.4.1.4, F.1.4.4.2.1). Indexed like the Huffman tables: [0] holds
+     * the DC conditioning values (U << 4 | L) for each table ID, [1] the AC values (Kx).
+     */
+    static defaultConditioning() {
+        return [ [0x10, 0x10, 0x10, 0x10], [5, 5, 5, 5] ];
+    }
+
+    /**
+     * Reset the decoder at the start of a scan or restart interval: all statistics go back
+     * to their initial state and the code register is refilled (F.1.4.4.1.4, F.2.4.3, G.1.3.1)
+     */
+    reset() {
+        for (let i = 0; i < 4; i++) {
+            this.dcStats[i].fill(0);
+            this.acStats[i].fill(0);
+        }
+        this.fixedBin[0] = 113;
+        this.dcContext = [];
+        this.c = 0;             // Code register
+        this.a = 0;             // Probability interval
+        this.ct = -16;          // Bit counter; forces two bytes into C before the first decision
+        this.markerFound = false;
+    }
+
+    /**
+     * Consume the rest of the entropy-coded data in the scan or restart interval. The encoder
+     * may have flushed bytes we didn't need, so skip ahead to the marker that ends the interval.
+     * 
+     * @param {DataViewReader} reader Data source
+     */
+    finishInterval(reader) {
+        while (!this.markerFound) {
+            this.readByte(reader);
+        }
+    }
+
+    /**
+     * Returns a copy of the state of the decoder: its registers and statistics areas
+     */
+    saveState() {
+        return {
+            dcStats: this.dcStats.map(stats => stats.slice()),
+            acStats: this.acStats.map(stats => stats.slice()),
+            fixedBin: this.fixedBin.slice(),
+            dcContext: this.dcContext.slice(),
+            c: this.c,
+            a: this.a,
+            ct: this.ct,
+            markerFound: this.markerFound,
+        };
+    }
+
+    /**
+     * Go back to a state returned by saveState()
+     * 
+     * @param {*} state
+     */
+    restoreState(state) {
+        for (let i = 0; i < 4; i++) {
+            this.dcStats[i].set(state.dcStats[i]);
+            this.acStats[i].set(state.acStats[i]);
+        }
+        this.fixedBin.set(state.fixedBin);
+        this.dcContext = state.dcContext.slice();
+        this.c = state.c;
+        this.a = state.a;
+        this.ct = state.ct;
+        this.markerFound = state.markerFound;
+    }
+
+    /**
+     * Read the next byte of entropy-coded data (D.2.6). Stuffed zero bytes are removed. When
+     * a marker is found the reader is left on the marker, and zeros are supplied from then on.
+     * Running out of data before a marker throws EndOfDataError, since the file has been cut short.
+     * 
+     * @param {DataViewReader} reader Data source
+     */
+    readByte(reader) {
+        if (this.markerFound) {
+            return 0;
+        }
+        let byte = reader.nextByte();
+        if (byte === 0xFF) {
+            let byte2 = reader.nextByte();
+            while (byte2 === 0xFF) {    // Fill bytes
+                byte2 = reader.nextByte();
+            }
+            if (byte2 === 0) {
+                return 0xFF;
+            }
+            // Back up so the marker can be read by whoever handles it
+            reader.skip(-2);
+            this.markerFound = true;
+            return 0;
+        }
+        return byte;
+    }
+
+    /**
+     * Decode a single binary decision using the given context (D.2)
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {Uint8Array} stats Statistics area
+     * @param {Number} index Index of the context in the statistics area
+     */
+    decodeBit(reader, stats, index) {
+        // Renormalize so the interval is at least 0.75 (D.2.6)
+        while (this.a < 0x8000) {
+            if (--this.ct < 0) {
+                this.c = (this.c << 8) | this.readByte(reader);
+                this.ct += 8;
+                if (this.ct < 0 && ++this.ct === 0) {
+                    // C has just been filled for the first time; A becomes 0x10000 below
+                    this.a = 0x8000;
+                }
+            }
+            this.a <<= 1;
+        }
+
+        let state = stats[index];
+        let mps = state >> 7;
+        let [qe, nextLPS, nextMPS, switchMPS] = QE_TABLE[state & 0x7F];
+        this.a -= qe;
+        let temp = this.a << this.ct;
+        if (this.c >= temp) {
+            // The LPS sub-interval, unless a conditional exchange applies (D.2.4)
+            this.c -= temp;
+            if (this.a < qe) {
+                this.a = qe;
+                stats[index] = (mps << 7) | nextMPS;
+                return mps;
+            }
+            this.a = qe;
+            stats[index] = ((mps ^ switchMPS) << 7) | nextLPS;
+            return mps ^ 1;
+        } else if (this.a < 0x8000) {
+            // The MPS sub-interval, unless a conditional exchange applies (D.2.4)
+            if (this.a < qe) {
+                stats[index] = ((mps ^ switchMPS) << 7) | nextLPS;
+                return mps ^ 1;
+            }
+            stats[index] = (mps << 7) | nextMPS;
+        }
+        return mps;
+    }
+
+    /**
+     * Decode the magnitude category + bit pattern of a non-zero AC coefficient.
+     * Returns |v| - 1 (F.1.4.4.2, Figures F.23 and F.24)
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {Uint8Array} stats Statistics area
+     * @param {Number} st Index of the context for the first magnitude category decision (X1)
+     * @param {Number} x2 Index of the context for X2. The other X contexts follow it, and the
+     *                    M contexts start 14 after the X contexts.
+     */
+    decodeMagnitude(reader, stats, st, x2) {
+        let m = this.decodeBit(reader, stats, st);
+        if (m != 0 && this.decodeBit(reader, stats, st)) {
+            m <<= 1;
+            st = x2;
+            while (this.decodeBit(reader, stats, st)) {
+                m <<= 1;
+                if (m === 0x8000) {
+                    corruptData(this.img, reader, "arithmetic-coded magnitude is too large");
+                    break;
+                }
+                st++;
+            }
+        }
+        return this.decodeBits(reader, stats, st + 14, m);
+    }
+
+    /**
+     * Decode the bits of a magnitude below its leading 1 (Figure F.24)
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {Uint8Array} stats Statistics area
+     * @param {Number} st Index of the context for the magnitude bits
+     * @param {Number} m Leading 1 of the magnitude
+     */
+    decodeBits(reader, stats, st, m) {
+        let v = m;
+        while (m >>= 1) {
+            if (this.decodeBit(reader, stats, st)) {
+                v |= m;
+            }
+        }
+        return v;
+    }
+
+    /**
+     * Decode the difference between the DC coefficient of a data unit and its prediction,
+     * and update the component's conditioning category. Returns the difference.
+     * 
+     * F.1.4.4.1, F.2.4.1
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} component Component the data unit belongs to
+     */
+    decodeDCDiff(reader, component) {
+        let id = component.componentID;
+        let stats = this.dcStats[component.dcTableID];
+        let s0 = this.dcContext[id] || 0;
+        if (!this.decodeBit(reader, stats, s0)) {
+            this.dcContext[id] = 0;
+            return 0;
+        }
+        let sign = this.decodeBit(reader, stats, s0 + 1);
+        let st = s0 + 2 + sign;     // SP or SN
+        let m = this.decodeBit(reader, stats, st);
+        if (m != 0) {
+            st = 20;                // X1 (Table F.4)
+            while (this.decodeBit(reader, stats, st)) {
+                m <<= 1;
+                if (m === 0x8000) {
+                    corruptData(this.img, reader, "arithmetic-coded DC difference is too large");
+                    break;
+                }
+                st++;
+            }
+        }
+
+        // Classify the difference for the next data unit of this component (F.1.4.4.1.2)
+        let cs = this.conditioning[0][component.dcTableID];
+        let lower = (1 << getLowNibble(cs)) >> 1;
+        let upper = (1 << getHighNibble(cs)) >> 1;
+        if (m < lower) {
+            this.dcContext[id] = 0;                 // Zero
+        } else if (m > upper) {
+            this.dcContext[id] = 12 + (sign * 4);   // Large positive/negative
+        } else {
+            this.dcContext[id] = 4 + (sign * 4);    // Small positive/negative
+        }
+
+        let v = this.decodeBits(reader, stats, st + 14, m) + 1;
+        return (sign ? -v : v);
+    }
+
+    /**
+     * Decode the AC coefficients k = start...end of a data unit into zigzagCoeff, scaled by
+     * the successive approximation bit position
+     * 
+     * F.1.4.4.2, F.2.4.2, G.1.3.2
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} component Component the data unit belongs to
+     * @param {*} zigzagCoeff Coefficients in zig-zag order
+     * @param {Number} offset Index of the data unit's first coefficient in zigzagCoeff
+     * @param {Number} start Index of the first coefficient to decode
+     * @param {Number} end Index of the last coefficient to decode
+     * @param {Number} al Successive approximation bit position low
+     */
+    decodeACBand(reader, component, zigzagCoeff, offset, start, end, al) {
+        let stats = this.acStats[component.acTableID];
+        let kx = this.conditioning[1][component.acTableID];
+        for (let k = start; k <= end; k++) {
+            let st = 3 * (k - 1);   // SE
+            if (this.decodeBit(reader, stats, st)) {
+                break;              // EOB
+            }
+            while (!this.decodeBit(reader, stats, st + 1)) {    // S0: zero coefficient
+                st += 3;
+                if (++k > end) {
+                    corruptData(this.img, reader, "arithmetic-coded AC coefficients run past the end of the band");
+                    return;
+                }
+            }
+            let sign = this.decodeBit(reader, this.fixedBin, 0);
+            let v = this.decodeMagnitude(reader, stats, st + 2, (k <= kx ? 189 : 217)) + 1;
+            zigzagCoeff[offset + k] = (sign ? -v : v) * (1 << al);
+        }
+    }
+
+    /**
+     * Decode the DC + AC coefficients of a data unit in a sequential scan
+     * 
+     * F.2.4.1, F.2.4.2
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Array} zigzagCoeff 64-element array of zeros where we store the coefficients
+     */
+    decodeBlock(reader, img, scan, component, zigzagCoeff) {
+        let id = component.componentID;
+        scan.dcpred[id] += this.decodeDCDiff(reader, component);
+        zigzagCoeff[0] = scan.dcpred[id];
+        this.decodeACBand(reader, component, zigzagCoeff, 0, 1, 63, 0);
+    }
+
+    /**
+     * Decode the DC coefficient of a data unit in the first DC scan of a progressive image
+     * 
+     * G.1.3.1
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Int32Array} coeffs Coefficient buffer of the component
+     * @param {Number} offset Index of the data unit's first coefficient in coeffs
+     */
+    decodeDCFirst(reader, img, scan, component, coeffs, offset) {
+        let id = component.componentID;
+        scan.dcpred[id] += this.decodeDCDiff(reader, component);
+        coeffs[offset] = scan.dcpred[id] * (1 << scan.al);
+    }
+
+    /**
+     * Decode one additional bit of the DC coefficient of a data unit in a progressive image
+     * 
+     * G.1.3.1
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Int32Array} coeffs Coefficient buffer of the component
+     * @param {Number} offset Index of the data unit's first coefficient in coeffs
+     */
+    decodeDCRefine(reader, img, scan, component, coeffs, offset) {
+        if (this.decodeBit(reader, this.fixedBin, 0)) {
+            coeffs[offset] |= (1 << scan.al);
+        }
+    }
+
+    /**
+     * Decode the band of AC coefficients (SS-SE) of a data unit in the first scan of that band
+     * in a progressive image
+     * 
+     * G.1.3.2
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Int32Array} coeffs Coefficient buffer of the component
+     * @param {Number} offset Index of the data unit's first coefficient in coeffs
+     */
+    decodeACFirst(reader, img, scan, component, coeffs, offset) {
+        this.decodeACBand(reader, component, coeffs, offset, scan.ss, scan.se, scan.al);
+    }
+
+    /**
+     * Decode one additional bit of each AC coefficient in the band (SS-SE) of a data unit in
+     * a progressive image. Coefficients that are already non-zero get a correction bit; the
+     * others may become +/-1 in the bit position being coded. The EOB decision is only coded
+     * past the last coefficient that was non-zero before this scan.
+     * 
+     * G.1.3.3
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Int32Array} coeffs Coefficient buffer of the component
+     * @param {Number} offset Index of the data unit's first coefficient in coeffs
+     */
+    decodeACRefine(reader, img, scan, component, coeffs, offset) {
+        let stats = this.acStats[component.acTableID];
+        const p1 = 1 << scan.al;     // 1 in the bit position being coded
+        const m1 = -1 << scan.al;    // -1 in the bit position being coded
+
+        // EOBx: index of the last coefficient that's non-zero from previous scans
+        let eobx = scan.se;
+        while (eobx > 0 && coeffs[offset + eobx] === 0) {
+            eobx--;
+        }
+
+        for (let k = scan.ss; k <= scan.se; k++) {
+            let st = 3 * (k - 1);
+            if (k > eobx && this.decodeBit(reader, stats, st)) {
+                break;      // EOB
+            }
+            for (;;) {
+                let coeff = coeffs[offset + k];
+                if (coeff != 0) {
+                    // Correction bit
+                    if (this.decodeBit(reader, stats, st + 2)) {
+                        coeffs[offset + k] = coeff + (coeff >= 0 ? p1 : m1);
+                    }
+                    break;
+                }
+                if (this.decodeBit(reader, stats, st + 1)) {
+                    // Newly non-zero coefficient
+                    coeffs[offset + k] = this.decodeBit(reader, this.fixedBin, 0) ? m1 : p1;
+                    break;
+                }
+                st += 3;
+                if (++k > scan.se) {
+                    corruptData(this.img, reader, "arithmetic-coded AC coefficients run past the end of the band");
+                    return;
+                }
+            }
+        }
+    }
+}
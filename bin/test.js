@@ -0,0 +1,195 @@
+/**
+ * Tests for the command-line interface (bin/jsjpeg). The decoder itself is tested by test.js in the
+ * browser; these need Node, so they're run separately:
+ * 
+ *     node bin/test.js
+ * 
+ * Test output goes to the console, and the exit status is non-zero if any of them failed.
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const cli = require("./jsjpeg");
+
+// 8x8 grayscale baseline image, every sample 128 (the same image as testDecode() in test.js)
+const GRAY_JPEG = Buffer.from([
+    0xFF, 0xD8, 0xFF, 0xDB, 0x00, 0x43, 0x00, 0x10, 0x0B, 0x0C, 0x0E, 0x0C, 0x0A, 0x10, 0x0E, 0x0D,
+    0x0E, 0x12, 0x11, 0x10, 0x13, 0x18, 0x28, 0x1A, 0x18, 0x16, 0x16, 0x18, 0x31, 0x23, 0x25, 0x1D,
+    0x28, 0x3A, 0x33, 0x3D, 0x3C, 0x39, 0x33, 0x38, 0x37, 0x40, 0x48, 0x5C, 0x4E, 0x40, 0x44, 0x57,
+    0x45, 0x37, 0x38, 0x50, 0x6D, 0x51, 0x57, 0x5F, 0x62, 0x67, 0x68, 0x67, 0x3E, 0x4D, 0x71, 0x79,
+    0x70, 0x64, 0x78, 0x5C, 0x65, 0x67, 0x63, 0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x08,
+    0x01, 0x01, 0x11, 0x00, 0xFF, 0xC4, 0x00, 0x14, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xC4, 0x00, 0x14, 0x10, 0x01,
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+    0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x3F, 0xFF, 0xD9,
+]);
+
+/**
+ * Compare test output with expected values, like compareOutput() in test.js, but comparing
+ * deeply (so Buffers + nested structs can be compared)
+ * 
+ * @param {String} testName
+ * @param {Array} expected
+ * @param {Array} output
+ */
+function compareOutput(testName, expected, output) {
+    let errCnt = 0;
+    for (let i = 0; i < expected.length; i++) {
+        try {
+            assert.deepStrictEqual(output[i], expected[i]);
+        } catch (e) {
+            errCnt++;
+            console.error("Error: " + testName + " output[" + i + "]: " + e.message);
+        }
+    }
+    if (errCnt > 0) {
+        process.exitCode = 1;
+    }
+    console.log(testName + " tests " + (errCnt === 0 ? "passed!" : " failed with " + errCnt + " failures"));
+}
+
+/**
+ * Returns the message of the error the function throws, prefixed with the error's class, or null
+ * if it doesn't throw
+ * 
+ * @param {Function} fn Function to call
+ */
+function thrown(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.constructor.name + ": " + e.message;
+    }
+    return null;
+}
+
+/**
+ * Run the command line with the given arguments, discarding the messages it prints.
+ * Returns the exit status.
+ * 
+ * @param {Array} argv Command-line arguments, not including node + the script
+ */
+function runQuietly(argv) {
+    let { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        return cli.main(argv);
+    } finally {
+        Object.assign(console, { log: log, error: error });
+    }
+}
+
+function testParseArgs() {
+    let expected = [
+        { command: "decode", files: ["in.jpg", "out.ppm"], format: null, options: { strict: true }, verbose: false },
+        {
+            command: "decode", files: ["in.jpg", "-"], format: "ycbcr", verbose: true,
+            options: { strict: false, idct: "chenwang", huffman: "tree", colorSpace: "CMYK", autoOrient: true },
+        },
+        { command: "help", files: [], format: null, options: { strict: true }, verbose: false },
+        "UsageError: --idct needs a value",
+        "UsageError: Unknown value for --huffman: fast (expected HuffArray, HuffTree)",
+        "UsageError: Unknown option: --bogus",
+    ];
+    let output = [
+        cli.parseArgs(["decode", "in.jpg", "out.ppm"]),
+        // Values can be given as the name of the implementation or as the decoder option's value
+        cli.parseArgs(["decode", "--lenient", "--idct", "idctChenWang", "--huffman", "tree", "--colorspace", "CMYK",
+            "--orient", "--format", "ycbcr", "-v", "in.jpg", "-"]),
+        cli.parseArgs(["--help"]),
+        thrown(() => cli.parseArgs(["decode", "--idct"])),
+        thrown(() => cli.parseArgs(["decode", "--huffman", "fast"])),
+        thrown(() => cli.parseArgs(["decode", "--bogus", "in.jpg", "out.ppm"])),
+    ];
+    compareOutput("parseArgs", expected, output);
+}
+
+function testWriters() {
+    // 2x1 RGB image; the second component is subsampled to 1x1
+    let rgb = {
+        width: 2,
+        height: 1,
+        precision: 8,
+        rgba: new Uint8ClampedArray([10, 20, 30, 255, 40, 50, 60, 255]),
+        components: [
+            { samples: [100, 200], scaledSamples: [100, 200] },
+            { samples: [128], scaledSamples: [128, 128] },
+        ],
+    };
+    // 2x1 grayscale image with 12-bit samples: PGM + YCbCr samples are 2 bytes, big-endian
+    let gray12 = {
+        width: 2,
+        height: 1,
+        precision: 12,
+        components: [{ samples: new Uint16Array([0x123, 0xFFF]), scaledSamples: new Uint16Array([0x123, 0xFFF]) }],
+    };
+    let expected = [
+        Buffer.concat([Buffer.from("P6\n2 1\n255\n"), Buffer.from([10, 20, 30, 40, 50, 60])]),
+        Buffer.concat([Buffer.from("P5\n2 1\n255\n"), Buffer.from([100, 200])]),
+        Buffer.from([100, 200, 128]),
+        Buffer.concat([Buffer.from("P5\n2 1\n4095\n"), Buffer.from([0x01, 0x23, 0x0F, 0xFF])]),
+        Buffer.from([0x01, 0x23, 0x0F, 0xFF]),
+        Buffer.from([0, 255]),
+    ];
+    let output = [
+        cli.toPPM(rgb),
+        cli.toPGM(rgb),
+        cli.toYCbCr(rgb),
+        cli.toPGM(gray12),
+        cli.toYCbCr(gray12),
+        cli.samplesToBuffer([0, 255], 8),
+    ];
+    compareOutput("PPM/PGM/YCbCr writers", expected, output);
+}
+
+function testDecodeFixture() {
+    // Decode with the options from the command line, as the decode command does
+    let args = cli.parseArgs(["decode", "--idct", "idctChenWang", "--huffman", "HuffTree", "in.jpg", "out.pgm"]);
+    let { JpegDecoder } = cli.loadDecoder(false);
+    let data = GRAY_JPEG.buffer.slice(GRAY_JPEG.byteOffset, GRAY_JPEG.byteOffset + GRAY_JPEG.length);
+    let output = new JpegDecoder(args.options).decode(data);
+
+    let expected = [
+        Buffer.concat([Buffer.from("P5\n8 8\n255\n"), Buffer.alloc(64, 128)]),
+        Buffer.alloc(64, 128),
+    ];
+    compareOutput("decode fixture", expected, [cli.toPGM(output), cli.toYCbCr(output)]);
+}
+
+function testExitCodes() {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsjpeg-"));
+    let file = name => path.join(dir, name);
+    fs.writeFileSync(file("gray.jpg"), GRAY_JPEG);
+    // Without its EOI marker: a problem for strict decoding, but the whole image is there
+    fs.writeFileSync(file("noeoi.jpg"), GRAY_JPEG.subarray(0, GRAY_JPEG.length - 2));
+    // Cut off before the frame header, so there's no image even for lenient decoding
+    fs.writeFileSync(file("noframe.jpg"), GRAY_JPEG.subarray(0, 40));
+
+    let expected = [0, true, 1, false, 0, 1, 1, 2, 2, 2, 2, 0];
+    let output;
+    try {
+        output = [
+            runQuietly(["decode", file("gray.jpg"), file("gray.pgm")]),
+            fs.readFileSync(file("gray.pgm")).equals(Buffer.concat([Buffer.from("P5\n8 8\n255\n"), Buffer.alloc(64, 128)])),
+            runQuietly(["decode", file("noeoi.jpg"), file("noeoi.ppm")]),
+            fs.existsSync(file("noeoi.ppm")),
+            runQuietly(["decode", "--lenient", file("noeoi.jpg"), file("noeoi.ppm")]),
+            runQuietly(["decode", "--lenient", file("noframe.jpg"), file("noframe.ppm")]),
+            runQuietly(["decode", file("missing.jpg"), file("missing.ppm")]),
+            runQuietly(["decode", file("gray.jpg")]),
+            runQuietly(["decode", file("gray.jpg"), file("gray.png")]),
+            runQuietly(["frobnicate"]),
+            runQuietly([]),
+            runQuietly(["--help"]),
+        ];
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+    compareOutput("exit codes", expected, output);
+}
+
+testParseArgs();
+testWriters();
+testDecodeFixture();
+testExitCodes();
@@ -0,0 +1,326 @@
+/**
+ * Draw the output of the decoder (see decode()) to the page
+ */
+
+/**
+ * WorkerDecoder that's decoding the current file, if any
+ */
+let currentDecoder = null;
+
+/**
+ * Entry point. Reads the specified file, decodes it with the options selected on the page
+ * and draws the result. The image is decoded in a worker, so the page keeps responding, unless
+ * workers can't be used (e.g. the page was loaded from file://).
+ * 
+ * @param {File} fileSpec
+ */
+function readFile(fileSpec) {
+    let reader = new FileReader();
+    reader.onload = function (evt) {
+        let result = evt.target.result;
+        // Draw the structure of the file first, in case it doesn't decode
+        drawStructure(inspectMarkers(result));
+        let options = readOptions();
+        cancelDecode();     // Stop decoding the last file
+        try {
+            // Progressive previews + frames of hierarchical images are drawn as they arrive
+            currentDecoder = new WorkerDecoder(Object.assign({}, options, { onProgress: drawProgress,
+                onOutput: (options.progressivePreview ? drawOutput : null) }));
+        } catch (e) {
+            console.warn("Warning: can't decode in a worker (" + e.message + "); decoding on the main thread");
+            options.onOutput = drawOutput;
+            decode(result, options);
+            return;
+        }
+        showProgress(true);
+        currentDecoder.decode(result).then(output => {
+            showProgress(false);
+            if (output) {
+                drawOutput(output);
+            }
+        }, error => {
+            if (!(error instanceof DecodeCancelledError)) {     // cancelDecode() has already tidied up
+                showProgress(false);
+                console.error("Error: " + error.message);
+            }
+        });
+    };
+    reader.onerror = function (evt) {
+        alert("error: " + evt);
+    }
+    reader.readAsArrayBuffer(fileSpec);
+}
+
+/**
+ * Cancel decoding the current file, if it's still being decoded
+ */
+function cancelDecode() {
+    if (currentDecoder !== null) {
+        currentDecoder.cancel();
+        currentDecoder = null;
+    }
+    showProgress(false);
+}
+
+/**
+ * Show or hide the progress bar + cancel button
+ * 
+ * @param {Boolean} show
+ */
+function showProgress(show) {
+    document.getElementById("decodeProgress").value = 0;
+    document.getElementById("decodeStatus").textContent = (show ? "Decoding..." : "");
+    document.getElementById("progressHolder").style.display = (show ? "" : "none");
+}
+
+/**
+ * Show how far decoding has got
+ * 
+ * @param {*} progress Progress of the decoder: see onProgress in DEFAULT_OPTIONS
+ */
+function drawProgress(progress) {
+    let bar = document.getElementById("decodeProgress");
+    let status = "Frame " + progress.frame;
+    if (progress.phase === "scan") {
+        status += ", scan " + progress.scan + ": row " + progress.row + (progress.rows !== null ? " of " + progress.rows : "");
+        bar.value = (progress.rows !== null ? progress.row / progress.rows : 0);
+    } else {
+        status += ": converting to RGB";
+        bar.value = 1;
+    }
+    document.getElementById("decodeStatus").textContent = status;
+}
+
+/**
+ * Returns the decoder options selected on the page
+ */
+function readOptions() {
+    return {
+        idct: document.querySelector('input[name="idctType"]:checked').value,
+        huffman: document.querySelector('input[name="huffmanType"]:checked').value,
+        colorConversion: document.querySelector('input[name="colorConvType"]:checked').value,
+        colorSpace: document.querySelector('input[name="colorSpace"]:checked').value,
+        progressivePreview: document.querySelector('input[name="progressivePreview"]').checked,
+        autoOrient: document.querySelector('input[name="autoOrient"]').checked,
+        convertToSRGB: document.querySelector('input[name="convertToSRGB"]').checked,
+    };
+}
+
+/**
+ * Draw the decoded image to the page, along with each of its components
+ * 
+ * @param {*} output Decoded image
+ */
+function drawOutput(output) {
+    // The page's canvases are numbered by position in the frame, not by component ID, as IDs can
+    // be anything (e.g. 'R', 'G' + 'B' in Adobe files)
+    output.components.forEach((component, i) => {
+        drawComponent(component, i, output.precision);
+        drawComponentFullSize(component, i, output);
+    });
+    drawImage(document.getElementById("outputCanvas"), output);
+    document.getElementById("outputhsize").textContent = output.width;
+    document.getElementById("outputvsize").textContent = output.height;
+
+    let holder = document.getElementById("hierarchicalFrames");
+    holder.textContent = "";
+    if (output.frames) {
+        for (let i = 0; i < output.frames.length; i++) {
+            drawHierarchicalFrame(holder, output.frames[i], i + 1);
+        }
+    }
+
+    holder = document.getElementById("thumbnails");
+    holder.textContent = "";
+    for (let thumbnail of output.thumbnails) {
+        drawThumbnail(holder, thumbnail);
+    }
+}
+
+/**
+ * Draw the RGBA pixels of a decoded image to a canvas
+ * 
+ * @param {*} canvas Canvas to draw to
+ * @param {*} output Decoded image
+ */
+function drawImage(canvas, output) {
+    canvas.setAttribute("width", output.width);
+    canvas.setAttribute("height", output.height);
+    let ctx = canvas.getContext("2d");
+    let imgData = ctx.createImageData(canvas.width, canvas.height);
+    imgData.data.set(output.rgba);
+    ctx.putImageData(imgData, 0, 0);
+}
+
+/**
+ * Draw the output of a frame of a hierarchical image to its own canvas, so each
+ * resolution can be seen
+ * 
+ * @param {*} holder Element to add the canvas to
+ * @param {*} frame Decoded frame
+ * @param {Number} frameNum Number of the frame, starting at 1
+ */
+function drawHierarchicalFrame(holder, frame, frameNum) {
+    let frameHolder = document.createElement("div");
+    frameHolder.className = "imgholder";
+    let caption = document.createElement("p");
+    caption.textContent = "Frame " + frameNum + ": " + frame.frameX + "x" + frame.frameY
+        + (frame.differential ? " (differential)" : "");
+    let canvas = document.createElement("canvas");
+    frameHolder.appendChild(caption);
+    frameHolder.appendChild(canvas);
+    holder.appendChild(frameHolder);
+    drawImage(canvas, frame);
+}
+
+/**
+ * Draw a thumbnail to its own canvas
+ * 
+ * @param {*} holder Element to add the canvas to
+ * @param {*} thumbnail Thumbnail of the decoded image
+ */
+function drawThumbnail(holder, thumbnail) {
+    let thumbHolder = document.createElement("div");
+    thumbHolder.className = "imgholder";
+    let caption = document.createElement("p");
+    caption.textContent = thumbnail.source + " thumbnail (" + thumbnail.format + "): "
+        + thumbnail.width + "x" + thumbnail.height;
+    let canvas = document.createElement("canvas");
+    thumbHolder.appendChild(caption);
+    thumbHolder.appendChild(canvas);
+    holder.appendChild(thumbHolder);
+    drawImage(canvas, thumbnail);
+}
+
+/**
+ * Draw the structure of the file as a tree: a line for each segment, which can be opened up to
+ * show what's in it. The same structure can be downloaded as JSON.
+ * 
+ * @param {*} structure Structure of the file, from inspectMarkers()
+ */
+function drawStructure(structure) {
+    let holder = document.getElementById("structure");
+    holder.textContent = "";
+    let caption = document.createElement("p");
+    caption.textContent = "File structure: " + structure.size + " bytes, " + structure.segments.length + " segments ";
+    let link = document.createElement("a");
+    link.textContent = "(JSON)";
+    link.download = "structure.json";
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(structure, null, 2)], { type: "application/json" }));
+    caption.appendChild(link);
+    holder.appendChild(caption);
+
+    let list = document.createElement("ul");
+    for (let segment of structure.segments) {
+        let label = segment.offset + ": ";
+        let details = {};
+        if (segment.type === "marker") {
+            label += segment.marker + " (0xFF" + segment.code.toString(16).toUpperCase() + ", " + segment.length + " bytes)";
+            details = Object.assign({ fillBytes: segment.fillBytes, truncated: segment.truncated }, segment.contents);
+        } else if (segment.type === "data") {
+            label += "Entropy-coded data (" + segment.length + " bytes)";
+            if (segment.restarts.length > 0) {
+                details.restarts = segment.restarts.map(restart => restart.offset + ": " + restart.marker);
+            }
+        } else {
+            label += "Junk (" + segment.length + " bytes)";
+        }
+        list.appendChild(structureItem(label, details));
+    }
+    holder.appendChild(list);
+
+    for (let error of structure.errors) {
+        let line = document.createElement("p");
+        line.textContent = "Problem: " + error;
+        holder.appendChild(line);
+    }
+}
+
+/**
+ * Returns a list item for the tree of the file's structure. Objects + lists of objects can be
+ * opened up to show what's in them; everything else is shown on one line.
+ * 
+ * @param {String} label
+ * @param {*} value
+ */
+function structureItem(label, value) {
+    let item = document.createElement("li");
+    let isObject = (value !== null && typeof value === "object");
+    if (!isObject || (Array.isArray(value) && value.every(val => typeof val !== "object"))) {
+        item.textContent = label + ": " + (isObject ? value.join(", ") : value);
+        return item;
+    }
+    let entries = Object.entries(value).filter(([, val]) => val !== undefined && val !== null);
+    if (entries.length === 0) {
+        item.textContent = label;
+        return item;
+    }
+    let details = document.createElement("details");
+    let summary = document.createElement("summary");
+    summary.textContent = label;
+    details.appendChild(summary);
+    let list = document.createElement("ul");
+    for (let [key, val] of entries) {
+        list.appendChild(structureItem(key, val));
+    }
+    details.appendChild(list);
+    item.appendChild(details);
+    return item;
+}
+
+/**
+ * Draw the component to the page, scaled up to the size of the image
+ * 
+ * @param {*} component Component of the decoded image
+ * @param {Number} index Index of the component in the frame
+ * @param {*} output Decoded image
+ */
+function drawComponentFullSize(component, index, output) {
+    let id = index + 1;
+    let canvas = document.getElementById("component" + id + "ScaledCanvas");
+    drawSamples(canvas, output.width, output.height, component.scaledSamples, output.precision);
+}
+
+/**
+ * Draw the component to the page at its native size
+ * 
+ * @param {*} component Component of the decoded image
+ * @param {Number} index Index of the component in the frame
+ * @param {Number} precision Sample precision in bits
+ */
+function drawComponent(component, index, precision) {
+    let id = index + 1;
+    let compHSizeStr = document.getElementById("component" + id + "hsize");
+    compHSizeStr.textContent = component.width;
+    let compVSizeStr = document.getElementById("component" + id + "vsize");
+    compVSizeStr.textContent = component.height;
+
+    let canvas = document.getElementById("component" + id + "Canvas");
+    drawSamples(canvas, component.width, component.height, component.samples, precision);
+}
+
+/**
+ * Draw a plane of samples to a canvas as a grayscale image
+ * 
+ * @param {*} canvas Canvas to draw to
+ * @param {Number} width Width of the plane
+ * @param {Number} height Height of the plane
+ * @param {*} samples Samples of the plane, one line after another
+ * @param {Number} precision Sample precision in bits
+ */
+function drawSamples(canvas, width, height, samples, precision) {
+    canvas.setAttribute("width", width);
+    canvas.setAttribute("height", height);
+    let ctx = canvas.getContext("2d");
+    let imgData = ctx.createImageData(canvas.width, canvas.height);
+    let data = imgData.data;
+    let pixel = [0, 0, 0, 255];   // 255 for alpha channel
+    for (let y = 0; y < height; y++) {
+        let srcLineStart = y * width;
+        for (let x = 0; x < width; x++) {
+            pixel[0] = pixel[1] = pixel[2] = sampleTo8Bit(samples[srcLineStart + x], precision);
+            setPixel(data, width, x, y, pixel);
+        }
+    }
+    ctx.putImageData(imgData, 0, 0);
+}
@@ -0,0 +1,561 @@
+/**
+ * Encode an RGBA image as a baseline (SOF0) JPEG/JFIF file. The output can be read back with
+ * decode(), which makes the encoder handy for tests as well as for seeing how images are
+ * coded from the other side.
+ * 
+ * The encoder mirrors the decoder: samples are converted to YCbCr, chroma is subsampled,
+ * and each 8x8 data unit goes through the forward DCT, quantization and Huffman coding
+ * with the example tables in Annex K of the JPEG spec.
+ */
+
+/**
+ * Example luminance quantization table for 50% quality (Table K.1), in natural (row-major) order
+ */
+const LUMINANCE_QUANT_TABLE = [
+    16, 11, 10, 16, 24, 40, 51, 61,
+    12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56,
+    14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77,
+    24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101,
+    72, 92, 95, 98, 112, 100, 103, 99
+];
+
+/**
+ * Example chrominance quantization table for 50% quality (Table K.2), in natural (row-major) order
+ */
+const CHROMINANCE_QUANT_TABLE = [
+    17, 18, 24, 47, 99, 99, 99, 99,
+    18, 21, 26, 66, 99, 99, 99, 99,
+    24, 26, 56, 99, 99, 99, 99, 99,
+    47, 66, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99
+];
+
+/**
+ * Example Huffman tables (K.3). BITS is 1-indexed like the decoder's (the # of codes of each
+ * length 1-16), followed by the values in order of increasing code length.
+ */
+const LUMINANCE_DC_HUFFMAN_TABLE = {
+    bits: [0, 0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+    values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+};
+const CHROMINANCE_DC_HUFFMAN_TABLE = {
+    bits: [0, 0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+    values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+};
+const LUMINANCE_AC_HUFFMAN_TABLE = {
+    bits: [0, 0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7D],
+    values: [
+        0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+        0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xA1, 0x08, 0x23, 0x42, 0xB1, 0xC1, 0x15, 0x52, 0xD1, 0xF0,
+        0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0A, 0x16, 0x17, 0x18, 0x19, 0x1A, 0x25, 0x26, 0x27, 0x28,
+        0x29, 0x2A, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+        0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+        0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+        0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5, 0xA6, 0xA7,
+        0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3, 0xC4, 0xC5,
+        0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA, 0xE1, 0xE2,
+        0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF1, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+        0xF9, 0xFA
+    ],
+};
+const CHROMINANCE_AC_HUFFMAN_TABLE = {
+    bits: [0, 0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    values: [
+        0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+        0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xA1, 0xB1, 0xC1, 0x09, 0x23, 0x33, 0x52, 0xF0,
+        0x15, 0x62, 0x72, 0xD1, 0x0A, 0x16, 0x24, 0x34, 0xE1, 0x25, 0xF1, 0x17, 0x18, 0x19, 0x1A, 0x26,
+        0x27, 0x28, 0x29, 0x2A, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+        0x49, 0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+        0x69, 0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+        0x88, 0x89, 0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5,
+        0xA6, 0xA7, 0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3,
+        0xC4, 0xC5, 0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA,
+        0xE2, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+        0xF9, 0xFA
+    ],
+};
+
+/**
+ * Sampling factors of the luminance component for each chroma subsampling mode. The chrominance
+ * components always have sampling factors of 1.
+ */
+const SUBSAMPLING_FACTORS = {
+    "4:4:4": [1, 1],
+    "4:2:2": [2, 1],
+    "4:2:0": [2, 2],
+};
+
+/**
+ * Default options for JpegEncoder:
+ *      quality             Quality (1-100), which scales the example quantization tables like
+ *                          the IJG encoder does. 50 uses the tables as-is
+ *      subsampling         Chroma subsampling: "4:4:4", "4:2:2" or "4:2:0"
+ *      restartInterval     # of MCUs in each restart interval, or 0 for no restart markers
+ */
+const DEFAULT_ENCODER_OPTIONS = {
+    quality: 75,
+    subsampling: "4:2:0",
+    restartInterval: 0,
+};
+
+/**
+ * Scale a quantization table for the given quality, the same way as the IJG encoder
+ * (jcparam.c). Returns the table in zig-zag order, like the decoder's quantization tables.
+ * 
+ * @param {Array} table Quantization table for 50% quality, in natural order
+ * @param {Number} quality Quality (1-100)
+ */
+function scaleQuantTable(table, quality) {
+    quality = Math.min(Math.max(Math.round(quality), 1), 100);
+    let scale = (quality < 50 ? Math.floor(5000 / quality) : 200 - (quality * 2));
+    let scaled = new Uint16Array(QUANT_TABLE_SIZE);
+    for (let i = 0; i < QUANT_TABLE_SIZE; i++) {
+        let val = Math.floor(((table[i] * scale) + 50) / 100);
+        scaled[ZIGZAG[i]] = Math.min(Math.max(val, 1), 255);    // Baseline tables are 8 bits
+    }
+    return scaled;
+}
+
+/**
+ * Build the lookup tables used to Huffman-encode values (EHUFCO + EHUFSI). The codes are
+ * generated by a HuffArray, the same way the decoder generates them.
+ * 
+ * C.2
+ * 
+ * @param {*} table Huffman table: BITS + values
+ */
+function buildHuffmanEncoder(table) {
+    let huffArray = new HuffArray();
+    huffArray.initDecoder(table.bits);
+    for (let i = 1; i <= NUM_HUFFMAN_LENGTHS; i++) {
+        for (let j = 0; j < table.bits[i]; j++) {
+            huffArray.insertCode(i, table.values[huffArray.huffval.length]);
+        }
+    }
+    // Order codes by value (Figure C.3)
+    let ehufco = new Array(256).fill(0);
+    let ehufsi = new Array(256).fill(0);
+    for (let k = 0; k < huffArray.huffval.length; k++) {
+        ehufco[huffArray.huffval[k]] = huffArray.huffcode[k];
+        ehufsi[huffArray.huffval[k]] = huffArray.huffsize[k];
+    }
+    return { bits: table.bits, values: table.values, ehufco: ehufco, ehufsi: ehufsi };
+}
+
+/**
+ * Returns the magnitude category (SSSS) of a DC difference or AC coefficient: the # of bits
+ * needed to represent its absolute value
+ * 
+ * F.1.2.1.1, F.1.2.2.1
+ * 
+ * @param {Number} val
+ */
+function magnitudeCategory(val) {
+    val = Math.abs(val);
+    let ssss = 0;
+    while (val > 0) {
+        ssss++;
+        val >>= 1;
+    }
+    return ssss;
+}
+
+/**
+ * Convert an RGB pixel to YCbCr using the equations in the JFIF spec. The inverse of YCbCrToRGB().
+ * Outputs are unrounded.
+ * 
+ * @param {Number} R
+ * @param {Number} G
+ * @param {Number} B
+ * @param {Array} out Array to store the Y, Cb, Cr values in
+ */
+function RGBToYCbCr(R, G, B, out) {
+    out[0] = (0.299 * R) + (0.587 * G) + (0.114 * B);
+    out[1] = (-0.1687 * R) - (0.3313 * G) + (0.5 * B) + 128;
+    out[2] = (0.5 * R) - (0.4187 * G) - (0.0813 * B) + 128;
+}
+
+/**
+ * Encodes RGBA images as baseline JPEG/JFIF files
+ */
+class JpegEncoder {
+
+    /**
+     * @param {*} options Encoder options, see DEFAULT_ENCODER_OPTIONS
+     */
+    constructor(options = {}) {
+        options = Object.assign({}, DEFAULT_ENCODER_OPTIONS, options);
+        this.quality = options.quality;
+        this.restartInterval = options.restartInterval;
+        this.samplingFactors = SUBSAMPLING_FACTORS[options.subsampling];
+        if (this.samplingFactors === undefined) {
+            console.log(`Warning: unknown subsampling ${options.subsampling}`);
+            this.samplingFactors = SUBSAMPLING_FACTORS[DEFAULT_ENCODER_OPTIONS.subsampling];
+        }
+
+        // Marker codes by name (Table B.1)
+        this.markers = new Map();
+        for (let [code, name] of createMarkerCodeTable()) {
+            this.markers.set(name, code);
+        }
+
+        // Table 0 is for luminance, table 1 for chrominance
+        this.quantTables = [
+            scaleQuantTable(LUMINANCE_QUANT_TABLE, this.quality),
+            scaleQuantTable(CHROMINANCE_QUANT_TABLE, this.quality),
+        ];
+        this.huffmanTables = [      // DC + AC
+            [buildHuffmanEncoder(LUMINANCE_DC_HUFFMAN_TABLE), buildHuffmanEncoder(CHROMINANCE_DC_HUFFMAN_TABLE)],
+            [buildHuffmanEncoder(LUMINANCE_AC_HUFFMAN_TABLE), buildHuffmanEncoder(CHROMINANCE_AC_HUFFMAN_TABLE)],
+        ];
+    }
+
+    /**
+     * Encode an image. Returns the JPEG file.
+     * 
+     * @param {*} image Image to encode: width, height + 8-bit RGBA pixels (rgba), 4 bytes per pixel.
+     *                  The output of decode() can be passed straight in
+     */
+    encode(image) {
+        let writer = new DataViewWriter();
+        let frame = this.createFrame(image);
+
+        this.writeMarker(writer, "SOI*");
+        this.writeJFIFSegment(writer);
+        this.writeQuantizationTables(writer);
+        this.writeFrameHeader(writer, frame);
+        this.writeHuffmanTables(writer);
+        if (this.restartInterval > 0) {
+            this.writeRestartInterval(writer);
+        }
+        this.writeScanHeader(writer, frame);
+        this.encodeScan(writer, frame);
+        this.writeMarker(writer, "EOI*");
+        return writer.toArrayBuffer();
+    }
+
+    /**
+     * Convert the image to YCbCr components, padded out to whole MCUs by replicating the last
+     * column + line, and subsample the chrominance components. Returns a struct describing the
+     * frame, like the decoder's.
+     * 
+     * A.1.1
+     * 
+     * @param {*} image Image to encode
+     */
+    createFrame(image) {
+        let [hmax, vmax] = this.samplingFactors;
+        let frame = {
+            frameX: image.width,
+            frameY: image.height,
+            hmax: hmax,
+            vmax: vmax,
+            hMCUs: Math.ceil(image.width / (DATA_UNIT_SIZE * hmax)),
+            vMCUS: Math.ceil(image.height / (DATA_UNIT_SIZE * vmax)),
+        };
+        frame.outputX = frame.hMCUs * hmax * DATA_UNIT_SIZE;
+        frame.outputY = frame.vMCUS * vmax * DATA_UNIT_SIZE;
+        frame.components = [
+            { componentID: 1, hSampleFactor: hmax, vSampleFactor: vmax, quantTableID: 0, tableID: 0 },
+            { componentID: 2, hSampleFactor: 1, vSampleFactor: 1, quantTableID: 1, tableID: 1 },
+            { componentID: 3, hSampleFactor: 1, vSampleFactor: 1, quantTableID: 1, tableID: 1 },
+        ];
+
+        // Full-size planes
+        let size = frame.outputX * frame.outputY;
+        let planes = [new Float32Array(size), new Float32Array(size), new Float32Array(size)];
+        let pixel = [0, 0, 0];
+        for (let y = 0; y < frame.outputY; y++) {
+            let srcY = Math.min(y, image.height - 1);
+            for (let x = 0; x < frame.outputX; x++) {
+                let src = ((srcY * image.width) + Math.min(x, image.width - 1)) * 4;
+                RGBToYCbCr(image.rgba[src], image.rgba[src + 1], image.rgba[src + 2], pixel);
+                let dest = (y * frame.outputX) + x;
+                planes[0][dest] = pixel[0];
+                planes[1][dest] = pixel[1];
+                planes[2][dest] = pixel[2];
+            }
+        }
+
+        // Subsample each component by averaging the samples it covers
+        for (let i = 0; i < frame.components.length; i++) {
+            let component = frame.components[i];
+            let hScale = hmax / component.hSampleFactor;
+            let vScale = vmax / component.vSampleFactor;
+            component.hSize = frame.outputX / hScale;
+            component.vSize = frame.outputY / vScale;
+            component.samples = new Float32Array(component.hSize * component.vSize);
+            for (let y = 0; y < component.vSize; y++) {
+                for (let x = 0; x < component.hSize; x++) {
+                    let sum = 0;
+                    for (let sy = 0; sy < vScale; sy++) {
+                        let lineStart = ((y * vScale) + sy) * frame.outputX;
+                        for (let sx = 0; sx < hScale; sx++) {
+                            sum += planes[i][lineStart + (x * hScale) + sx];
+                        }
+                    }
+                    component.samples[(y * component.hSize) + x] = sum / (hScale * vScale);
+                }
+            }
+        }
+        return frame;
+    }
+
+    /**
+     * Write a marker
+     * 
+     * @param {DataViewWriter} writer
+     * @param {String} marker Name of the marker, as in createMarkerCodeTable()
+     */
+    writeMarker(writer, marker) {
+        writer.writeByte(0xFF);
+        writer.writeByte(this.markers.get(marker));
+    }
+
+    /**
+     * Write the JFIF APP0 segment: version 1.01, 1:1 pixel aspect ratio and no thumbnail
+     * 
+     * @param {DataViewWriter} writer
+     */
+    writeJFIFSegment(writer) {
+        this.writeMarker(writer, "APP0");
+        writer.writeWord(16);
+        writer.writeBytes([0x4A, 0x46, 0x49, 0x46, 0x00]);  // "JFIF\0"
+        writer.writeBytes([1, 1]);      // Version
+        writer.writeByte(0);            // Density units: none (aspect ratio only)
+        writer.writeWord(1);            // X density
+        writer.writeWord(1);            // Y density
+        writer.writeBytes([0, 0]);      // Thumbnail width + height
+    }
+
+    /**
+     * Write the quantization tables (8-bit, in zig-zag order)
+     * 
+     * B.2.4.1
+     * 
+     * @param {DataViewWriter} writer
+     */
+    writeQuantizationTables(writer) {
+        this.writeMarker(writer, "DQT");
+        writer.writeWord(2 + (this.quantTables.length * (1 + QUANT_TABLE_SIZE)));
+        for (let i = 0; i < this.quantTables.length; i++) {
+            writer.writeByte(i);        // Precision 0 (8 bits), destination i
+            writer.writeBytes(this.quantTables[i]);
+        }
+    }
+
+    /**
+     * Write the frame header
+     * 
+     * B.2.2
+     * 
+     * @param {DataViewWriter} writer
+     * @param {*} frame Struct describing the frame
+     */
+    writeFrameHeader(writer, frame) {
+        this.writeMarker(writer, "SOF0");
+        writer.writeWord(8 + (3 * frame.components.length));
+        writer.writeByte(8);            // Sample precision
+        writer.writeWord(frame.frameY);
+        writer.writeWord(frame.frameX);
+        writer.writeByte(frame.components.length);
+        for (let component of frame.components) {
+            writer.writeByte(component.componentID);
+            writer.writeByte((component.hSampleFactor << 4) | component.vSampleFactor);
+            writer.writeByte(component.quantTableID);
+        }
+    }
+
+    /**
+     * Write the Huffman tables
+     * 
+     * B.2.4.2
+     * 
+     * @param {DataViewWriter} writer
+     */
+    writeHuffmanTables(writer) {
+        this.writeMarker(writer, "DHT");
+        let length = 2;
+        for (let tables of this.huffmanTables) {
+            for (let table of tables) {
+                length += 1 + NUM_HUFFMAN_LENGTHS + table.values.length;
+            }
+        }
+        writer.writeWord(length);
+        for (let tableClass = 0; tableClass < this.huffmanTables.length; tableClass++) {
+            for (let destID = 0; destID < this.huffmanTables[tableClass].length; destID++) {
+                let table = this.huffmanTables[tableClass][destID];
+                writer.writeByte((tableClass << 4) | destID);
+                writer.writeBytes(table.bits.slice(1));
+                writer.writeBytes(table.values);
+            }
+        }
+    }
+
+    /**
+     * Write the restart interval
+     * 
+     * B.2.4.4
+     * 
+     * @param {DataViewWriter} writer
+     */
+    writeRestartInterval(writer) {
+        this.writeMarker(writer, "DRI");
+        writer.writeWord(4);
+        writer.writeWord(this.restartInterval);
+    }
+
+    /**
+     * Write the scan header. All the components are in a single, interleaved scan.
+     * 
+     * B.2.3
+     * 
+     * @param {DataViewWriter} writer
+     * @param {*} frame Struct describing the frame
+     */
+    writeScanHeader(writer, frame) {
+        this.writeMarker(writer, "SOS");
+        writer.writeWord(6 + (2 * frame.components.length));
+        writer.writeByte(frame.components.length);
+        for (let component of frame.components) {
+            writer.writeByte(component.componentID);
+            writer.writeByte((component.tableID << 4) | component.tableID);     // DC + AC tables
+        }
+        writer.writeByte(0);            // Ss
+        writer.writeByte(63);           // Se
+        writer.writeByte(0);            // Ah + Al
+    }
+
+    /**
+     * Encode the data units of each MCU, in the order A.2.3 gives for interleaved scans. Each
+     * restart interval ends with a restart marker, numbered modulo 8 (B.2.1, F.1.2.3).
+     * 
+     * @param {DataViewWriter} writer
+     * @param {*} frame Struct describing the frame
+     */
+    encodeScan(writer, frame) {
+        let dcpred = [0, 0, 0];
+        let block = new Array(QUANT_TABLE_SIZE);
+        let mcuIndex = 0;
+        for (let v = 0; v < frame.vMCUS; v++) {
+            for (let h = 0; h < frame.hMCUs; h++, mcuIndex++) {
+                if (this.restartInterval > 0 && mcuIndex > 0 && (mcuIndex % this.restartInterval) === 0) {
+                    writer.align();
+                    this.writeMarker(writer, "RST" + (((mcuIndex / this.restartInterval) - 1) % 8));
+                    dcpred.fill(0);     // DC predictions start over (E.1.4)
+                }
+                for (let i = 0; i < frame.components.length; i++) {
+                    let component = frame.components[i];
+                    for (let y = 0; y < component.vSampleFactor; y++) {
+                        for (let x = 0; x < component.hSampleFactor; x++) {
+                            let blockY = ((v * component.vSampleFactor) + y) * DATA_UNIT_SIZE;
+                            let blockX = ((h * component.hSampleFactor) + x) * DATA_UNIT_SIZE;
+                            for (let row = 0; row < DATA_UNIT_SIZE; row++) {
+                                let lineStart = ((blockY + row) * component.hSize) + blockX;
+                                for (let col = 0; col < DATA_UNIT_SIZE; col++) {
+                                    // Level shift (A.3.1)
+                                    block[(row * DATA_UNIT_SIZE) + col] = component.samples[lineStart + col] - 128;
+                                }
+                            }
+                            dcpred[i] = this.encodeBlock(writer, block, component, dcpred[i]);
+                        }
+                    }
+                }
+            }
+        }
+        writer.align();
+    }
+
+    /**
+     * Transform, quantize and Huffman-encode a data unit. Returns the quantized DC
+     * coefficient, which is the prediction for the next data unit of the component.
+     * 
+     * F.1.2
+     * 
+     * @param {DataViewWriter} writer
+     * @param {Array} block 64 level-shifted samples
+     * @param {*} component Component the data unit belongs to
+     * @param {Number} dcpred Prediction for the DC coefficient
+     */
+    encodeBlock(writer, block, component, dcpred) {
+        // Forward DCT, then quantize into zig-zag order (A.3.3, A.3.4)
+        let coeffs = fdct(block);
+        let quantTable = this.quantTables[component.quantTableID];
+        let zz = new Array(QUANT_TABLE_SIZE);
+        for (let i = 0; i < QUANT_TABLE_SIZE; i++) {
+            zz[ZIGZAG[i]] = Math.round(coeffs[i] / quantTable[ZIGZAG[i]]);
+        }
+        let dcTable = this.huffmanTables[0][component.tableID];
+        let acTable = this.huffmanTables[1][component.tableID];
+
+        // DC difference (F.1.2.1)
+        let diff = zz[0] - dcpred;
+        let ssss = magnitudeCategory(diff);
+        this.writeHuffmanCode(writer, dcTable, ssss);
+        this.writeAmplitude(writer, diff, ssss);
+
+        // AC coefficients: runs of zeros + amplitudes (F.1.2.2)
+        let run = 0;
+        for (let k = 1; k < QUANT_TABLE_SIZE; k++) {
+            if (zz[k] === 0) {
+                run++;
+                continue;
+            }
+            while (run > 15) {
+                this.writeHuffmanCode(writer, acTable, 0xF0);   // ZRL
+                run -= 16;
+            }
+            ssss = magnitudeCategory(zz[k]);
+            this.writeHuffmanCode(writer, acTable, (run << 4) | ssss);
+            this.writeAmplitude(writer, zz[k], ssss);
+            run = 0;
+        }
+        if (run > 0) {
+            this.writeHuffmanCode(writer, acTable, 0x00);   // EOB
+        }
+        return zz[0];
+    }
+
+    /**
+     * Write the Huffman code for a value
+     * 
+     * @param {DataViewWriter} writer
+     * @param {*} table Huffman table, see buildHuffmanEncoder()
+     * @param {Number} value
+     */
+    writeHuffmanCode(writer, table, value) {
+        writer.writeBits(table.ehufco[value], table.ehufsi[value]);
+    }
+
+    /**
+     * Write the additional bits that give the amplitude + sign of a value: the low SSSS bits
+     * of the value if it's positive, or of the value - 1 if it's negative. The inverse of extend().
+     * 
+     * F.1.2.1.1
+     * 
+     * @param {DataViewWriter} writer
+     * @param {Number} val
+     * @param {Number} ssss Magnitude category of the value
+     */
+    writeAmplitude(writer, val, ssss) {
+        if (ssss > 0) {
+            writer.writeBits((val < 0 ? val - 1 : val) & ((1 << ssss) - 1), ssss);
+        }
+    }
+}
+
+/**
+ * Encode an image with a new JpegEncoder; see JpegEncoder.encode()
+ * 
+ * @param {*} image Image to encode: width, height + 8-bit RGBA pixels (rgba)
+ * @param {*} options Encoder options, see DEFAULT_ENCODER_OPTIONS
+ */
+function encode(image, options = {}) {
+    return new JpegEncoder(options).encode(image);
+}
@@ -0,0 +1,341 @@
+/**
+ * Parser for EXIF metadata, which is stored in an APP1 segment as a TIFF file (minus the image):
+ * a header giving the byte order, then a chain of Image File Directories (IFDs) of tags.
+ * IFD0 describes the main image and IFD1 the thumbnail; IFD0 points to the Exif IFD
+ * (camera settings) and the GPS IFD.
+ * 
+ * References: TIFF 6.0 (section 2), EXIF 2.32 (section 4.6)
+ */
+
+/**
+ * Size in bytes of each TIFF field type, indexed by type
+ */
+const TIFF_TYPE_SIZES = [
+    0,
+    1,  // 1: BYTE
+    1,  // 2: ASCII
+    2,  // 3: SHORT
+    4,  // 4: LONG
+    8,  // 5: RATIONAL
+    1,  // 6: SBYTE
+    1,  // 7: UNDEFINED
+    2,  // 8: SSHORT
+    4,  // 9: SLONG
+    8,  // 10: SRATIONAL
+    4,  // 11: FLOAT
+    8,  // 12: DOUBLE
+];
+
+/**
+ * Tags that point to other IFDs, and the names of those IFDs
+ */
+const EXIF_IFD_POINTERS = new Map([
+    [0x8769, "exif"],
+    [0x8825, "gps"],
+]);
+
+/**
+ * Names of the tags in IFD0 + IFD1 (TIFF 6.0, EXIF 2.32 4.6.4)
+ */
+const TIFF_TAGS = new Map([
+    [0x0100, "ImageWidth"],
+    [0x0101, "ImageLength"],
+    [0x0102, "BitsPerSample"],
+    [0x0103, "Compression"],
+    [0x0106, "PhotometricInterpretation"],
+    [0x010E, "ImageDescription"],
+    [0x010F, "Make"],
+    [0x0110, "Model"],
+    [0x0111, "StripOffsets"],
+    [0x0112, "Orientation"],
+    [0x0115, "SamplesPerPixel"],
+    [0x0116, "RowsPerStrip"],
+    [0x0117, "StripByteCounts"],
+    [0x011A, "XResolution"],
+    [0x011B, "YResolution"],
+    [0x011C, "PlanarConfiguration"],
+    [0x0128, "ResolutionUnit"],
+    [0x012D, "TransferFunction"],
+    [0x0131, "Software"],
+    [0x0132, "DateTime"],
+    [0x013B, "Artist"],
+    [0x013E, "WhitePoint"],
+    [0x013F, "PrimaryChromaticities"],
+    [0x0201, "JPEGInterchangeFormat"],
+    [0x0202, "JPEGInterchangeFormatLength"],
+    [0x0211, "YCbCrCoefficients"],
+    [0x0212, "YCbCrSubSampling"],
+    [0x0213, "YCbCrPositioning"],
+    [0x0214, "ReferenceBlackWhite"],
+    [0x8298, "Copyright"],
+]);
+
+/**
+ * Names of the tags in the Exif IFD (EXIF 2.32 4.6.5)
+ */
+const EXIF_TAGS = new Map([
+    [0x829A, "ExposureTime"],
+    [0x829D, "FNumber"],
+    [0x8822, "ExposureProgram"],
+    [0x8824, "SpectralSensitivity"],
+    [0x8827, "PhotographicSensitivity"],
+    [0x8828, "OECF"],
+    [0x8830, "SensitivityType"],
+    [0x9000, "ExifVersion"],
+    [0x9003, "DateTimeOriginal"],
+    [0x9004, "DateTimeDigitized"],
+    [0x9010, "OffsetTime"],
+    [0x9011, "OffsetTimeOriginal"],
+    [0x9012, "OffsetTimeDigitized"],
+    [0x9101, "ComponentsConfiguration"],
+    [0x9102, "CompressedBitsPerPixel"],
+    [0x9201, "ShutterSpeedValue"],
+    [0x9202, "ApertureValue"],
+    [0x9203, "BrightnessValue"],
+    [0x9204, "ExposureBiasValue"],
+    [0x9205, "MaxApertureValue"],
+    [0x9206, "SubjectDistance"],
+    [0x9207, "MeteringMode"],
+    [0x9208, "LightSource"],
+    [0x9209, "Flash"],
+    [0x920A, "FocalLength"],
+    [0x9214, "SubjectArea"],
+    [0x927C, "MakerNote"],
+    [0x9286, "UserComment"],
+    [0x9290, "SubSecTime"],
+    [0x9291, "SubSecTimeOriginal"],
+    [0x9292, "SubSecTimeDigitized"],
+    [0xA000, "FlashpixVersion"],
+    [0xA001, "ColorSpace"],
+    [0xA002, "PixelXDimension"],
+    [0xA003, "PixelYDimension"],
+    [0xA004, "RelatedSoundFile"],
+    [0xA005, "InteroperabilityIFDPointer"],
+    [0xA20B, "FlashEnergy"],
+    [0xA20E, "FocalPlaneXResolution"],
+    [0xA20F, "FocalPlaneYResolution"],
+    [0xA210, "FocalPlaneResolutionUnit"],
+    [0xA214, "SubjectLocation"],
+    [0xA215, "ExposureIndex"],
+    [0xA217, "SensingMethod"],
+    [0xA300, "FileSource"],
+    [0xA301, "SceneType"],
+    [0xA302, "CFAPattern"],
+    [0xA401, "CustomRendered"],
+    [0xA402, "ExposureMode"],
+    [0xA403, "WhiteBalance"],
+    [0xA404, "DigitalZoomRatio"],
+    [0xA405, "FocalLengthIn35mmFilm"],
+    [0xA406, "SceneCaptureType"],
+    [0xA407, "GainControl"],
+    [0xA408, "Contrast"],
+    [0xA409, "Saturation"],
+    [0xA40A, "Sharpness"],
+    [0xA40C, "SubjectDistanceRange"],
+    [0xA420, "ImageUniqueID"],
+    [0xA430, "CameraOwnerName"],
+    [0xA431, "BodySerialNumber"],
+    [0xA432, "LensSpecification"],
+    [0xA433, "LensMake"],
+    [0xA434, "LensModel"],
+    [0xA435, "LensSerialNumber"],
+]);
+
+/**
+ * Names of the tags in the GPS IFD (EXIF 2.32 4.6.6)
+ */
+const GPS_TAGS = new Map([
+    [0x00, "GPSVersionID"],
+    [0x01, "GPSLatitudeRef"],
+    [0x02, "GPSLatitude"],
+    [0x03, "GPSLongitudeRef"],
+    [0x04, "GPSLongitude"],
+    [0x05, "GPSAltitudeRef"],
+    [0x06, "GPSAltitude"],
+    [0x07, "GPSTimeStamp"],
+    [0x08, "GPSSatellites"],
+    [0x09, "GPSStatus"],
+    [0x0A, "GPSMeasureMode"],
+    [0x0B, "GPSDOP"],
+    [0x0C, "GPSSpeedRef"],
+    [0x0D, "GPSSpeed"],
+    [0x0E, "GPSTrackRef"],
+    [0x0F, "GPSTrack"],
+    [0x10, "GPSImgDirectionRef"],
+    [0x11, "GPSImgDirection"],
+    [0x12, "GPSMapDatum"],
+    [0x13, "GPSDestLatitudeRef"],
+    [0x14, "GPSDestLatitude"],
+    [0x15, "GPSDestLongitudeRef"],
+    [0x16, "GPSDestLongitude"],
+    [0x17, "GPSDestBearingRef"],
+    [0x18, "GPSDestBearing"],
+    [0x19, "GPSDestDistanceRef"],
+    [0x1A, "GPSDestDistance"],
+    [0x1B, "GPSProcessingMethod"],
+    [0x1C, "GPSAreaInformation"],
+    [0x1D, "GPSDateStamp"],
+    [0x1E, "GPSDifferential"],
+    [0x1F, "GPSHPositioningError"],
+]);
+
+/**
+ * Parse EXIF metadata. Returns null if it isn't valid, otherwise:
+ *      byteOrder           "big-endian" (MM) or "little-endian" (II)
+ *      ifd0                Tags of the main image
+ *      exif                Tags of the Exif IFD
+ *      gps                 Tags of the GPS IFD
+ *      ifd1                Tags of the thumbnail
+ * Each IFD maps tag names to values; tags we don't know are named by their ID, e.g. "0x9C9B".
+ * Values are typed: ASCII is a String, UNDEFINED is a Uint8Array, RATIONAL + SRATIONAL are
+ * { numerator, denominator }, and the other types are Numbers. Tags with more than one value
+ * (other than ASCII + UNDEFINED) are arrays.
+ * 
+ * @param {DataView} view The TIFF data: everything after the "Exif\0\0" header of the APP1 segment
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function parseExif(view, report) {
+    if (view.byteLength < 8) {
+        report("EXIF data is too short (" + view.byteLength + " bytes)");
+        return null;
+    }
+    // TIFF header: byte order, 42, offset of IFD0 (TIFF 6.0 section 2)
+    let byteOrder = view.getUint16(0);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+        report("unknown EXIF byte order 0x" + byteOrder.toString(16));
+        return null;
+    }
+    let littleEndian = (byteOrder === 0x4949);     // "II" (Intel) or "MM" (Motorola)
+    if (view.getUint16(2, littleEndian) !== 42) {
+        report("EXIF data doesn't have a valid TIFF header");
+        return null;
+    }
+
+    let exif = { byteOrder: (littleEndian ? "little-endian" : "big-endian"), ifd0: {}, exif: {}, gps: {}, ifd1: {} };
+    let visited = new Set();    // Offsets of the IFDs we've read, so a bad file can't send us in circles
+    let ifd0 = parseIFD(view, littleEndian, view.getUint32(4, littleEndian), TIFF_TAGS, visited, report);
+    if (ifd0 === null) {
+        return exif;
+    }
+    exif.ifd0 = ifd0.tags;
+    for (let [name, offset] of ifd0.pointers) {
+        let ifd = parseIFD(view, littleEndian, offset, (name === "gps" ? GPS_TAGS : EXIF_TAGS), visited, report);
+        if (ifd !== null) {
+            exif[name] = ifd.tags;
+        }
+    }
+    if (ifd0.next !== 0) {
+        let ifd1 = parseIFD(view, littleEndian, ifd0.next, TIFF_TAGS, visited, report);
+        if (ifd1 !== null) {
+            exif.ifd1 = ifd1.tags;
+        }
+    }
+    return exif;
+}
+
+/**
+ * Parse an Image File Directory. Returns null if the IFD isn't valid, otherwise the IFD's tags,
+ * the other IFDs it points to (a Map of IFD name to offset), and the offset of the next IFD (0 if none).
+ * 
+ * TIFF 6.0 section 2
+ * 
+ * @param {DataView} view TIFF data
+ * @param {Boolean} littleEndian Byte order of the TIFF data
+ * @param {Number} offset Offset of the IFD from the start of the TIFF data
+ * @param {Map} tagNames Names of the tags that can be in this IFD
+ * @param {Set} visited Offsets of the IFDs we've already read
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function parseIFD(view, littleEndian, offset, tagNames, visited, report) {
+    if (visited.has(offset) || offset + 2 > view.byteLength) {
+        report("invalid EXIF IFD offset " + offset);
+        return null;
+    }
+    visited.add(offset);
+
+    let ifd = { tags: {}, pointers: new Map(), next: 0 };
+    let numEntries = view.getUint16(offset, littleEndian);
+    if (offset + 2 + (numEntries * 12) > view.byteLength) {
+        report("EXIF IFD at " + offset + " extends past the end of the data");
+        numEntries = Math.floor((view.byteLength - offset - 2) / 12);
+    }
+    for (let i = 0; i < numEntries; i++) {
+        // Each entry is tag, type, count, then the value (if it fits in 4 bytes) or its offset
+        let entry = offset + 2 + (i * 12);
+        let tag = view.getUint16(entry, littleEndian);
+        let type = view.getUint16(entry + 2, littleEndian);
+        let count = view.getUint32(entry + 4, littleEndian);
+        if (EXIF_IFD_POINTERS.has(tag) && tagNames === TIFF_TAGS) {
+            ifd.pointers.set(EXIF_IFD_POINTERS.get(tag), view.getUint32(entry + 8, littleEndian));
+            continue;
+        }
+        let value = readTagValue(view, littleEndian, entry + 8, type, count, report);
+        if (value === undefined) {
+            continue;
+        }
+        let name = tagNames.get(tag) || ("0x" + tag.toString(16).toUpperCase().padStart(4, "0"));
+        ifd.tags[name] = value;
+    }
+    let nextOffset = offset + 2 + (numEntries * 12);
+    if (nextOffset + 4 <= view.byteLength) {
+        ifd.next = view.getUint32(nextOffset, littleEndian);
+    }
+    return ifd;
+}
+
+/**
+ * Read the value(s) of a tag. Returns undefined if the tag's type is unknown or its value
+ * is outside the TIFF data.
+ * 
+ * @param {DataView} view TIFF data
+ * @param {Boolean} littleEndian Byte order of the TIFF data
+ * @param {Number} valueOffset Offset of the entry's value/offset field
+ * @param {Number} type Field type (1-12)
+ * @param {Number} count # of values
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function readTagValue(view, littleEndian, valueOffset, type, count, report) {
+    let size = TIFF_TYPE_SIZES[type];
+    if (size === undefined || size === 0) {
+        report("unknown EXIF field type " + type);
+        return undefined;
+    }
+    // Values that fit in 4 bytes are stored in the entry itself
+    let start = (size * count <= 4 ? valueOffset : view.getUint32(valueOffset, littleEndian));
+    if (start + (size * count) > view.byteLength) {
+        report("EXIF value at " + start + " extends past the end of the data");
+        return undefined;
+    }
+
+    if (type === 2) {
+        // ASCII: NUL-terminated
+        let str = "";
+        for (let i = 0; i < count; i++) {
+            str += String.fromCharCode(view.getUint8(start + i));
+        }
+        return str.replace(/\0+$/, "");
+    } else if (type === 7) {
+        // UNDEFINED: raw bytes, interpreted according to the tag
+        return new Uint8Array(view.buffer.slice(view.byteOffset + start, view.byteOffset + start + count));
+    }
+    let values = [];
+    for (let i = 0, pos = start; i < count; i++, pos += size) {
+        switch (type) {
+            case 1:     values.push(view.getUint8(pos));                        break;
+            case 3:     values.push(view.getUint16(pos, littleEndian));         break;
+            case 4:     values.push(view.getUint32(pos, littleEndian));         break;
+            case 6:     values.push(view.getInt8(pos));                         break;
+            case 8:     values.push(view.getInt16(pos, littleEndian));          break;
+            case 9:     values.push(view.getInt32(pos, littleEndian));          break;
+            case 11:    values.push(view.getFloat32(pos, littleEndian));        break;
+            case 12:    values.push(view.getFloat64(pos, littleEndian));        break;
+            case 5:
+                values.push({ numerator: view.getUint32(pos, littleEndian), denominator: view.getUint32(pos + 4, littleEndian) });
+                break;
+            case 10:
+                values.push({ numerator: view.getInt32(pos, littleEndian), denominator: view.getInt32(pos + 4, littleEndian) });
+                break;
+        }
+    }
+    return (count === 1 ? values[0] : values);
+}
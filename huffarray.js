@@ -94,11 +94,11 @@ class HuffArray {
 
         i = 1;
         // let bitString = "";
-        let code = reader.nextBit(img);
+        let code = reader.nextBit();
         // bitString += code;
         while (code > maxcode[i]) {
             i++;
-            let tmp = reader.nextBit(img);
+            let tmp = reader.nextBit();
             // bitString += tmp;
             code = (code << 1) + tmp;
         }
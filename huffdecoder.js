@@ -0,0 +1,339 @@
+/**
+ * Entropy decoder for Huffman-coded scans. Decodes coefficients (or lossless differences)
+ * from the bit stream; the Huffman codes themselves are looked up by the HuffArray or
+ * HuffTree tables defined for the image.
+ * 
+ * Entropy decoders share an interface so the rest of the decoder doesn't care which
+ * entropy coding a scan uses (see ArithmeticDecoder):
+ *      reset()             Prepare for a new scan or restart interval
+ *      finishInterval()    Consume what's left of the entropy-coded data before a marker
+ *      saveState(), restoreState()
+ *                          Remember the decoder's state and go back to it, so a row of a scan can be
+ *                          decoded again once more of a streamed file arrives
+ *      decodeBlock()       Sequential DCT: DC + AC coefficients of a data unit
+ *      decodeDCFirst(), decodeDCRefine(), decodeACFirst(), decodeACRefine()
+ *                          Progressive DCT: the part of a data unit coded in a scan
+ *      decodeDifference()  Lossless: the difference between a sample and its prediction
+ */
+class HuffmanDecoder {
+
+    /**
+     * Reset the decoder at the start of a scan or restart interval. The DC predictors +
+     * EOB run live in the scan, so there's nothing to do here.
+     */
+    reset() {
+        // NOOP
+    }
+
+    /**
+     * Consume the rest of the entropy-coded data in the scan or restart interval. The only
+     * thing left is padding in the current byte, which is discarded when the reader is aligned.
+     * 
+     * @param {DataViewReader} reader Data source
+     */
+    finishInterval(reader) {
+        // NOOP
+    }
+
+    /**
+     * Returns the state of the decoder. All the state of a Huffman-coded scan is in the scan + the
+     * reader, so there's nothing to save.
+     */
+    saveState() {
+        return null;
+    }
+
+    /**
+     * Go back to a state returned by saveState()
+     * 
+     * @param {*} state
+     */
+    restoreState(state) {
+        // NOOP
+    }
+
+    /**
+     * Decode a Huffman-coded value from the bit stream. Returns the value, or undefined if the
+     * code isn't in the table (see corruptData()).
+     * 
+     * F.2.2.3
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct containing information about the image
+     * @param {*} table Huffman table implementation
+     */
+    decodeValue(reader, img, table) {
+        let value = table.decodeHuffman(reader, img);
+        if (value === undefined) {
+            corruptData(img, reader, "invalid Huffman code");
+        }
+        return value;
+    }
+
+    /**
+     * Read and decode the DC coefficient from the bit stream. Side effect is that it loads the
+     * 
+     * Returns the DC coefficient
+     * 
+     * F.2.2.1
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct containing information about the image
+     * @param {*} scan Struct containing information about the scan (specifically the table of DC predictors)
+     * @param {*} id ID of the current component. Used to look up the current DC predictor
+     * @param {*} dcTable Huffman table implementation for DC coefficients
+     */
+    decodeDCCoeff(reader, img, scan, id, dcTable) {
+        let t = this.decodeValue(reader, img, dcTable);
+        let diff = receive(reader, img, t);
+        diff = extend(diff, t);
+        let dcpred = scan.dcpred[id];
+        // console.log("DC Coeff: val: " + t + ", diff: " + diff + ", pred: " + dcpred);
+        return dcpred + diff;
+    }
+
+    /**
+     * Read and decode the AC coefficients from the bit stream and load them into
+     * the array of zig-zag'ed coefficients
+     * 
+     * F.2.2.2
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct containing information about the image
+     * @param {Array} zigzagCoeff 64-element array where we store the AC coefficients
+     * @param {*} acTable Huffman table implementation for AC coefficients
+     */
+    decodeACCoeffs(reader, img, zigzagCoeff, acTable) {
+        for (let k = 1; k < 64; k++) {
+            const rs = this.decodeValue(reader, img, acTable);
+            // F.1.2.2
+            const ssss = getLowNibble(rs);    // Amplitude of next non-zero coeff in ZZ
+            const rrrr = getHighNibble(rs);   // Run length of zero coeffs in ZZ before next non-zero
+            if (ssss === 0) {
+                if (rrrr === 0xF) {
+                    // console.log("ZRL");
+                    k += 15;
+                    continue;
+                } else if (rrrr === 0) {
+                    // console.log("EOB");
+                    break;
+                } else {
+                    // Other values undefined for Baseline
+                    corruptData(img, reader, "unexpected RRRR (expected 0 or 0x0f, got " + rrrr + ")");
+                }
+            } else {
+                k += rrrr;
+                if (k > 63) {
+                    corruptData(img, reader, "AC coefficient index " + k + " is past the end of the data unit");
+                    break;
+                }
+                // Implements the 'DECODE_ZZ' function from Figure F.14
+                // Decode amplitude + sign
+                const amp = receive(reader, img, ssss);
+                const sign = extend(amp, ssss);
+                // console.log("AC[" + k + "]: (" + amp + ", " + sign + ")");
+                zigzagCoeff[k] = sign;
+            }
+        }
+    }
+
+    /**
+     * Decode the DC + AC coefficients of a data unit in a sequential scan
+     * 
+     * F.2.2.1, F.2.2.2
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Array} zigzagCoeff 64-element array of zeros where we store the coefficients
+     */
+    decodeBlock(reader, img, scan, component, zigzagCoeff) {
+        let id = component.componentID;
+        let dcTable = img.huffmanTables[0][component.dcTableID];    // 0 is DC table, 1 is AC table: B.2.4.2
+        let acTable = img.huffmanTables[1][component.acTableID];
+
+        zigzagCoeff[0] = this.decodeDCCoeff(reader, img, scan, id, dcTable);
+        scan.dcpred[id] = zigzagCoeff[0];
+        this.decodeACCoeffs(reader, img, zigzagCoeff, acTable);
+    }
+
+    /**
+     * Decode the DC coefficient of a data unit in the first DC scan of a progressive image.
+     * The coefficient is scaled by the successive approximation bit position.
+     * 
+     * G.1.2.1
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Int32Array} coeffs Coefficient buffer of the component
+     * @param {Number} offset Index of the data unit's first coefficient in coeffs
+     */
+    decodeDCFirst(reader, img, scan, component, coeffs, offset) {
+        let id = component.componentID;
+        let dcTable = img.huffmanTables[0][component.dcTableID];
+        let dc = this.decodeDCCoeff(reader, img, scan, id, dcTable);
+        scan.dcpred[id] = dc;
+        coeffs[offset] = dc * (1 << scan.al);
+    }
+
+    /**
+     * Decode one additional bit of the DC coefficient of a data unit in a progressive image
+     * 
+     * G.1.2.1
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Int32Array} coeffs Coefficient buffer of the component
+     * @param {Number} offset Index of the data unit's first coefficient in coeffs
+     */
+    decodeDCRefine(reader, img, scan, component, coeffs, offset) {
+        if (reader.nextBit()) {
+            coeffs[offset] |= (1 << scan.al);
+        }
+    }
+
+    /**
+     * Decode the band of AC coefficients (SS-SE) of a data unit in the first scan of that band
+     * in a progressive image. A single end-of-band code can cover a run of data units (EOBRUN).
+     * 
+     * G.1.2.2
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Int32Array} coeffs Coefficient buffer of the component
+     * @param {Number} offset Index of the data unit's first coefficient in coeffs
+     */
+    decodeACFirst(reader, img, scan, component, coeffs, offset) {
+        if (scan.eobrun > 0) {
+            // Still in a run of blocks with no coefficients in this band
+            scan.eobrun--;
+            return;
+        }
+        let acTable = img.huffmanTables[1][component.acTableID];
+        for (let k = scan.ss; k <= scan.se; k++) {
+            const rs = this.decodeValue(reader, img, acTable);
+            const ssss = getLowNibble(rs);    // Amplitude of next non-zero coeff in ZZ
+            const rrrr = getHighNibble(rs);   // Run length of zero coeffs in ZZ before next non-zero
+            if (ssss === 0) {
+                if (rrrr < 0xF) {
+                    // EOBn: this block and the next (2^n + extra bits - 1) blocks are done (G.1.2.2.1)
+                    scan.eobrun = (1 << rrrr) - 1;
+                    if (rrrr > 0) {
+                        scan.eobrun += receive(reader, img, rrrr);
+                    }
+                    break;
+                }
+                k += 15;    // ZRL
+            } else {
+                k += rrrr;
+                if (k > scan.se) {
+                    corruptData(img, reader, "AC coefficient index " + k + " is past the end of the band");
+                    break;
+                }
+                coeffs[offset + k] = extend(receive(reader, img, ssss), ssss) * (1 << scan.al);
+            }
+        }
+    }
+
+    /**
+     * Decode one additional bit of each AC coefficient in the band (SS-SE) of a data unit in
+     * a progressive image. Coefficients that are already non-zero get a correction bit; coefficients
+     * that become non-zero in this scan are coded like the first scan, but always with a magnitude of 1.
+     * 
+     * G.1.2.3
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the data unit belongs to
+     * @param {Int32Array} coeffs Coefficient buffer of the component
+     * @param {Number} offset Index of the data unit's first coefficient in coeffs
+     */
+    decodeACRefine(reader, img, scan, component, coeffs, offset) {
+        let acTable = img.huffmanTables[1][component.acTableID];
+        const p1 = 1 << scan.al;     // 1 in the bit position being coded
+        const m1 = -1 << scan.al;    // -1 in the bit position being coded
+
+        // Append a correction bit to a coefficient that's already non-zero
+        function refine(k) {
+            let coeff = coeffs[offset + k];
+            if (reader.nextBit() && (coeff & p1) === 0) {
+                coeffs[offset + k] = coeff + (coeff >= 0 ? p1 : m1);
+            }
+        }
+
+        let k = scan.ss;
+        if (scan.eobrun === 0) {
+            for (; k <= scan.se; k++) {
+                const rs = this.decodeValue(reader, img, acTable);
+                const ssss = getLowNibble(rs);
+                let rrrr = getHighNibble(rs);
+                let value = 0;
+                if (ssss === 0) {
+                    if (rrrr < 0xF) {
+                        // EOBn; the rest of this block is refined below
+                        scan.eobrun = 1 << rrrr;
+                        if (rrrr > 0) {
+                            scan.eobrun += receive(reader, img, rrrr);
+                        }
+                        break;
+                    }
+                    // ZRL: skip 16 zero-valued coefficients
+                } else {
+                    if (ssss != 1) {
+                        corruptData(img, reader, "unexpected SSSS in AC refinement scan (expected 1, got " + ssss + ")");
+                    }
+                    value = reader.nextBit() ? p1 : m1;
+                }
+                // Skip over RRRR zero-valued coefficients, refining the non-zero ones we pass along the way
+                while (k <= scan.se) {
+                    if (coeffs[offset + k] != 0) {
+                        refine(k);
+                    } else {
+                        if (rrrr === 0) {
+                            break;
+                        }
+                        rrrr--;
+                    }
+                    k++;
+                }
+                if (value != 0 && k <= scan.se) {
+                    coeffs[offset + k] = value;
+                }
+            }
+        }
+        if (scan.eobrun > 0) {
+            // Block is in an end-of-band run, so only the non-zero coefficients get correction bits
+            for (; k <= scan.se; k++) {
+                if (coeffs[offset + k] != 0) {
+                    refine(k);
+                }
+            }
+            scan.eobrun--;
+        }
+    }
+
+    /**
+     * Decode the difference between a lossless sample and its prediction. Returns the difference.
+     * 
+     * H.1.2.2
+     * 
+     * @param {DataViewReader} reader Data source
+     * @param {*} img Struct with information about the image, including frame + components
+     * @param {*} scan Struct with information about this scan
+     * @param {*} component Component the sample belongs to
+     */
+    decodeDifference(reader, img, scan, component) {
+        let dcTable = img.huffmanTables[0][component.dcTableID];
+        let t = this.decodeValue(reader, img, dcTable);
+        // Category 16 has no additional bits
+        return (t === 16 ? 32768 : extend(receive(reader, img, t), t));
+    }
+}
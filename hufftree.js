@@ -87,11 +87,11 @@ class HuffTree {
         let bitString = "";     // For debugging
         let node = this;
         while (true) {
-            let bit = reader.nextBit(img);
+            let bit = reader.nextBit();
             // bitString += bit;
             node = node.descendNode(bit);
             if (node === undefined) {
-                console.error("Error: Couldn't find huffman value for huffman code " + bitString);
+                // Not a valid code; the caller reports it (see decodeValue())
                 break;
             } else if (node.data != undefined) {
                 // Found a value, so we're done!
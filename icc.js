@@ -0,0 +1,300 @@
+/**
+ * ICC color profiles. A profile too big for one APP2 segment is split into chunks, each
+ * tagged with a sequence number, which are put back together before the profile is parsed.
+ * 
+ * Only matrix/TRC profiles (RGB, and gray TRC profiles) are understood well enough to convert
+ * colors: the image is linearized with the tone reproduction curves (TRCs), converted to the
+ * profile connection space (XYZ, D50) with the colorant matrix, then converted to sRGB.
+ * 
+ * References: ICC.1:2010 (profile version 4.3), ICC.1:2001-04 (version 2.4),
+ * ICC.1:2010 Annex B.4 (embedding profiles in JPEG files), IEC 61966-2-1 (sRGB)
+ */
+
+/**
+ * Matrix to convert XYZ (D50) to linear sRGB, i.e. the inverse of the colorant matrix of
+ * the sRGB profile, which has been adapted from D65 to D50 with the Bradford transform
+ */
+const XYZ_D50_TO_SRGB = [
+    [3.1338561, -1.6168667, -0.4906146],
+    [-0.9787684, 1.9161415, 0.0334540],
+    [0.0719453, -0.2289914, 1.4052427],
+];
+
+/**
+ * Put the chunks of an ICC profile back together. Returns null if any chunks are missing.
+ * 
+ * ICC.1:2010 B.4
+ * 
+ * @param {Array} chunks Chunks of the profile, in any order: { seqNo, numChunks, data }
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function assembleICCProfile(chunks, report) {
+    let numChunks = chunks[0].numChunks;
+    let sorted = new Array(numChunks);
+    for (let chunk of chunks) {
+        if (chunk.numChunks !== numChunks || chunk.seqNo < 1 || chunk.seqNo > numChunks || sorted[chunk.seqNo - 1]) {
+            report("bad ICC profile chunk " + chunk.seqNo + " of " + chunk.numChunks);
+            return null;
+        }
+        sorted[chunk.seqNo - 1] = chunk;
+    }
+    let length = 0;
+    for (let i = 0; i < numChunks; i++) {
+        if (sorted[i] === undefined) {
+            report("ICC profile chunk " + (i + 1) + " of " + numChunks + " is missing");
+            return null;
+        }
+        length += sorted[i].data.length;
+    }
+    let data = new Uint8Array(length);
+    for (let i = 0, offset = 0; i < numChunks; offset += sorted[i].data.length, i++) {
+        data.set(sorted[i].data, offset);
+    }
+    return data;
+}
+
+/**
+ * Parse an ICC profile. Returns null if it isn't valid, otherwise:
+ *      data                The raw profile
+ *      version             Profile version, e.g. "4.3"
+ *      deviceClass         Profile/device class, e.g. "mntr" (display)
+ *      colorSpace          Color space of the image data, e.g. "RGB" or "GRAY"
+ *      pcs                 Profile connection space: "XYZ" or "Lab"
+ *      description         Profile description, e.g. "Display P3"
+ *      tags                Signatures of the profile's tags
+ *      whitePoint          Media white point, as XYZ
+ *      colorants           Matrix/TRC profiles: XYZ of the red, green + blue colorants (null for gray)
+ *      trc                 Matrix/TRC profiles: tone reproduction curve of each channel (see parseCurve())
+ * 
+ * ICC.1:2010 section 7
+ * 
+ * @param {Uint8Array} data Contents of the profile
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function parseICCProfile(data, report) {
+    let view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (data.length < 132 || iccSignature(view, 36) !== "acsp") {
+        report("invalid ICC profile");
+        return null;
+    }
+    let profile = {
+        data: data,
+        version: view.getUint8(8) + "." + (view.getUint8(9) >> 4),
+        deviceClass: iccSignature(view, 12),
+        colorSpace: iccSignature(view, 16),
+        pcs: iccSignature(view, 20),
+        description: "",
+        tags: [],
+        whitePoint: null,
+        colorants: null,
+        trc: null,
+    };
+
+    // Tag table: count, then signature, offset + size of each tag (7.3)
+    let tags = new Map();
+    let numTags = view.getUint32(128);
+    for (let i = 0, entry = 132; i < numTags && entry + 12 <= data.length; i++, entry += 12) {
+        let offset = view.getUint32(entry + 4);
+        let size = view.getUint32(entry + 8);
+        if (offset + size > data.length || size < 8) {
+            report("ICC profile tag " + iccSignature(view, entry) + " is outside the profile");
+            continue;
+        }
+        tags.set(iccSignature(view, entry), new DataView(data.buffer, data.byteOffset + offset, size));
+    }
+    profile.tags = Array.from(tags.keys());
+
+    if (tags.has("desc")) {
+        profile.description = parseTextTag(tags.get("desc"));
+    }
+    if (tags.has("wtpt")) {
+        profile.whitePoint = parseXYZTag(tags.get("wtpt"));
+    }
+    if (profile.colorSpace === "RGB" && ["rXYZ", "gXYZ", "bXYZ", "rTRC", "gTRC", "bTRC"].every(sig => tags.has(sig))) {
+        profile.colorants = ["rXYZ", "gXYZ", "bXYZ"].map(sig => parseXYZTag(tags.get(sig)));
+        profile.trc = ["rTRC", "gTRC", "bTRC"].map(sig => parseCurve(tags.get(sig), report));
+    } else if (profile.colorSpace === "GRAY" && tags.has("kTRC")) {
+        profile.trc = [parseCurve(tags.get("kTRC"), report)];
+    }
+    return profile;
+}
+
+/**
+ * Returns the 4-character signature at an offset, without trailing spaces
+ * 
+ * @param {DataView} view
+ * @param {Number} offset
+ */
+function iccSignature(view, offset) {
+    let sig = "";
+    for (let i = 0; i < 4; i++) {
+        sig += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return sig.trimEnd();
+}
+
+/**
+ * Returns a s15Fixed16Number as a Number (4.6)
+ * 
+ * @param {DataView} view
+ * @param {Number} offset
+ */
+function s15Fixed16(view, offset) {
+    return view.getInt32(offset) / 65536;
+}
+
+/**
+ * Parse an XYZType tag (10.31). Returns [X, Y, Z].
+ * 
+ * @param {DataView} tag
+ */
+function parseXYZTag(tag) {
+    return [s15Fixed16(tag, 8), s15Fixed16(tag, 12), s15Fixed16(tag, 16)];
+}
+
+/**
+ * Parse a textual tag: textDescriptionType (version 2 profiles), multiLocalizedUnicodeType
+ * (version 4 profiles; the first record is used) or textType
+ * 
+ * ICC.1:2001-04 6.5.17, ICC.1:2010 10.15 + 10.24
+ * 
+ * @param {DataView} tag
+ */
+function parseTextTag(tag) {
+    let type = iccSignature(tag, 0);
+    let str = "";
+    if (type === "desc") {
+        let length = tag.getUint32(8);
+        for (let i = 0; i < length && 12 + i < tag.byteLength; i++) {
+            str += String.fromCharCode(tag.getUint8(12 + i));
+        }
+    } else if (type === "mluc" && tag.getUint32(8) > 0) {
+        let length = tag.getUint32(20);
+        let offset = tag.getUint32(24);
+        for (let i = 0; i + 1 < length && offset + i + 1 < tag.byteLength; i += 2) {
+            str += String.fromCharCode(tag.getUint16(offset + i));     // UTF-16BE
+        }
+    } else if (type === "text") {
+        for (let i = 8; i < tag.byteLength; i++) {
+            str += String.fromCharCode(tag.getUint8(i));
+        }
+    }
+    return str.replace(/\0+$/, "");
+}
+
+/**
+ * Parse a curveType or parametricCurveType tag. Returns one of:
+ *      { type: "gamma", gamma }                Y = X ^ gamma
+ *      { type: "table", table }                Y looked up in a table of values (0-1) spread evenly over X
+ *      { type: "parametric", functionType, params }
+ * 
+ * ICC.1:2010 10.5 + 10.16
+ * 
+ * @param {DataView} tag
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function parseCurve(tag, report) {
+    let type = iccSignature(tag, 0);
+    if (type === "curv") {
+        let count = tag.getUint32(8);
+        if (count === 0) {
+            return { type: "gamma", gamma: 1 };
+        } else if (count === 1) {
+            return { type: "gamma", gamma: tag.getUint16(12) / 256 };     // u8Fixed8Number
+        }
+        let table = new Float32Array(count);
+        for (let i = 0; i < count && 12 + (i * 2) + 1 < tag.byteLength; i++) {
+            table[i] = tag.getUint16(12 + (i * 2)) / 65535;
+        }
+        return { type: "table", table: table };
+    } else if (type === "para") {
+        let functionType = tag.getUint16(8);
+        let numParams = [1, 3, 4, 5, 7][functionType];
+        if (numParams === undefined) {
+            report("unknown ICC parametric curve type " + functionType);
+            return { type: "gamma", gamma: 1 };
+        }
+        let params = [];
+        for (let i = 0; i < numParams; i++) {
+            params.push(s15Fixed16(tag, 12 + (i * 4)));
+        }
+        return { type: "parametric", functionType: functionType, params: params };
+    }
+    report("unknown ICC curve type " + type);
+    return { type: "gamma", gamma: 1 };
+}
+
+/**
+ * Apply a tone reproduction curve to a value (0-1)
+ * 
+ * @param {*} curve Curve, from parseCurve()
+ * @param {Number} x
+ */
+function evaluateCurve(curve, x) {
+    if (curve.type === "gamma") {
+        return Math.pow(x, curve.gamma);
+    } else if (curve.type === "table") {
+        let pos = x * (curve.table.length - 1);
+        let i = Math.min(Math.floor(pos), curve.table.length - 2);
+        return curve.table[i] + ((pos - i) * (curve.table[i + 1] - curve.table[i]));
+    }
+    // Parametric curves (ICC.1:2010 table 65)
+    let [g, a, b, c, d, e, f] = curve.params;
+    switch (curve.functionType) {
+        case 0:     return Math.pow(x, g);
+        case 1:     return (x >= -b / a ? Math.pow((a * x) + b, g) : 0);
+        case 2:     return (x >= -b / a ? Math.pow((a * x) + b, g) + c : c);
+        case 3:     return (x >= d ? Math.pow((a * x) + b, g) : c * x);
+        case 4:     return (x >= d ? Math.pow((a * x) + b, g) + e : (c * x) + f);
+    }
+}
+
+/**
+ * Returns a function that converts 8-bit RGBA pixels from a profile's color space to sRGB
+ * (in place), or null if the profile isn't a matrix/TRC profile
+ * 
+ * @param {*} profile Profile, from parseICCProfile()
+ */
+function createSRGBTransform(profile) {
+    if (!profile || !profile.trc) {
+        return null;
+    }
+    // Lookup tables: 8-bit values to linear values, for each channel...
+    let toLinear = profile.trc.map(curve => {
+        let table = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            table[i] = evaluateCurve(curve, i / 255);
+        }
+        return table;
+    });
+    // ...and linear values (in steps of 1/4096) to 8-bit sRGB values
+    const steps = 4096;
+    let fromLinear = new Uint8ClampedArray(steps + 1);
+    for (let i = 0; i <= steps; i++) {
+        let val = i / steps;
+        fromLinear[i] = Math.round(255 * (val <= 0.0031308 ? 12.92 * val : (1.055 * Math.pow(val, 1 / 2.4)) - 0.055));
+    }
+    let encode = val => fromLinear[Math.round(Math.min(Math.max(val, 0), 1) * steps)];
+
+    if (!profile.colorants) {
+        // Gray: the TRC gives the luminance, which is the same in sRGB
+        return rgba => {
+            for (let i = 0; i < rgba.length; i += 4) {
+                rgba[i] = rgba[i + 1] = rgba[i + 2] = encode(toLinear[0][rgba[i]]);
+            }
+        };
+    }
+    // Profile RGB --> XYZ (the colorants are the columns of the matrix) --> sRGB
+    let matrix = XYZ_D50_TO_SRGB.map(row => [0, 1, 2].map(col =>
+        (row[0] * profile.colorants[col][0]) + (row[1] * profile.colorants[col][1]) + (row[2] * profile.colorants[col][2])));
+    return rgba => {
+        for (let i = 0; i < rgba.length; i += 4) {
+            let r = toLinear[0][rgba[i]];
+            let g = toLinear[1][rgba[i + 1]];
+            let b = toLinear[2][rgba[i + 2]];
+            for (let c = 0; c < 3; c++) {
+                rgba[i + c] = encode((matrix[c][0] * r) + (matrix[c][1] * g) + (matrix[c][2] * b));
+            }
+        }
+    };
+}
@@ -83,6 +83,41 @@ function idctCached(coeffs) {
     return ret;
 }
 
+/**
+ * Implement the Forward Discrete Cosine Transformation defined in the JPEG spec (A.3.3).
+ * The 2-D transform is done as a 1-D transform of each row, then of each column.
+ * 
+ * Returns an array of the (unrounded) DCT coefficients
+ * 
+ * @param {*} samples Array of 64 level-shifted samples to be processed
+ */
+function fdct(samples) {
+    if (idctCache === undefined) {
+        initIDCTCache();
+    }
+    let tmp = new Array(samples.length);
+    for (let y = 0, ystart = 0; y < DATA_UNIT_SIZE; y++, ystart += DATA_UNIT_SIZE) {
+        for (let u = 0; u < DATA_UNIT_SIZE; u++) {
+            let sum = 0;
+            for (let x = 0; x < DATA_UNIT_SIZE; x++) {
+                sum += samples[ystart + x] * idctCache[x][u];
+            }
+            tmp[ystart + u] = C(u) * sum / 2;
+        }
+    }
+    let ret = new Array(samples.length);
+    for (let u = 0; u < DATA_UNIT_SIZE; u++) {
+        for (let v = 0, vstart = 0; v < DATA_UNIT_SIZE; v++, vstart += DATA_UNIT_SIZE) {
+            let sum = 0;
+            for (let y = 0, ystart = 0; y < DATA_UNIT_SIZE; y++, ystart += DATA_UNIT_SIZE) {
+                sum += tmp[ystart + u] * idctCache[y][v];
+            }
+            ret[vstart + u] = C(v) * sum / 2;
+        }
+    }
+    return ret;
+}
+
 /**
  * Integer IDCT decoder ported from https://web.ece.ucsb.edu/EXPRESS/benchmark/mpeg2enc/idctcol.c
  * with help from NanoJPEG: http://svn.emphy.de/nanojpeg/trunk/nanojpeg/nanojpeg.c
@@ -90,13 +125,14 @@ function idctCached(coeffs) {
  * Returns an array of the IDCT'ed coefficients
  * 
  * @param {*} coeffs Array of 64 coefficients to be processed
+ * @param {Number} precision Sample precision in bits; the output is clamped to this range. Defaults to 8
  */
-function idctChenWang(coeffs) {
+function idctChenWang(coeffs, precision = 8) {
     for (let row = 0; row < 64; row += 8) {
         idctrow(coeffs, row);
     }
     for (let col = 0; col < 8; col++) {
-        idctcol(coeffs, col)
+        idctcol(coeffs, col, precision)
     }
     return coeffs;
 }
@@ -178,8 +214,9 @@ function idctrow(blk, idx) {
  * 
  * @param {*} blk 
  * @param {*} idx 
+ * @param {Number} precision Sample precision in bits
  */
-function idctcol(blk, idx) {
+function idctcol(blk, idx, precision) {
     let x0, x1, x2, x3, x4, x5, x6, x7, x8;
 
     /* shortcut */
@@ -190,7 +227,7 @@ function idctcol(blk, idx) {
         | (x5 = blk[idx+8*7])
         | (x6 = blk[idx+8*5])
         | (x7 = blk[idx+8*3]))) {
-        let tmp = clampIdct((blk[idx+8*0]+32)>>6);
+        let tmp = clampIdct((blk[idx+8*0]+32)>>6, precision);
         for (let i = 0; i < 8; i++) {
             blk[idx+8*i] = tmp;
         }
@@ -227,21 +264,24 @@ function idctcol(blk, idx) {
     x4 = (181*(x4-x5)+128)>>8;
 
     /* fourth stage */
-    blk[idx+8*0] = clampIdct((x7+x1)>>14);
-    blk[idx+8*1] = clampIdct((x3+x2)>>14);
-    blk[idx+8*2] = clampIdct((x0+x4)>>14);
-    blk[idx+8*3] = clampIdct((x8+x6)>>14);
-    blk[idx+8*4] = clampIdct((x8-x6)>>14);
-    blk[idx+8*5] = clampIdct((x0-x4)>>14);
-    blk[idx+8*6] = clampIdct((x3-x2)>>14);
-    blk[idx+8*7] = clampIdct((x7-x1)>>14);
+    blk[idx+8*0] = clampIdct((x7+x1)>>14, precision);
+    blk[idx+8*1] = clampIdct((x3+x2)>>14, precision);
+    blk[idx+8*2] = clampIdct((x0+x4)>>14, precision);
+    blk[idx+8*3] = clampIdct((x8+x6)>>14, precision);
+    blk[idx+8*4] = clampIdct((x8-x6)>>14, precision);
+    blk[idx+8*5] = clampIdct((x0-x4)>>14, precision);
+    blk[idx+8*6] = clampIdct((x3-x2)>>14, precision);
+    blk[idx+8*7] = clampIdct((x7-x1)>>14, precision);
 }
 
 /**
- * Clamp an integer value to the range [-128 - 127]
+ * Clamp an integer value to the range of a level-shifted sample,
+ * e.g. [-128 - 127] for 8-bit samples
  * 
  * @param {*} val 
+ * @param {Number} precision Sample precision in bits. Defaults to 8
  */
-function clampIdct(val) {
-    return (val > 127 ? 127 : (val < -128 ? -128 : val));
+function clampIdct(val, precision = 8) {
+    let max = (1 << (precision - 1)) - 1;
+    return (val > max ? max : (val < -max - 1 ? -max - 1 : val));
 }
@@ -0,0 +1,315 @@
+/**
+ * Marker inspector: walks the markers of a JPEG file and describes its structure, for debugging
+ * files that won't decode. Nothing is decoded, and problems with the file are reported rather
+ * than stopping the walk, so it works on files the decoder gives up on.
+ * 
+ * The description can be turned into JSON as it is: each segment is listed in the order it's found
+ * in the file, along with any junk between segments and the entropy-coded data after each scan header.
+ * 
+ * References: JPEG spec B.1.1 (markers + segments), B.2-B.3 (contents of each segment)
+ */
+
+/**
+ * Walk the markers of a JPEG file. Returns:
+ *      size                Size of the file in bytes
+ *      segments            Everything in the file, in order. Each has a type, offset + length (in bytes):
+ *                              "marker"    A marker (marker, code) and its segment. length includes the
+ *                                          marker itself; contents holds the segment's parameters (see
+ *                                          describeSegment()). fillBytes gives the # of 0xFF fill bytes
+ *                                          before the marker, if there were any; truncated is set if
+ *                                          the segment runs past the end of the file.
+ *                              "data"      Entropy-coded data after a scan header. restarts lists the
+ *                                          restart markers in it: offset + marker (RST0-RST7)
+ *                              "junk"      Bytes between segments that aren't part of a marker
+ *      errors              Problems with the structure of the file, as messages
+ * 
+ * @param {ArrayBuffer} data Contents of the JPEG file
+ */
+function inspectMarkers(data) {
+    let view = new DataView(data);
+    let size = view.byteLength;
+    let codes = createMarkerCodeTable();
+    let structure = { size: size, segments: [], errors: [] };
+    let junkStart = null;
+    let pos = 0;
+    while (pos < size) {
+        if (view.getUint8(pos) !== 0xFF) {
+            junkStart = (junkStart === null ? pos : junkStart);
+            pos++;
+            continue;
+        }
+        // Any # of 0xFF fill bytes can come before a marker (B.1.1.2)
+        let codePos = pos + 1;
+        while (codePos < size && view.getUint8(codePos) === 0xFF) {
+            codePos++;
+        }
+        let name = (codePos < size ? codes.get(view.getUint8(codePos)) : undefined);
+        if (name === undefined) {
+            // Not a marker: 0xFF00, or 0xFF at the end of the file
+            junkStart = (junkStart === null ? pos : junkStart);
+            pos = codePos + 1;
+            continue;
+        }
+        if (junkStart !== null) {
+            addJunk(structure, junkStart, pos);
+            junkStart = null;
+        }
+
+        let segment = { type: "marker", offset: codePos - 1, length: 2, marker: name.replace("*", ""),
+            code: view.getUint8(codePos) };
+        if (codePos - 1 > pos) {
+            segment.fillBytes = codePos - 1 - pos;
+        }
+        structure.segments.push(segment);
+        pos = codePos + 1;
+        if (name.endsWith("*") || name.startsWith("RST")) {
+            // No parameters (B.1.1.3). Restart markers should only turn up inside entropy-coded data
+            if (name.startsWith("RST")) {
+                structure.errors.push(segment.marker + " at " + segment.offset + " isn't in entropy-coded data");
+            }
+            continue;
+        }
+
+        if (pos + 2 > size) {
+            structure.errors.push(segment.marker + " segment at " + segment.offset + " has no length");
+            segment.truncated = true;
+            break;
+        }
+        let length = view.getUint16(pos);    // Includes the 2 bytes of the length itself
+        if (length < 2) {
+            structure.errors.push(segment.marker + " segment at " + segment.offset + " has an invalid length: " + length);
+            break;
+        }
+        segment.length = 2 + length;
+        if (pos + length > size) {
+            structure.errors.push(segment.marker + " segment at " + segment.offset + " runs past the end of the file");
+            segment.truncated = true;
+        }
+        let params = new DataView(data, pos + 2, Math.max(Math.min(length, size - pos) - 2, 0));
+        try {
+            segment.contents = describeSegment(name, params);
+        } catch (e) {
+            if (!(e instanceof RangeError)) {
+                throw e;
+            }
+            structure.errors.push(segment.marker + " segment at " + segment.offset + " is too short for its contents");
+        }
+        pos = Math.min(pos + length, size);
+
+        if (name === "SOS") {
+            pos = inspectEntropyCodedData(view, pos, structure);
+        }
+    }
+    if (junkStart !== null) {
+        addJunk(structure, junkStart, size);
+    }
+    return structure;
+}
+
+/**
+ * Add junk bytes to the structure of the file, see inspectMarkers()
+ * 
+ * @param {*} structure Structure of the file
+ * @param {Number} start Index of the first junk byte
+ * @param {Number} end Index after the last junk byte
+ */
+function addJunk(structure, start, end) {
+    structure.segments.push({ type: "junk", offset: start, length: end - start });
+    structure.errors.push((end - start) + " junk byte(s) at " + start);
+}
+
+/**
+ * Find the end of the entropy-coded data that starts at pos, and the restart markers in it. The
+ * data ends at the first marker that isn't a restart marker; 0xFF00 is a stuffed 0xFF byte.
+ * Adds the data to the structure of the file, and returns the index after it.
+ * 
+ * B.1.1.5, F.1.2.3
+ * 
+ * @param {DataView} view Contents of the file
+ * @param {Number} pos Index of the start of the data
+ * @param {*} structure Structure of the file, see inspectMarkers()
+ */
+function inspectEntropyCodedData(view, pos, structure) {
+    let size = view.byteLength;
+    let data = { type: "data", offset: pos, length: 0, restarts: [] };
+    let end = pos;
+    while (end < size) {
+        if (view.getUint8(end) !== 0xFF) {
+            end++;
+            continue;
+        }
+        let codePos = end + 1;
+        while (codePos < size && view.getUint8(codePos) === 0xFF) {
+            codePos++;
+        }
+        let code = (codePos < size ? view.getUint8(codePos) : 0);
+        if (code === 0) {
+            end = codePos + 1;
+        } else if (code >= 0xD0 && code <= 0xD7) {
+            data.restarts.push({ offset: codePos - 1, marker: "RST" + (code - 0xD0) });
+            end = codePos + 1;
+        } else {
+            break;
+        }
+    }
+    end = Math.min(end, size);
+    data.length = end - pos;
+    structure.segments.push(data);
+    if (end === size) {
+        structure.errors.push("Entropy-coded data at " + pos + " runs to the end of the file");
+    }
+
+    // Restart markers count 0-7, starting again at 0 in each scan (B.2.1)
+    let expected = 0;
+    for (let restart of data.restarts) {
+        if (restart.marker !== "RST" + expected) {
+            structure.errors.push(restart.marker + " at " + restart.offset + " is out of sequence (expected RST"
+                + expected + ")");
+        }
+        expected = (Number(restart.marker.slice(3)) + 1) % 8;
+    }
+    return end;
+}
+
+/**
+ * Returns the parameters of a marker segment, or null for segments that aren't described.
+ * Throws a RangeError if the segment is too short.
+ *      SOFn, DHP           precision, height, width + components (componentID, hSampleFactor,
+ *                          vSampleFactor, quantTableID)
+ *      SOS                 components (componentSelector, dcTableID, acTableID), ss, se, ah + al
+ *      DHT                 tables: class ("DC" or "AC"), id, counts (# of codes of each length, 1-16),
+ *                          numCodes + values
+ *      DQT                 tables: id, precision (8 or 16) + values (in zig-zag order)
+ *      DAC                 tables: class ("DC" or "AC"), id + value
+ *      DRI                 restartInterval
+ *      DNL                 lines
+ *      EXP                 expandH + expandV
+ *      COM                 text + charset (see decodeComment())
+ *      APPn                identifier (e.g. "JFIF" or "Exif"), and for some segments what they hold
+ *                          (see describeAppSegment())
+ * 
+ * B.2.2-B.2.5, B.3.2-B.3.3
+ * 
+ * @param {String} name Name of the marker, from createMarkerCodeTable()
+ * @param {DataView} params The segment, after the length
+ */
+function describeSegment(name, params) {
+    if (name.startsWith("SOF") || name === "DHP") {
+        let numComponents = params.getUint8(5);
+        let components = [];
+        for (let i = 0, pos = 6; i < numComponents; i++, pos += 3) {
+            components.push({
+                componentID: params.getUint8(pos),
+                hSampleFactor: getHighNibble(params.getUint8(pos + 1)),
+                vSampleFactor: getLowNibble(params.getUint8(pos + 1)),
+                quantTableID: params.getUint8(pos + 2),
+            });
+        }
+        return { precision: params.getUint8(0), height: params.getUint16(1), width: params.getUint16(3),
+            components: components };
+    } else if (name === "SOS") {
+        let numComponents = params.getUint8(0);
+        let components = [];
+        for (let i = 0, pos = 1; i < numComponents; i++, pos += 2) {
+            components.push({
+                componentSelector: params.getUint8(pos),
+                dcTableID: getHighNibble(params.getUint8(pos + 1)),
+                acTableID: getLowNibble(params.getUint8(pos + 1)),
+            });
+        }
+        let pos = 1 + (numComponents * 2);
+        return { components: components, ss: params.getUint8(pos), se: params.getUint8(pos + 1),
+            ah: getHighNibble(params.getUint8(pos + 2)), al: getLowNibble(params.getUint8(pos + 2)) };
+    } else if (name === "DHT") {
+        let tables = [];
+        for (let pos = 0; pos < params.byteLength; ) {
+            let tmp = params.getUint8(pos);
+            let counts = [];
+            for (let i = 1; i <= NUM_HUFFMAN_LENGTHS; i++) {
+                counts.push(params.getUint8(pos + i));
+            }
+            let numCodes = counts.reduce((sum, count) => sum + count, 0);
+            pos += 1 + NUM_HUFFMAN_LENGTHS;
+            let values = [];
+            for (let i = 0; i < numCodes; i++) {
+                values.push(params.getUint8(pos + i));
+            }
+            pos += numCodes;
+            tables.push({ class: (getHighNibble(tmp) === 0 ? "DC" : "AC"), id: getLowNibble(tmp), counts: counts,
+                numCodes: numCodes, values: values });
+        }
+        return { tables: tables };
+    } else if (name === "DQT") {
+        let tables = [];
+        for (let pos = 0; pos < params.byteLength; ) {
+            let tmp = params.getUint8(pos++);
+            let wide = (getHighNibble(tmp) !== 0);
+            let values = [];
+            for (let i = 0; i < QUANT_TABLE_SIZE; i++, pos += (wide ? 2 : 1)) {
+                values.push(wide ? params.getUint16(pos) : params.getUint8(pos));
+            }
+            tables.push({ id: getLowNibble(tmp), precision: (wide ? 16 : 8), values: values });
+        }
+        return { tables: tables };
+    } else if (name === "DAC") {
+        let tables = [];
+        for (let pos = 0; pos + 1 < params.byteLength; pos += 2) {
+            let tmp = params.getUint8(pos);
+            tables.push({ class: (getHighNibble(tmp) === 0 ? "DC" : "AC"), id: getLowNibble(tmp), value: params.getUint8(pos + 1) });
+        }
+        return { tables: tables };
+    } else if (name === "DRI") {
+        return { restartInterval: params.getUint16(0) };
+    } else if (name === "DNL") {
+        return { lines: params.getUint16(0) };
+    } else if (name === "EXP") {
+        return { expandH: getHighNibble(params.getUint8(0)), expandV: getLowNibble(params.getUint8(0)) };
+    } else if (name === "COM") {
+        return decodeComment(new Uint8Array(params.buffer, params.byteOffset, params.byteLength));
+    } else if (name.startsWith("APP")) {
+        return describeAppSegment(name, params);
+    }
+    return null;
+}
+
+/**
+ * Returns the identifier of an APPn segment (the printable characters it starts with, up to
+ * the first NUL), and for these segments what they hold:
+ *      JFIF (APP0)         version, units, xDensity, yDensity, thumbnailWidth + thumbnailHeight
+ *      JFXX (APP0)         extension (0x10 = JPEG, 0x11 = palette, 0x13 = RGB thumbnail)
+ *      ICC_PROFILE (APP2)  seqNo + numChunks
+ *      Adobe (APP14)       version, flags0, flags1 + transform
+ * 
+ * @param {String} name Name of the marker, e.g. "APP0"
+ * @param {DataView} params The segment, after the length
+ */
+function describeAppSegment(name, params) {
+    let identifier = "";
+    for (let i = 0; i < params.byteLength && identifier.length < 64; i++) {
+        let byte = params.getUint8(i);
+        if (byte < 0x20 || byte > 0x7E) {
+            break;
+        }
+        identifier += String.fromCharCode(byte);
+    }
+    let contents = { identifier: identifier };
+    if (name === "APP0" && identifier === "JFIF") {
+        contents.version = params.getUint8(5) + "." + String(params.getUint8(6)).padStart(2, "0");
+        contents.units = params.getUint8(7);
+        contents.xDensity = params.getUint16(8);
+        contents.yDensity = params.getUint16(10);
+        contents.thumbnailWidth = params.getUint8(12);
+        contents.thumbnailHeight = params.getUint8(13);
+    } else if (name === "APP0" && identifier === "JFXX") {
+        contents.extension = params.getUint8(5);
+    } else if (name === "APP2" && identifier === "ICC_PROFILE") {
+        contents.seqNo = params.getUint8(12);
+        contents.numChunks = params.getUint8(13);
+    } else if (name === "APPE" && identifier === "Adobe") {
+        contents.version = params.getUint16(5);
+        contents.flags0 = params.getUint16(7);
+        contents.flags1 = params.getUint16(9);
+        contents.transform = params.getUint8(11);
+    }
+    return contents;
+}
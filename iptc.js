@@ -0,0 +1,205 @@
+/**
+ * Photoshop image resources + IPTC metadata. Photoshop stores its image resources in APP13
+ * segments starting with "Photoshop 3.0"; each resource is an "8BIM" block with an ID. The IPTC
+ * metadata (caption, keywords, byline, etc.) is resource 0x0404, as IPTC-IIM records.
+ * 
+ * References: Adobe Photoshop File Formats Specification (Image Resource Blocks),
+ * IPTC-NAA Information Interchange Model 4.2 (IIM)
+ */
+
+/**
+ * ID of the Photoshop resource that holds IPTC-IIM records
+ */
+const PHOTOSHOP_IPTC_RESOURCE = 0x0404;
+
+/**
+ * Signatures of resource blocks. Photoshop writes 8BIM; the others are from other applications.
+ */
+const PHOTOSHOP_RESOURCE_SIGNATURES = ["8BIM", "PHUT", "DCSR", "AgHg", "MeSa"];
+
+/**
+ * Names of the IPTC datasets, by record:dataset. Datasets marked repeatable can occur more than
+ * once, so their values are always arrays; binary datasets are numbers.
+ */
+const IPTC_DATASETS = new Map([
+    // Envelope record
+    ["1:0", { name: "EnvelopeRecordVersion", binary: true }],
+    ["1:5", { name: "Destination", repeatable: true }],
+    ["1:20", { name: "FileFormat", binary: true }],
+    ["1:22", { name: "FileVersion", binary: true }],
+    ["1:30", { name: "ServiceIdentifier" }],
+    ["1:40", { name: "EnvelopeNumber" }],
+    ["1:50", { name: "ProductID", repeatable: true }],
+    ["1:60", { name: "EnvelopePriority" }],
+    ["1:70", { name: "DateSent" }],
+    ["1:80", { name: "TimeSent" }],
+    ["1:90", { name: "CodedCharacterSet" }],
+    ["1:100", { name: "UniqueObjectName" }],
+    // Application record
+    ["2:0", { name: "RecordVersion", binary: true }],
+    ["2:3", { name: "ObjectTypeReference" }],
+    ["2:4", { name: "ObjectAttributeReference", repeatable: true }],
+    ["2:5", { name: "ObjectName" }],
+    ["2:7", { name: "EditStatus" }],
+    ["2:10", { name: "Urgency" }],
+    ["2:12", { name: "SubjectReference", repeatable: true }],
+    ["2:15", { name: "Category" }],
+    ["2:20", { name: "SupplementalCategories", repeatable: true }],
+    ["2:22", { name: "FixtureIdentifier" }],
+    ["2:25", { name: "Keywords", repeatable: true }],
+    ["2:26", { name: "ContentLocationCode", repeatable: true }],
+    ["2:27", { name: "ContentLocationName", repeatable: true }],
+    ["2:30", { name: "ReleaseDate" }],
+    ["2:35", { name: "ReleaseTime" }],
+    ["2:37", { name: "ExpirationDate" }],
+    ["2:38", { name: "ExpirationTime" }],
+    ["2:40", { name: "SpecialInstructions" }],
+    ["2:42", { name: "ActionAdvised" }],
+    ["2:45", { name: "ReferenceService", repeatable: true }],
+    ["2:47", { name: "ReferenceDate", repeatable: true }],
+    ["2:50", { name: "ReferenceNumber", repeatable: true }],
+    ["2:55", { name: "DateCreated" }],
+    ["2:60", { name: "TimeCreated" }],
+    ["2:62", { name: "DigitalCreationDate" }],
+    ["2:63", { name: "DigitalCreationTime" }],
+    ["2:65", { name: "OriginatingProgram" }],
+    ["2:70", { name: "ProgramVersion" }],
+    ["2:75", { name: "ObjectCycle" }],
+    ["2:80", { name: "Byline", repeatable: true }],
+    ["2:85", { name: "BylineTitle", repeatable: true }],
+    ["2:90", { name: "City" }],
+    ["2:92", { name: "Sublocation" }],
+    ["2:95", { name: "ProvinceState" }],
+    ["2:100", { name: "CountryCode" }],
+    ["2:101", { name: "CountryName" }],
+    ["2:103", { name: "OriginalTransmissionReference" }],
+    ["2:105", { name: "Headline" }],
+    ["2:110", { name: "Credit" }],
+    ["2:115", { name: "Source" }],
+    ["2:116", { name: "CopyrightNotice" }],
+    ["2:118", { name: "Contact", repeatable: true }],
+    ["2:120", { name: "Caption" }],
+    ["2:121", { name: "LocalCaption" }],
+    ["2:122", { name: "Writer", repeatable: true }],
+    ["2:130", { name: "ImageType" }],
+    ["2:131", { name: "ImageOrientation" }],
+    ["2:135", { name: "LanguageIdentifier" }],
+]);
+
+/**
+ * Parse Photoshop image resource blocks. Returns a list of { id, name, data }.
+ * 
+ * Photoshop File Formats Specification, Image Resource Blocks
+ * 
+ * @param {Uint8Array} bytes The resource blocks: everything after "Photoshop 3.0\0" in the APP13 segment(s)
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function parsePhotoshopResources(bytes, report) {
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let resources = [];
+    let pos = 0;
+    while (pos + 12 <= bytes.length) {
+        if (!PHOTOSHOP_RESOURCE_SIGNATURES.includes(decodeLatin1(bytes.subarray(pos, pos + 4)))) {
+            report("bad Photoshop resource signature at " + pos);
+            break;
+        }
+        let id = view.getUint16(pos + 4);
+        // Name: a Pascal string, padded to an even length (including the length byte)
+        let nameLength = view.getUint8(pos + 6);
+        let name = decodeLatin1(bytes.subarray(pos + 7, pos + 7 + nameLength));
+        pos += 6 + nameLength + 1 + ((nameLength + 1) % 2);
+        if (pos + 4 > bytes.length) {
+            break;
+        }
+        // Data, also padded to an even length
+        let size = view.getUint32(pos);
+        pos += 4;
+        if (pos + size > bytes.length) {
+            report("Photoshop resource 0x" + id.toString(16) + " extends past the end of the data");
+            break;
+        }
+        resources.push({ id: id, name: name, data: bytes.slice(pos, pos + size) });
+        pos += size + (size % 2);
+    }
+    return resources;
+}
+
+/**
+ * Parse IPTC-IIM records. Returns an object mapping the names of the datasets (see IPTC_DATASETS;
+ * datasets we don't know are named by record:dataset, e.g. "2:200") to their values. Text is
+ * decoded as UTF-8 if the CodedCharacterSet (1:90) says so, otherwise as ISO 8859-1.
+ * 
+ * IIM 4.2, sections 1.5 + 1.6
+ * 
+ * @param {Uint8Array} bytes Contents of Photoshop resource 0x0404
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function parseIPTC(bytes, report) {
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let datasets = [];
+    let pos = 0;
+    while (pos + 5 <= bytes.length) {
+        // Tag marker, record number, dataset number, then the length of the data
+        if (view.getUint8(pos) === 0) {
+            break;      // Padding
+        } else if (view.getUint8(pos) !== 0x1C) {
+            report("bad IPTC tag marker at " + pos);
+            break;
+        }
+        let record = view.getUint8(pos + 1);
+        let dataset = view.getUint8(pos + 2);
+        let length = view.getUint16(pos + 3);
+        pos += 5;
+        if (length & 0x8000) {
+            // Extended dataset: the low 15 bits are the # of bytes giving the length
+            let numBytes = length & 0x7FFF;
+            length = 0;
+            for (let i = 0; i < numBytes && pos < bytes.length; i++, pos++) {
+                length = (length * 256) + view.getUint8(pos);
+            }
+        }
+        if (pos + length > bytes.length) {
+            report("IPTC dataset " + record + ":" + dataset + " extends past the end of the data");
+            break;
+        }
+        datasets.push({ key: record + ":" + dataset, data: bytes.subarray(pos, pos + length) });
+        pos += length;
+    }
+
+    // The character set applies to all the text, so find it first. UTF-8 is ESC % G (ISO 2022)
+    let charset = datasets.find(dataset => dataset.key === "1:90");
+    let utf8 = (charset !== undefined && charset.data.length === 3
+        && charset.data[0] === 0x1B && charset.data[1] === 0x25 && charset.data[2] === 0x47);
+
+    let iptc = {};
+    for (let { key, data } of datasets) {
+        let info = IPTC_DATASETS.get(key) || { name: key };
+        let value;
+        if (info.binary) {
+            value = data.reduce((val, byte) => (val * 256) + byte, 0);
+        } else if (utf8) {
+            value = decodeUTF8(data);
+        } else {
+            value = decodeLatin1(data);
+        }
+        if (info.repeatable) {
+            (iptc[info.name] = iptc[info.name] || []).push(value);
+        } else {
+            iptc[info.name] = value;
+        }
+    }
+    return iptc;
+}
+
+/**
+ * Decode ISO 8859-1 text, where each byte is a character
+ * 
+ * @param {Uint8Array} bytes
+ */
+function decodeLatin1(bytes) {
+    let str = "";
+    for (let byte of bytes) {
+        str += String.fromCharCode(byte);
+    }
+    return str;
+}
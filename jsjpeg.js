@@ -1,5 +1,5 @@
 /**
- * Decode a JPEG image into an HTML Canvas
+ * Decode a JPEG image into pixel buffers
  * 
  * Rough algorithm from the JPEG spec:
  * 
@@ -50,8 +50,6 @@ const NUM_HUFFMAN_LENGTHS = 16;
 
 const DATA_UNIT_SIZE = 8;
 
-let img = {};
-
 /**
  * Returns the high 4 bits of the byte
  * 
@@ -75,7 +73,7 @@ function getLowNibble(byte) {
  */
 function createMarkerCodeTable() {
     // Code assignments
-    codes = new Map([
+    let codes = new Map([
         // SOF markers, non-differential, Huffman-coding 
         [0xC0, "SOF0"],     // Baseline DCT
         [0xC1, "SOF1"],     // Extended sequential DCT
@@ -131,45 +129,471 @@ function createMarkerCodeTable() {
 }
 
 /**
- * Entry point. Reads the specified file and passes it to the parser.
+ * Default options for JpegDecoder:
+ *      idct                IDCT implementation: "calculated", "cached" or "chenwang"
+ *      huffman             Huffman table implementation: "array" (HuffArray) or "tree" (HuffTree)
+ *      colorConversion     YCbCr to RGB conversion: "float" (YCbCrToRGB) or "integer" (YCbCrToRGBInt)
+ *      progressivePreview  Output progressive images after each scan, not just once they're complete
+ *      autoOrient          Rotate/flip the output as given by the EXIF Orientation tag, so it's the right way up
+ *      convertToSRGB       Convert the output from the color space of its ICC profile (if any) to sRGB
+ *      colorSpace          Color space of the components: "auto" to work it out from the file, or one of
+ *                          COLOR_SPACE_COMPONENTS to override that
+ *      strict              Throw a JpegError at the first problem with the file. Otherwise (lenient), problems
+ *                          are added to the warnings of the output and decoding carries on as best it can
+ *      onOutput            Called with the decoded image (see JpegDecoder.decode()) each time it's output
+ *      onProgress          Called as the image is decoded with { phase, frame, scan, row, rows }: phase is
+ *                          "scan" after each row of a scan is decoded (rows is null while the # of lines is
+ *                          waiting on a DNL segment), or "output" when a frame is converted to RGBA
+ */
+const DEFAULT_OPTIONS = {
+    idct: "calculated",
+    huffman: "array",
+    colorConversion: "float",
+    progressivePreview: false,
+    autoOrient: false,
+    convertToSRGB: false,
+    colorSpace: "auto",
+    strict: false,
+    onOutput: null,
+    onProgress: null,
+};
+
+/**
+ * Color spaces the components of an image can be in, and the number of components each has
+ */
+const COLOR_SPACE_COMPONENTS = {
+    Gray: 1,
+    YCbCr: 3,
+    RGB: 3,
+    CMYK: 4,
+    YCCK: 4,
+};
+
+/**
+ * Problem with a JPEG file. A strict decoder throws one (see DEFAULT_OPTIONS); a lenient one adds it to
+ * the warnings of the output (see reportProblem()).
+ */
+class JpegError extends Error {
+
+    /**
+     * @param {String} message What's wrong
+     * @param {Number} offset Offset in the file of the byte where the problem was found
+     * @param {String} marker Name of the marker of the segment the byte is in (see createMarkerCodeTable()),
+     *                        or null if it's not in one
+     */
+    constructor(message, offset, marker) {
+        super(message);
+        this.name = this.constructor.name;
+        this.offset = offset;
+        this.marker = marker;
+    }
+}
+
+/**
+ * The file uses a coding process the decoder doesn't support
+ */
+class UnsupportedProcessError extends JpegError {}
+
+/**
+ * The file ends part way through a segment or scan
+ */
+class TruncatedDataError extends JpegError {}
+
+/**
+ * A quantization, Huffman or arithmetic conditioning table is invalid, or a table that's used
+ * hasn't been defined
+ */
+class InvalidTableError extends JpegError {}
+
+/**
+ * A header or the entropy-coded data has a value that can't be right
+ */
+class InvalidDataError extends JpegError {}
+
+/**
+ * Returns the JpegError class with the given name (e.g. a warning's type), or undefined if there isn't one
+ * 
+ * @param {String} name Name of the class
+ */
+function jpegErrorType(name) {
+    return [UnsupportedProcessError, TruncatedDataError, InvalidTableError, InvalidDataError]
+        .find(type => type.name === name);
+}
+
+/**
+ * Decodes JPEG files into pixel buffers. Doesn't touch the DOM, so it can be used from
+ * web pages, workers and Node alike.
  * 
- * @param {File} fileSpec 
+ * All the state of an image (tables, frame, scans + buffers) belongs to the decoder and
+ * starts out empty for each file, so any number of decoders can be used side by side,
+ * and a decoder can be reused.
  */
-function readFile(fileSpec) {
-    let reader = new FileReader();
-    reader.onload = function (evt) {
-        let result = evt.target.result;
-        parseFile(result);
-    };
-    reader.onerror = function (evt) {
-        alert("error: " + evt);
+class JpegDecoder {
+
+    /**
+     * @param {*} options Decoder options, see DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+        // Choose IDCT function
+        switch(options.idct) {
+            case "calculated":  this.idctFn = idct;          break;
+            case "cached":      this.idctFn = idctCached;    break;
+            case "chenwang":    this.idctFn = idctChenWang;  break;
+            default:
+                console.log(`Warning: unknown IDCT type ${options.idct}`);
+                this.idctFn = idct;
+        }
+
+        // Choose colorspace conversion function
+        switch(options.colorConversion) {
+            case "float":       this.colorConvFn = YCbCrToRGB;       break;
+            case "integer":     this.colorConvFn = YCbCrToRGBInt;    break;
+            default:
+                console.log(`Warning: unknown colorspace conversion type ${options.colorConversion}`);
+                this.colorConvFn = YCbCrToRGB;
+        }
+
+        if (options.huffman !== "array" && options.huffman !== "tree") {
+            console.log(`Warning: unknown Huffman table type ${options.huffman}`);
+        }
+        this.huffmanType = options.huffman;
+        this.progressivePreview = options.progressivePreview;
+        this.autoOrient = options.autoOrient;
+        this.convertToSRGB = options.convertToSRGB;
+        if (options.colorSpace !== "auto" && COLOR_SPACE_COMPONENTS[options.colorSpace] === undefined) {
+            console.log(`Warning: unknown color space ${options.colorSpace}`);
+            options.colorSpace = "auto";
+        }
+        this.colorSpace = options.colorSpace;
+        this.strict = options.strict;
+        this.onOutput = options.onOutput;
+        this.onProgress = options.onProgress;
+
+        // Struct with all the information about the image being decoded
+        this.img = null;
+        // Reader for the file being streamed (see push()), or null if there isn't one
+        this.reader = null;
+        // How much of the file being streamed has to have arrived before decoding picks up again
+        // (see resumeStream())
+        this.resumeAt = 0;
+        // Problems with the last file (see reportProblem()), even if it didn't contain an image
+        this.warnings = [];
+    }
+
+    /**
+     * Decode a JPEG file. Returns null if the file doesn't contain an image, otherwise:
+     *      width, height       Size of the image in pixels
+     *      precision           Sample precision in bits
+     *      components          Component planes, both at their native size (width, height, samples)
+     *                          and scaled up to the size of the image (scaledSamples)
+     *      colorSpace          Color space of the components: "Gray", "YCbCr", "RGB", "CMYK" or "YCCK"
+     *      rgba                The image as 8-bit RGBA pixels, 4 bytes per pixel
+     *      exif                EXIF metadata (see parseExif()), or null if there isn't any
+     *      orientation         EXIF orientation the output was rotated/flipped by (autoOrient only)
+     *      xmp                 XMP metadata (see parseXMP()): the XML of the main + extended packets, and
+     *                          their properties, or null if there isn't any
+     *      iptc                IPTC metadata (see parseIPTC()), e.g. Caption, Keywords + Byline, or null
+     *                          if there isn't any
+     *      photoshop           Photoshop image resources (APP13): id, name + data of each, or null if
+     *                          there aren't any
+     *      icc                 ICC profile (see parseICCProfile()), including the raw profile, or null
+     *                          if there isn't one
+     *      jfif                Contents of the JFIF (APP0) segment: version, units, xDensity + yDensity,
+     *                          or null if there isn't one
+     *      adobe               Contents of the Adobe (APP14) segment: version, flags0, flags1 + transform,
+     *                          or null if there isn't one
+     *      thumbnails          Thumbnails from the JFIF + JFXX (APP0) segments: source ("JFIF" or "JFXX"),
+     *                          format ("rgb", "palette" or "jpeg"), width, height + rgba, and for JPEG
+     *                          thumbnails the JPEG file (data)
+     *      truncated           True if the file ends part way through a scan, in which case the rest of
+     *                          the image is gray (see truncateScan())
+     *      decodedMCUs         If the file was truncated, the # of MCUs of the last scan that were decoded;
+     *                          otherwise null
+     *      concealedMCUs       # of MCUs (summed over the scans) that were lost to corrupt data, and
+     *                          concealed using their neighbors (see concealLostMCUs())
+     *      warnings            Problems with the file, if the decoder isn't strict: { type, message, offset,
+     *                          marker }, where type is the name of a JpegError class (see reportProblem())
+     *      frames              Hierarchical images only: the output of each frame, lowest resolution first
+     *      metadata            Everything else about the file, from its headers: see inspect()
+     * 
+     * @param {ArrayBuffer} data Contents of the JPEG file
+     */
+    decode(data) {
+        let img = createImage(this);
+        this.img = img;
+        this.reader = null;
+        this.warnings = img.warnings;
+        parseFile(data, img);
+
+        if (!img.output) {
+            console.error("Error: no image found");
+        }
+        return img.output;
+    }
+
+    /**
+     * Read the metadata + headers of a JPEG file without decoding the image: the entropy-coded
+     * data of each scan is skipped. Returns null if the file doesn't contain an image, otherwise
+     * the same metadata as decode() returns (see imageMetadata()).
+     * 
+     * @param {ArrayBuffer} data Contents of the JPEG file
+     */
+    inspect(data) {
+        let img = createImage(this);
+        img.inspectOnly = true;
+        this.img = img;
+        this.reader = null;
+        this.warnings = img.warnings;
+        parseFile(data, img);
+
+        if (img.metadata.frames.length === 0) {
+            console.error("Error: no image found");
+            return null;
+        }
+        return imageMetadata(img);
+    }
+
+    /**
+     * Decode a JPEG file as it arrives: call push() with each chunk of the file, then finish() once
+     * there's no more. Everything the data so far allows is decoded straight away. If the data runs
+     * out part way through a segment or a row of a scan, decoding stops, and picks up from the start
+     * of that segment or row when the next chunk arrives. Returns what happened while decoding this
+     * chunk, as a list of events:
+     *      { type: "frame", frame, marker, precision, width, height, components }
+     *                          The size of a frame is known: its header has been read or, if that gave
+     *                          0 lines, the DNL segment has been. frame is the # of the frame in the file
+     *      { type: "scan", frame, scan, components, ss, se, ah, al }
+     *                          A scan has started; components are the IDs of the components in it
+     *      { type: "row", frame, scan, row, rows, y, height, rgba }
+     *                          A row of MCUs has been decoded (row + rows are as for onProgress, see
+     *                          DEFAULT_OPTIONS). It covers height lines of the image from line y. If
+     *                          they're final (sequential images, once each component has been in a scan)
+     *                          rgba has them as 8-bit RGBA pixels, not rotated or converted to sRGB;
+     *                          otherwise it's null
+     *      { type: "output", output }
+     *                          The image has been output (see decode(), and onOutput in DEFAULT_OPTIONS)
+     * 
+     * @param {ArrayBuffer|Uint8Array} chunk The next part of the file
+     */
+    push(chunk) {
+        if (this.reader === null) {
+            this.img = createImage(this);
+            this.img.events = [];
+            this.warnings = this.img.warnings;
+            this.reader = new DataViewReader(new DataView(new ArrayBuffer(0)), false);
+            this.resumeAt = 0;
+        }
+        this.reader.append(ArrayBuffer.isView(chunk) ?
+            new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength) : new Uint8Array(chunk));
+        return this.resumeStream();
+    }
+
+    /**
+     * Tell the decoder that the whole of the file has been pushed (see push()), so it can decode
+     * what's left as far as it goes. Returns the rest of the events, ending with
+     *      { type: "end", output }
+     * where output is the decoded image (see decode()), or null if the file doesn't contain an image.
+     * The next push() starts a new file.
+     */
+    finish() {
+        if (this.reader === null) {
+            this.push(new ArrayBuffer(0));
+        }
+        this.reader.finish();
+        let events = this.resumeStream();
+        this.reader = null;
+
+        let img = this.img;
+        if (!img.output) {
+            console.error("Error: no image found");
+        }
+        events.push({ type: "end", output: img.output });
+        return events;
+    }
+
+    /**
+     * Decode as much of the file being streamed as has arrived, from where decoding stopped last
+     * time. Returns the events since then (see push()).
+     */
+    resumeStream() {
+        let img = this.img;
+        let length = this.reader.view.byteLength;
+        if (length < this.resumeAt && !this.reader.complete) {
+            return [];
+        }
+        try {
+            parseSegments(this.reader, img);
+        } catch (e) {
+            if (!(e instanceof EndOfDataError) || this.reader.complete) {
+                throw e;
+            }
+            // Wait for more data, then go back to the start of the segment or row we were in.
+            // Everything since then is decoded again, so wait until there's twice as much of it:
+            // otherwise pushing a row in small chunks would decode it over + over, once per chunk.
+            restoreCheckpoint(this.reader, img);
+            this.resumeAt = 2 * length - this.reader.currentIndex();
+        }
+        let events = img.events;
+        img.events = [];
+        return events;
+    }
+}
+
+/**
+ * Returns a new struct for the state of an image being decoded, with no tables, frame or
+ * metadata yet
+ * 
+ * @param {*} settings Where to copy the decoding options from: a JpegDecoder, or the struct of another image
+ */
+function createImage(settings) {
+    let img = {};
+    img.idctFn = settings.idctFn;
+    img.colorConvFn = settings.colorConvFn;
+    img.huffmanType = settings.huffmanType;
+    img.progressivePreview = settings.progressivePreview;
+    img.autoOrient = settings.autoOrient;
+    img.convertToSRGB = settings.convertToSRGB;
+    img.colorSpace = settings.colorSpace;
+    img.onOutput = settings.onOutput;
+    img.onProgress = settings.onProgress;
+    img.strict = settings.strict;
+    img.inspectOnly = false;
+    img.seenSOI = false;
+    img.seeingJunk = false;
+    img.ended = false;              // Set at the EOI marker; anything after it is ignored
+    img.scanInProgress = null;      // Scan whose rows are being decoded
+    img.checkpoint = null;          // Where to pick up from when more of a streamed file arrives
+    img.events = null;              // Events for JpegDecoder.push(), if the file is being streamed
+    img.truncated = null;           // Where the file was cut short: { scan, mcus } (see truncateScan())
+    img.concealedMCUs = 0;          // # of MCUs lost to corrupt data (see concealLostMCUs())
+    img.marker = null;              // Marker of the segment being parsed
+    img.warnings = [];              // Problems with the file, if we're not strict (see reportProblem())
+    img.output = null;
+    img.metadata = createMetadata();
+    img.exif = null;
+    img.xmpPacket = null;
+    img.xmpChunks = [];
+    img.xmp = null;
+    img.iccChunks = [];
+    img.icc = null;
+    img.photoshopChunks = [];
+    img.photoshop = null;
+    img.adobe = null;
+    img.jfif = null;
+    img.thumbnails = [];
+    return img;
+}
+
+/**
+ * Entry point. Decodes a JPEG file with a new JpegDecoder; see JpegDecoder.decode()
+ * 
+ * @param {ArrayBuffer} data Contents of the JPEG file
+ * @param {*} options Decoder options, see DEFAULT_OPTIONS
+ */
+function decode(data, options = {}) {
+    return new JpegDecoder(options).decode(data);
+}
+
+/**
+ * Reads the metadata of a JPEG file with a new JpegDecoder, without decoding the image;
+ * see JpegDecoder.inspect()
+ * 
+ * @param {ArrayBuffer} data Contents of the JPEG file
+ * @param {*} options Decoder options, see DEFAULT_OPTIONS
+ */
+function inspect(data, options = {}) {
+    return new JpegDecoder(options).inspect(data);
+}
+
+/**
+ * Report a problem with the file. A strict decoder throws it (see DEFAULT_OPTIONS); otherwise it's
+ * logged and added to the image's warnings as { type, message, offset, marker }, and the caller
+ * carries on as best it can.
+ * 
+ * @param {*} img Struct with information about the image
+ * @param {Function} ErrorType Kind of problem: a subclass of JpegError
+ * @param {Number} offset Offset in the file of the byte where the problem was found
+ * @param {String} message What's wrong
+ * @param {String} marker Marker of the segment the problem is in, if it isn't the one being parsed
+ */
+function reportProblem(img, ErrorType, offset, message, marker = img.marker) {
+    let error = new ErrorType(message, offset, marker);
+    if (img.strict) {
+        throw error;
     }
-    reader.readAsArrayBuffer(fileSpec);
+    console.warn("Warning: " + message);
+    img.warnings.push({ type: error.name, message: message, offset: offset, marker: marker });
 }
 
+/**
+ * Parse the segments of a JPEG file, decoding the image as we go
+ * 
+ * @param {ArrayBuffer} data Contents of the JPEG file
+ * @param {*} img Struct with information about the image; filled in as the file is parsed
+ */
+function parseFile(data, img) {
+    parseSegments(new DataViewReader(new DataView(data)), img);
+}
 
 /**
+ * Parse the segments of a JPEG file from where the reader is, decoding the image as we go. If the
+ * file ends part way through a segment or before the EOI marker, the image is finished with what
+ * we have.
  * 
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image; filled in as the file is parsed
+ */
+function parseSegments(reader, img) {
+    try {
+        readSegments(reader, img);
+    } catch (e) {
+        // A file that's still arriving waits for more data (see JpegDecoder.resumeStream())
+        if (!(e instanceof EndOfDataError) || !reader.complete) {
+            throw e;
+        }
+        reportProblem(img, TruncatedDataError, reader.currentIndex(), "file ends part way through "
+            + (img.marker !== null ? "the " + img.marker + " segment" : "a marker"));
+        finishFrame(img);
+        img.ended = true;
+    }
+    if (!img.ended && img.seenSOI && reader.complete) {
+        reportProblem(img, TruncatedDataError, reader.view.byteLength, "file ends before the EOI marker");
+        finishFrame(img);
+        img.ended = true;
+    }
+}
+
+/**
+ * Read segments until the end of the image or of the data. If the file is being streamed and
+ * a scan ran out of data, the scan is finished first.
  * 
- * @param {ArrayBuffer} data 
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image; filled in as the file is parsed
  */
-function parseFile(data) {
+function readSegments(reader, img) {
     let codes = createMarkerCodeTable();
-    let reader = new DataViewReader(new DataView(data));
-    let seenSOI = false;
-    let seeingJunk = false;
-    while (reader.hasMoreBytes()) {
+    if (img.scanInProgress !== null) {
+        decodeScanRows(reader, img, img.scanInProgress);
+    }
+    while (!img.ended) {
+        saveCheckpoint(reader, img);
+        img.marker = null;      // Between segments until the next marker has been read
+        if (!reader.hasMoreBytes()) {
+            break;
+        }
         // Look for markers / parameters
         let byte = reader.nextByte();
         if (byte != 0xFF) {
-            if (!seeingJunk) {
+            if (!img.seeingJunk) {
                 console.log(reader.currentIndex() + " Found junk byte(s) starting at: " + reader.currentIndex());
-                seeingJunk = true;
+                img.seeingJunk = true;
             }
             continue;   // Junk
-        } else if (seeingJunk) {
+        } else if (img.seeingJunk) {
             console.log(reader.currentIndex() + " Last junk byte was at " + (reader.currentIndex() - 1));
-            seeingJunk = false;
+            img.seeingJunk = false;
         }
         if (!reader.hasMoreBytes()) {
             console.log("Unexpected EOF");
@@ -181,59 +605,103 @@ function parseFile(data) {
             continue;
         }
         console.log(reader.currentIndex() + ": Found " + marker + " for " + byte);
+        img.marker = marker;
+        if (!reader.complete && marker !== "SOI*" && marker !== "EOI*" && marker !== "TEM*" && !marker.startsWith("RST")) {
+            // Wait until the whole segment has arrived, so segments are never parsed in pieces
+            reader.ensureAvailable(2);
+            reader.ensureAvailable((reader.peekByte(1) << 8) | reader.peekByte(2));
+        }
         if (marker === "SOI*") {
             // We should ignore everything before we see an SOI
-            seenSOI = true;
+            img.seenSOI = true;
             img.restartInterval = 0;
+            img.numScans = 0;
+            img.arithmeticConditioning = ArithmeticDecoder.defaultConditioning();
+            img.frame = null;
+            img.hierarchy = null;
+            img.exif = null;
+            img.xmpPacket = null;
+            img.xmpChunks = [];
+            img.xmp = null;
+            img.iccChunks = [];
+            img.icc = null;
+            img.photoshopChunks = [];
+            img.photoshop = null;
+            img.adobe = null;
+            img.jfif = null;
+            img.thumbnails = [];
+            img.metadata = createMetadata();
             continue;
-        } else if (seenSOI === false) {
-            console.log("Error: Missing SOI");
+        } else if (img.seenSOI === false) {
+            reportProblem(img, InvalidDataError, reader.currentIndex() - 1, "missing SOI marker");
+            img.ended = true;
             break;
         }
         // Tables / Misc
         if (marker === "DHT") {
             parseHuffmanTable(marker, reader, img);
         } else if (marker === "DAC") {
-            // Arithmetic coding not supported
-            parseUnsupportedSegment(marker, reader);
+            parseArithmeticConditioning(marker, reader, img);
         } else if (marker === "DQT") {
             parseQuantizationTable(marker, reader, img);
         } else if (marker === "DRI") {
             parseRestartInterval(marker, reader, img);
         } else if (marker === "COM") {
-            parseUnsupportedSegment(marker, reader);
+            parseComment(marker, reader, img);
         } else if (marker.startsWith("APP")) {
-            // Look for JFIF
-            parseAppSegment(marker, reader);
+            // Look for JFIF, EXIF, XMP, ICC profiles, Photoshop + Adobe
+            parseAppSegment(marker, reader, img);
         }
 
         // Interpret frame data
-        else if (marker === "SOF0") {
-            seenSOF = true;
+        else if (marker === "SOF0" || marker === "SOF1" || marker === "SOF2" || marker === "SOF3"
+                || marker === "SOF5" || marker === "SOF6" || marker === "SOF7"
+                || marker === "SOF9" || marker === "SOF10" || marker === "SOF13" || marker === "SOF14") {
+            finishFrame(img);
             decodeFrame(marker, reader, img);
+            if (img.frame.frameY > 0) {
+                emitFrameEvent(img);
+            }
+        } else if (marker === "SOF11" || marker === "SOF15") {
+            reportProblem(img, UnsupportedProcessError, reader.currentIndex() - 1,
+                "arithmetic-coded lossless images (" + marker + ") aren't supported");
+            img.ended = true;   // None of the scans can be decoded
         } else if (marker.startsWith("RST")) {
-            // TODO: Need to parse this! (We shouldn't come across an RST in this code
-            // path; it should be found + consumed during processing of a scan)
-            parseUnsupportedSegment(marker, reader);
+            // Restart markers belong in the entropy-coded data of a scan, where they're consumed as the
+            // scan is decoded (see processRestart() + resyncScan()), so this one is stray, e.g. after
+            // the last MCU of a scan. It has no parameters, so there's nothing to skip.
+            reportProblem(img, InvalidDataError, reader.currentIndex() - 1, "found " + marker + " marker outside a scan");
         } else if (marker === "EOI*") {
             console.log("Found EOI marker. Bye!");
+            finishFrame(img);
+            img.ended = true;
             break;
+        } else if (marker === "SOS" && !img.frame) {
+            // Nothing to decode the scan into, so skip it
+            reportProblem(img, InvalidDataError, reader.currentIndex() - 1, "found SOS segment before the frame header");
+            parseUnsupportedSegment(marker, reader);
+            skipEntropyCodedData(reader);
         } else if (marker === "SOS") {
-            img.scan = parseStartOfSequence(marker, reader);
-            decodeScan(marker, reader, img, img.scan);
+            img.scan = parseStartOfSequence(marker, reader, img);
+            img.numScans++;
+            emitEvent(img, { type: "scan", frame: img.metadata.frames.length, scan: img.numScans,
+                components: img.scan.components.map(component => component[0]),
+                ss: img.scan.ss, se: img.scan.se, ah: img.scan.ah, al: img.scan.al });
+            if (img.inspectOnly) {
+                skipEntropyCodedData(reader);
+            } else {
+                decodeScan(marker, reader, img, img.scan);
+            }
         } else if (marker === "DNL") {
-            // TODO: We shouldn't come across this in this part of the parser,
-            // and even if we didn't we wouldn't know what to do with it.
-            // Best thing to do is to preprocess the file to extract the # of lines
-            // from the DNL header, so we don't have to check for DNL while decoding a scan
-            // (Also, DNL is rarely used in practice, many decoders don't support it...)
+            // We shouldn't come across this in this part of the parser; the first scan
+            // ends at the DNL segment and consumes it (see scanHasRow())
             parseDNL(reader, img);
         } else if (marker === "DHP") {
             // DHP only used in hierarchical images
-            parseUnsupportedSegment(marker, reader);
+            parseHierarchicalProgression(marker, reader, img);
         } else if (marker === "EXP") {
-            // EXP not supported; assume all components are fullsize
-            parseUnsupportedSegment(marker, reader);
+            finishFrame(img);
+            parseExpandReference(marker, reader, img);
         }
         
         // Misc stuff we ignore
@@ -266,6 +734,42 @@ function parseUnsupportedSegment(marker, reader) {
     reader.skip(length - 2);    // Length includes the 2 bytes that describe length
 }
 
+/**
+ * Parse a comment. The spec doesn't say how comments are encoded; they're decoded as UTF-8 if
+ * they're valid UTF-8 (which includes ASCII), otherwise as ISO 8859-1 (see decodeComment()).
+ * 
+ * B.2.4.5
+ * 
+ * @param {String} marker Name of the segment
+ * @param {DataViewReader} reader 
+ * @param {*} img Struct with information about the image
+ */
+function parseComment(marker, reader, img) {
+    let offset = reader.currentIndex() - 1;     // Index of the marker
+    let length = reader.nextWord();
+    console.log("   Length of " + marker + " segment: " + length);
+
+    let end = reader.currentIndex() + length - 2;    // Length includes the 2 bytes that describe length
+    let data = segmentBytes(reader, end);
+    let comment = decodeComment(data);
+    img.metadata.comments.push({ offset: offset, text: comment.text, charset: comment.charset, data: data });
+    console.log("Comment: " + comment.text);
+    reader.skip(end - reader.currentIndex());
+}
+
+/**
+ * Decode the text of a comment, as UTF-8 if it's valid UTF-8, otherwise as ISO 8859-1.
+ * Returns { text, charset }.
+ * 
+ * @param {Uint8Array} data Contents of the COM segment
+ */
+function decodeComment(data) {
+    let utf8 = isUTF8(data);
+    // Some encoders terminate comments with a NUL
+    let text = (utf8 ? decodeUTF8(data) : decodeLatin1(data)).replace(/\0+$/, "");
+    return { text: text, charset: (utf8 ? "UTF-8" : "ISO-8859-1") };
+}
+
 /**
  * Decode a frame of the image
  * 
@@ -277,6 +781,7 @@ function decodeFrame(marker, reader, img) {
     console.log("   Length of " + marker + " segment: " + length);
 
     let precision = reader.nextByte();
+    let precisionOffset = reader.currentIndex();
     let frameY = reader.nextWord();
     let frameX = reader.nextWord();
     let numComponents = reader.nextByte();
@@ -290,13 +795,50 @@ function decodeFrame(marker, reader, img) {
         component.quantTableID = reader.nextByte();   // quant table to use (0-3)
         components[i] = component;
     }
-    frame = {};
+    let frame = {};
+    frame.baseline = (marker === "SOF0");
+    frame.progressive = (marker === "SOF2" || marker === "SOF6" || marker === "SOF10" || marker === "SOF14");
+    frame.lossless = (marker === "SOF3" || marker === "SOF7");
+    frame.arithmetic = (marker === "SOF9" || marker === "SOF10" || marker === "SOF13" || marker === "SOF14");
+    frame.differential = (marker === "SOF5" || marker === "SOF6" || marker === "SOF7"
+        || marker === "SOF13" || marker === "SOF14");
+    if (frame.lossless) {
+        if (precision < 2 || precision > 16) {
+            reportProblem(img, InvalidDataError, precisionOffset,
+                "sample precision must be 2-16 for lossless images, got " + precision);
+        }
+    } else if (precision != 8 && precision != 12) {
+        reportProblem(img, InvalidDataError, precisionOffset,
+            "sample precision must be 8 or 12 for DCT-based images, got " + precision);
+    } else if (frame.baseline && precision != 8) {
+        reportProblem(img, InvalidDataError, precisionOffset, "baseline images must use 8-bit samples, got " + precision);
+    }
+    if (frame.differential && !img.hierarchy) {
+        reportProblem(img, InvalidDataError, precisionOffset - 3,
+            "found differential frame (" + marker + ") outside of a hierarchical image");
+    } else if (img.hierarchy && precision != img.hierarchy.precision) {
+        reportProblem(img, InvalidDataError, precisionOffset, "frame precision (" + precision
+            + ") doesn't match DHP precision (" + img.hierarchy.precision + ")");
+    }
+    if (numComponents !== 1 && numComponents !== 3 && numComponents !== 4) {
+        reportProblem(img, UnsupportedProcessError, precisionOffset + 5,
+            "image has " + numComponents + " components; we only support 1, 3 or 4");
+    }
+    frame.offset = precisionOffset - 3;     // Where the frame header starts, for problems found later
+    frame.marker = marker;
     frame.precision = precision;
     frame.frameY = frameY;
     frame.frameX = frameX;
     frame.numComponents = numComponents;
     frame.components = components;
     img.frame = frame;
+    img.metadata.frames.push({
+        marker: marker,
+        precision: precision,
+        width: frameX,
+        height: frameY,
+        components: components.map(component => Object.assign({}, component)),
+    });
     console.log("precision: " + precision + ", frameY: " + frameY + ", frameX: " + frameX
                 + ", #components: " + numComponents);
     for (let i = 0; i < numComponents; i++) {
@@ -306,31 +848,96 @@ function decodeFrame(marker, reader, img) {
     // Figure out component dimensions (A.1.1)
     let hmax = 0;   // Max H sampling factor across all components
     let vmax = 0;   // Max V sampling factor across all components
-    for (component of components) {
+    for (let component of components) {
         hmax = Math.max(hmax, component.hSampleFactor);
         vmax = Math.max(vmax, component.vSampleFactor);
     }
+    frame.hmax = hmax;
+    frame.vmax = vmax;
+    // Lossless images code individual samples instead of 8x8 blocks (H.1.1)
+    let duSize = (frame.lossless ? 1 : DATA_UNIT_SIZE);
+    frame.duSize = duSize;
     // Calculate # of horizontal + vertical MCUs in the image
-    frame.hMCUs = Math.ceil(frame.frameX / DATA_UNIT_SIZE / hmax);
-    frame.vMCUS = Math.ceil(frame.frameY / DATA_UNIT_SIZE / vmax);
+    frame.hMCUs = Math.ceil(frame.frameX / duSize / hmax);
+    if (frameY === 0) {
+        // # of lines is defined by a DNL segment at the end of the first scan (B.2.5). Until
+        // then, the frame grows as the scan is decoded.
+        console.log("Number of lines will be defined by DNL");
+    }
+    if (!img.inspectOnly) {     // Nothing's decoded when inspecting, so no buffers are needed
+        sizeFrame(frame, Math.ceil(frame.frameY / duSize / vmax));
+    }
+}
+
+/**
+ * Set the # of MCU rows in the frame, and calculate the size of the output + each component
+ * from it. Component buffers are (re)allocated to fit; anything that's already been decoded
+ * into them is kept.
+ * 
+ * A.1.1
+ * 
+ * @param {*} frame Struct with information about the frame, including its components
+ * @param {Number} vMCUS # of vertical MCUs in the frame
+ */
+function sizeFrame(frame, vMCUS) {
+    let duSize = frame.duSize;
+    frame.vMCUS = vMCUS;
     
     // Calculate size in pixels of output buffer (which may be bigger than the image)
-    frame.outputX = frame.hMCUs * hmax * DATA_UNIT_SIZE;
-    frame.outputY = frame.vMCUS * vmax * DATA_UNIT_SIZE;
+    frame.outputX = frame.hMCUs * frame.hmax * duSize;
+    frame.outputY = frame.vMCUS * frame.vmax * duSize;
+
+    // Samples over 8 bits need 16 bits of storage
+    let SampleArray = (frame.precision > 8 ? Uint16Array : Uint8Array);
+    // Differential frames decode signed differences from the reference image (J.1.2)
+    let DecodeArray = (frame.differential ? Int32Array : SampleArray);
 
     // Calculate component dimensions (x,y)
-    for (component of components) {
-        component.hSize = Math.ceil(frame.outputX * (component.hSampleFactor / hmax)); // size in X
-        component.vSize = Math.ceil(frame.outputY * (component.vSampleFactor / vmax)); // size in Y
+    for (let component of frame.components) {
+        component.hSize = Math.ceil(frame.outputX * (component.hSampleFactor / frame.hmax)); // size in X
+        component.vSize = Math.ceil(frame.outputY * (component.vSampleFactor / frame.vmax)); // size in Y
         console.log("    Component[" + component.componentID + "] size: "
             + component.hSize + "x" + component.vSize);
+
+        // Size of the component itself, without the padding
+        component.width = Math.ceil(frame.frameX * component.hSampleFactor / frame.hmax);
+        component.height = Math.ceil(frame.frameY * component.vSampleFactor / frame.vmax);
+
+        // # of data units in the component's buffer, which is padded out to whole MCUs
+        component.blocksPerLine = component.hSize / duSize;
+        component.blocksPerColumn = component.vSize / duSize;
+        // # of data units covering the component itself, which is what a non-interleaved
+        // scan codes (A.2.2)
+        component.scanBlocksX = Math.ceil(component.width / duSize);
+        component.scanBlocksY = Math.ceil(component.height / duSize);
+
+        // Set up output buffers for the component
+        let buffSize = component.hSize * component.vSize;   // component x * y
+        component.imgBuff = resizeBuffer(component.imgBuff, DecodeArray, buffSize);
+        component.outputBuff = resizeBuffer(component.outputBuff, SampleArray, frame.outputX * frame.outputY);  // Image size
+        if (frame.progressive) {
+            // Progressive scans refine the coefficients a little at a time, so we keep all of them
+            // (in zig-zag order, 64 per data unit) until the last scan has been decoded (G.1.1)
+            component.coeffs = resizeBuffer(component.coeffs, Int32Array,
+                component.blocksPerLine * component.blocksPerColumn * DATA_UNIT_SIZE * DATA_UNIT_SIZE);
+        }
     }
+}
 
-    // Set up output buffers for each component
-    for (component of components) {
-        component.imgBuff = new Uint8Array(component.hSize * component.vSize);  // component x * y
-        component.outputBuff = new Uint8Array(frame.outputX * frame.outputY);   // Image size
+/**
+ * Returns a typed array of the given length, with the contents of the old buffer copied
+ * to the start of it (truncated if necessary)
+ * 
+ * @param {*} buff Old buffer; may be undefined
+ * @param {Function} ArrayType Constructor of the new buffer
+ * @param {Number} length # of elements in the new buffer
+ */
+function resizeBuffer(buff, ArrayType, length) {
+    let resized = new ArrayType(length);
+    if (buff !== undefined) {
+        resized.set(buff.length > length ? buff.subarray(0, length) : buff);
     }
+    return resized;
 }
 
 
@@ -355,16 +962,46 @@ function parseStartOfSequence(marker, reader, img) {
         components[i] = component;
     }
     let ss = reader.nextByte();    // Start of predictor selection
-    if (ss != 0) {
-        console.error("Expected SS=0, got " + ss + ". Not a sequential DCT scan?");
-    }
+    let ssOffset = reader.currentIndex();
     let se = reader.nextByte();    // End of predictor selection
-    if (se != 63) {
-        console.error("Expected SE=63, got " + se + ". Not a sequential DCT scan?");
-    }
     let tmp = reader.nextByte();
     let ah = getHighNibble(tmp);        // Successive approx. bit position high
     let al = getLowNibble(tmp);         // Successive approx. bit position low
+    let invalid = (offset, message) => reportProblem(img, InvalidDataError, offset, message);
+    if (img.frame.lossless && img.frame.differential) {
+        // Differential lossless scans code the difference from the reference without prediction (J.1.3)
+        if (ss != 0) {
+            invalid(ssOffset, "expected predictor selection (SS) of 0 for a differential lossless scan, got " + ss);
+        }
+        if (se != 0 || ah != 0) {
+            invalid(ssOffset + 1, "expected SE=0 and AH=0 for a lossless scan, got " + se + " and " + ah);
+        }
+    } else if (img.frame.lossless) {
+        // Ss selects the predictor, Al is the point transform (H.1.2)
+        if (ss < 1 || ss > 7) {
+            invalid(ssOffset, "expected predictor selection (SS) of 1-7 for a lossless scan, got " + ss);
+        }
+        if (se != 0 || ah != 0) {
+            invalid(ssOffset + 1, "expected SE=0 and AH=0 for a lossless scan, got " + se + " and " + ah);
+        }
+    } else if (img.frame.progressive) {
+        // Spectral selection: a scan codes either the DC coefficient or a band of AC coefficients
+        // for a single component (G.1.1.1.1)
+        if (ss === 0 && se != 0) {
+            invalid(ssOffset + 1, "expected SE=0 for a DC scan, got " + se);
+        } else if (ss > se || se > 63) {
+            invalid(ssOffset, "invalid spectral selection for progressive scan: SS=" + ss + ", SE=" + se);
+        } else if (ss > 0 && numComponents != 1) {
+            invalid(ssOffset - (2 * numComponents) - 1, "AC scans must contain a single component, got " + numComponents);
+        }
+    } else {
+        if (ss != 0) {
+            invalid(ssOffset, "expected SS=0, got " + ss + ". Not a sequential DCT scan?");
+        }
+        if (se != 63) {
+            invalid(ssOffset + 1, "expected SE=63, got " + se + ". Not a sequential DCT scan?");
+        }
+    }
     console.log("numComponents: " + numComponents + ", ss: " + ss + ", se: " 
         + se + ", ah: " + ah + ", al: " + al);
     for (let i = 0; i < numComponents; i++) {
@@ -377,6 +1014,8 @@ function parseStartOfSequence(marker, reader, img) {
     scan.se = se;
     scan.ah = ah;
     scan.al = al;
+    // Remaining # of blocks in an end-of-band run (progressive AC scans only; G.1.2.2)
+    scan.eobrun = 0;
     // Workspace to store DC + AC coefficients when decoding a block
     scan.block = new Array(DATA_UNIT_SIZE * DATA_UNIT_SIZE);
     // Scratch space used when reordering coefficients from zig-zag order
@@ -412,34 +1051,19 @@ function decodeScan(marker, reader, img, scan) {
     // Scratch space for DC predictor. Indexed by component ID (therefore usually 1-indexed)
     scan.dcpred = [];
 
-    // Choose IDCT function
-    let idctType = document.querySelector('input[name="idctType"]:checked').value;
-    switch(idctType) {
-        case "calculated":  idctFn = idct;          break;
-        case "cached":      idctFn = idctCached;    break;
-        case "chenwang":    idctFn = idctChenWang;  break;
-        default:
-            console.log(`Warning: unknown IDCT type ${idctType}`);
-            idctFn = idct;
-    }
-
-    // Choose colorspace conversion function
-    let colorConvFn;
-    let colorConvType = document.querySelector('input[name="colorConvType"]:checked').value;
-    switch(colorConvType) {
-        case "float":       colorConvFn = YCbCrToRGB;       break;
-        case "integer":     colorConvFn = YCbCrToRGBInt;    break;
-        default:
-            console.log(`Warning: unknown colorspace conversion type ${colorConvType}`);
-            colorConvFn = YCbCrToRGB;
-    }
-
     // Order components in order specified by scan selector (B.2.3)
     let components = [];
-    for (selector of scan.components) {
-        for (imgComponent of img.frame.components) {
+    for (let selector of scan.components) {
+        for (let imgComponent of img.frame.components) {
             let id = imgComponent.componentID;
             if (id === selector[0]) {
+                if (img.frame.baseline && (selector[1] > 1 || selector[2] > 1)) {
+                    reportProblem(img, InvalidTableError, reader.currentIndex(), "baseline images may only use Huffman "
+                        + "tables 0 and 1, component " + id + " uses " + selector[1] + "/" + selector[2]);
+                }
+                imgComponent.dcTableID = selector[1];
+                imgComponent.acTableID = selector[2];
+                imgComponent.coded = true;      // At least one scan of the frame codes the component
                 components.push(imgComponent);
                 scan.dcpred[id] = 0;    // Reset DC pred for each component (E.2.4)
                 break;
@@ -448,113 +1072,1354 @@ function decodeScan(marker, reader, img, scan) {
     }
     // Image components in the order specified by the scan selector
     scan.orderedComponents = components;
-    
-    // Note: data is always interleaved if there is more than 1 component (A.2)
-    // Read compressed data; decode it....
-    let mcuIndex = 0;
-    for (let v = 0; v < img.frame.vMCUS; v++) {
-        for (let h = 0; h < img.frame.hMCUs; h++) {
-            // console.log("Decoding MCU " + mcuIndex);
-            if (img.restartInterval > 0 && mcuIndex > 0 && (mcuIndex % img.restartInterval) === 0) {
-                // Look for a restart marker; file is likely corrupt if we don't find one
-                let byte = reader.nextByte();
-                if (byte != 0xFF) {
-                    console.error("Expected 0xFF when looking for restart marker, found "
-                        + byte.toString(16));
-                }
-                byte = reader.nextByte();
-                if (byte >= 0xD0 && byte <= 0xD7) {
-                    // console.log("Restart marker " + byte.toString(16) + ", resetting decoder");
-                } else {
-                    console.error("Found unexpected marker when looking for reset: " + byte.toString(16));
+
+    let missing = missingHuffmanTable(img, scan) || missingQuantTable(img, scan);
+    if (missing !== null) {
+        // There's no telling what the entropy-coded data means, so skip it
+        reportProblem(img, InvalidTableError, reader.currentIndex(), missing);
+        skipEntropyCodedData(reader);
+        return;
+    }
+
+    // Entropy decoder for the scan's coding (F.2.2 for Huffman, F.2.4 for arithmetic)
+    scan.entropyDecoder = (img.frame.arithmetic ? new ArithmeticDecoder(img) : new HuffmanDecoder());
+
+    // Pick the routine that decodes a single data unit in this scan
+    let decodeBlockFn = decodeSequentialBlock;
+    if (img.frame.lossless) {
+        decodeBlockFn = decodeLosslessSample;
+        scan.intervalStart = [];
+    } else if (img.frame.progressive) {
+        decodeBlockFn = decodeProgressiveBlock;
+    }
+
+    // Entropy-coded data for each scan starts on a byte boundary
+    reader.align();
+
+    scan.decodeBlockFn = decodeBlockFn;
+    scan.row = 0;           // Index of the next row to decode
+    scan.mcuIndex = 0;      // Index of the next MCU to decode
+    scan.interval = 0;      // Index of the restart interval being decoded
+    scan.lost = [];         // Ranges of MCUs lost to corrupt data: { start, end } (see resyncScan())
+    img.scanInProgress = scan;
+    decodeScanRows(reader, img, scan);
+}
+
+/**
+ * Returns a message saying which Huffman table a scan uses that hasn't been defined, or null if
+ * they all have been (or the scan is arithmetic-coded). Each component of a sequential scan needs
+ * a DC + AC table; progressive scans only need the table for the coefficients they code, and
+ * refinement DC scans don't need one at all (G.1.2.1). Lossless scans only use DC tables (H.1.2.2).
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan
+ */
+function missingHuffmanTable(img, scan) {
+    let frame = img.frame;
+    if (frame.arithmetic) {
+        return null;
+    }
+    let needsDC = (frame.lossless || !frame.progressive || (scan.ss === 0 && scan.ah === 0));
+    let needsAC = (!frame.lossless && (!frame.progressive || scan.ss > 0));
+    let defined = (tableClass, id) => (img.huffmanTables !== undefined && img.huffmanTables[tableClass][id] !== undefined);
+    for (let component of scan.orderedComponents) {
+        if (needsDC && !defined(0, component.dcTableID)) {
+            return "component " + component.componentID + " uses DC Huffman table " + component.dcTableID
+                + ", which hasn't been defined";
+        }
+        if (needsAC && !defined(1, component.acTableID)) {
+            return "component " + component.componentID + " uses AC Huffman table " + component.acTableID
+                + ", which hasn't been defined";
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns a message saying which quantization table a scan uses that hasn't been defined, or null
+ * if they all have been (or the frame is lossless, so doesn't use them). The table a component uses
+ * is given by its frame header, and has to be defined before the first scan that codes it (B.2.4.1).
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan
+ */
+function missingQuantTable(img, scan) {
+    if (img.frame.lossless) {
+        return null;
+    }
+    for (let component of scan.orderedComponents) {
+        if (img.quantTables === undefined || img.quantTables[component.quantTableID] === undefined) {
+            return "component " + component.componentID + " uses quant table " + component.quantTableID
+                + ", which hasn't been defined";
+        }
+    }
+    return null;
+}
+
+/**
+ * Read compressed data from where the scan has got to (scan.row) and decode it, then finish
+ * the scan. When the file is being streamed, a checkpoint is saved before each row, so that if
+ * the data runs out part way through a row, the row can be decoded again once more data arrives.
+ * After corrupt data, decoding picks up again at the next marker (see resyncScan()), and the MCUs
+ * that were lost are concealed once the scan is over.
+ * 
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan
+ */
+function decodeScanRows(reader, img, scan) {
+    let truncated = false;
+    let corruption = null;
+    while (true) {
+        try {
+            if (corruption !== null) {
+                let ended = resyncScan(reader, img, scan, corruption);
+                corruption = null;
+                if (ended) {
+                    truncated = true;
+                    break;
                 }
-                // Found restart marker, so reset decoder (F.2.1.3.1)
-                scan.dcpred.fill(0);
-                reader.align();     // Align to the next byte
             }
-            decodeMCU(reader, img, scan, v, h);
-            mcuIndex++;
+            decodeRows(reader, img, scan);
+            scan.entropyDecoder.finishInterval(reader);
+            break;
+        } catch (e) {
+            if (e instanceof CorruptDataError) {
+                // Skip to where decoding can pick up again (strict decoding stops there instead)
+                corruption = e;
+                continue;
+            }
+            // A file that's still arriving waits for more data; otherwise the file has been cut short
+            if (!(e instanceof EndOfDataError) || !reader.complete) {
+                throw e;
+            }
+            reportProblem(img, TruncatedDataError, reader.currentIndex(), "file ends part way through scan "
+                + img.numScans + "; decoded " + scan.mcuIndex + " MCUs");
+            truncated = true;
+            break;
         }
     }
+    img.scanInProgress = null;
 
-    // Draw the components at their native size, then scale up to the image's size,
-    // then draw the components at the image's size. Finally, convert the components
-    // to RGB and draw the combined image to the page.
-    for (component of components) {
-        drawComponent(component);
-        scaleComponent(component);
-        drawComponentFullSize(component);
+    if (img.frame.lossless && scan.al > 0) {
+        // Undo the point transform now that prediction is done with (H.1.2.1)
+        for (let component of scan.orderedComponents) {
+            for (let i = 0; i < component.imgBuff.length; i++) {
+                component.imgBuff[i] <<= scan.al;
+            }
+        }
+    }
+    if (scan.lost.length > 0) {
+        concealLostMCUs(img, scan);
+    }
+    if (truncated) {
+        truncateScan(img, scan);
     }
-    combineComponents(components, colorConvFn);
 
-    document.getElementById("outputhsize").textContent = img.frame.outputX;
-    document.getElementById("outputvsize").textContent = img.frame.outputY;
+    // Frames of a hierarchical image are only output once they're complete, since
+    // they need to be combined with the previous frame
+    if (!img.hierarchy && (!img.frame.progressive || img.progressivePreview)) {
+        outputFrame(img);
+    }
+    if (truncated) {
+        // That's the end of the file, so the frame is as complete as it's going to get
+        finishFrame(img);
+        img.ended = true;
+    }
 }
 
 /**
- * Convert the 3 YCrCB components to RGB and combine them into a single output image,
- * then draw the image to the output canvas.
+ * Decode the rows of a scan, from where the scan has got to (scan.row + scan.mcuIndex, which may
+ * be part way through a row after resyncScan())
  * 
- * @param {*} components List of components
- * @param {*} colorConvFn Function to use for colorspace conversion
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan
  */
-function combineComponents(components, colorConvFn) {
-    // Combine images via YCbCr --> YUV conversion
-    let canvas = document.getElementById("outputCanvas");
-    canvas.setAttribute("width", img.frame.outputX);
-    canvas.setAttribute("height", img.frame.outputY);
-    let ctx = canvas.getContext("2d");
-    let imgData = ctx.createImageData(canvas.width, canvas.height);
-    let data = imgData.data;
-
-    let Y, Cb, Cr;
-    let pixel = [0, 0, 0, 0];
-    let width = img.frame.outputX;
-    let height = img.frame.outputY;
-    let index = 0;
-    if (frame.numComponents === 1) {
-        // JFIF grayscale
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++, index++) {
-                Y = components[0].outputBuff[index];
-                pixel = [Y, Y, Y, 255];
-                setPixel(data, width, x, y, pixel);
+function decodeRows(reader, img, scan) {
+    let components = scan.orderedComponents;
+    let decodeBlockFn = scan.decodeBlockFn;
+    if (components.length === 1) {
+        // Non-interleaved data: each MCU is a single data unit, and only the data units
+        // that cover the component are coded (A.2.2)
+        let component = components[0];
+        for (; ; scan.row++) {
+            let v = scan.row;
+            saveCheckpoint(reader, img, scan);
+            if (!scanHasRow(reader, img, v, component.scanBlocksY, Math.floor(v / component.vSampleFactor))) {
+                break;
+            }
+            for (let h = scan.mcuIndex - (v * component.scanBlocksX); h < component.scanBlocksX; h++) {
+                if (img.restartInterval > 0 && scan.mcuIndex === (scan.interval + 1) * img.restartInterval) {
+                    processRestart(reader, img, scan);
+                }
+                decodeBlockFn(reader, img, scan, component, v, h);
+                scan.mcuIndex++;
             }
+            let rows = (img.frame.frameY > 0 ? component.scanBlocksY : null);
+            reportProgress(img, "scan", v + 1, rows);
+            emitRowEvent(img, scan, v + 1, rows);
         }
-    } else if (frame.numComponents === 3) {
-        // JFIF YcbCr
-        let buff0 = components[0].outputBuff;
-        let buff1 = components[1].outputBuff;
-        let buff2 = components[2].outputBuff;
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++, index++) {
-                Y = buff0[index];
-                Cb = buff1[index];
-                Cr = buff2[index];
-                colorConvFn(Y, Cb, Cr, pixel);
-                setPixel(data, width, x, y, pixel);
+    } else {
+        // Interleaved data (A.2.3)
+        for (; ; scan.row++) {
+            let v = scan.row;
+            saveCheckpoint(reader, img, scan);
+            if (!scanHasRow(reader, img, v, img.frame.vMCUS, v)) {
+                break;
             }
+            for (let h = scan.mcuIndex - (v * img.frame.hMCUs); h < img.frame.hMCUs; h++) {
+                // console.log("Decoding MCU " + scan.mcuIndex);
+                if (img.restartInterval > 0 && scan.mcuIndex === (scan.interval + 1) * img.restartInterval) {
+                    processRestart(reader, img, scan);
+                }
+                decodeMCU(reader, img, scan, v, h, decodeBlockFn);
+                scan.mcuIndex++;
+            }
+            let rows = (img.frame.frameY > 0 ? img.frame.vMCUS : null);
+            reportProgress(img, "scan", v + 1, rows);
+            emitRowEvent(img, scan, v + 1, rows);
         }
+    }
+}
+
+/**
+ * Deal with a file that ends part way through the entropy-coded data of a scan, the way browsers
+ * do: everything decoded so far is kept, and the rest of the image is neutral gray (the middle of
+ * the sample range). The MCU that was being decoded when the data ran out is grayed out too, as are
+ * components that no scan has coded yet. Progressive frames are left alone, since coefficients that
+ * haven't been decoded are 0, which is already gray, and the data units that missed out on this scan
+ * still have what earlier scans gave them. The same goes for differential frames, whose missing
+ * differences are 0.
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan that was cut short
+ */
+function truncateScan(img, scan) {
+    let frame = img.frame;
+    img.truncated = { scan: img.numScans, mcus: scan.mcuIndex };
+
+    let components = scan.orderedComponents;
+    if (frame.frameY === 0) {
+        // The DNL segment never arrived, so the frame ends with the row that was cut short
+        let mcuRow = (components.length === 1 ? Math.floor(scan.row / components[0].vSampleFactor) : scan.row);
+        setFrameLines(img, (mcuRow + 1) * frame.vmax * frame.duSize);
+    }
+    if (frame.progressive || frame.differential) {
+        return;
+    }
+
+    let gray = 1 << (frame.precision - 1);
+    if (components.length === 1) {
+        // MCUs are single data units, covering the component (A.2.2)
+        let component = components[0];
+        let row = Math.floor(scan.mcuIndex / component.scanBlocksX);
+        let col = scan.mcuIndex % component.scanBlocksX;
+        fillBlocks(component, row, row + 1, col, gray);
+        fillBlocks(component, row + 1, component.blocksPerColumn, 0, gray);
     } else {
-        console.error("Error: Image has " + frame.numComponents + " components; we only support 1 or 3 for JFIF");
+        // MCUs are H x V data units of each component (A.2.3)
+        let row = Math.floor(scan.mcuIndex / frame.hMCUs);
+        let col = scan.mcuIndex % frame.hMCUs;
+        for (let component of components) {
+            let h = component.hSampleFactor;
+            let v = component.vSampleFactor;
+            fillBlocks(component, row * v, (row + 1) * v, col * h, gray);
+            fillBlocks(component, (row + 1) * v, component.blocksPerColumn, 0, gray);
+        }
+    }
+    for (let component of frame.components) {
+        if (!component.coded) {
+            fillBlocks(component, 0, component.blocksPerColumn, 0, gray);
+        }
     }
-    ctx.putImageData(imgData, 0, 0);
 }
 
 /**
- * Scale the component from its native size to the image's size, placing the output
- * into the component's outputBuff
+ * Fill rows of data units of a component with a sample value, from the given column to the end
+ * of each row
+ * 
+ * @param {*} component
+ * @param {Number} firstRow First row of data units to fill
+ * @param {Number} endRow Row of data units after the last one to fill
+ * @param {Number} firstCol Column of the first data unit to fill in each row
+ * @param {Number} value Sample value
+ */
+function fillBlocks(component, firstRow, endRow, firstCol, value) {
+    let duSize = component.hSize / component.blocksPerLine;
+    let lastLine = Math.min(endRow * duSize, component.vSize);
+    for (let y = firstRow * duSize; y < lastLine; y++) {
+        component.imgBuff.fill(value, (y * component.hSize) + (firstCol * duSize), (y + 1) * component.hSize);
+    }
+}
+
+/**
+ * Returns true if the scan has another row of data units to decode. That's normally known from
+ * the size of the frame. If the # of lines is defined by a DNL segment instead, the first scan
+ * ends when the DNL segment is found, which sets the size of the frame; until then the frame
+ * is grown to fit each row.
  * 
+ * B.2.5
+ * 
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {Number} row Index of the next row (of MCUs, or of data units in a non-interleaved scan)
+ * @param {Number} numRows # of rows in the scan, if the size of the frame is known
+ * @param {Number} mcuRow Index of the row of MCUs that contains the next row
+ */
+function scanHasRow(reader, img, row, numRows, mcuRow) {
+    let frame = img.frame;
+    if (frame.frameY > 0) {
+        return row < numRows;
+    }
+    let marker = peekMarker(reader);
+    if (marker === 0xDC) {
+        // Consume the marker (+ any fill bytes); the DNL segment sets the # of lines
+        while (reader.nextByte() != 0xDC);
+        parseDNL(reader, img);
+        return false;
+    } else if ((marker !== undefined && (marker < 0xD0 || marker > 0xD7)) || !reader.hasMoreBytes()) {
+        // Not a restart marker, so the scan is over
+        let lines = mcuRow * frame.vmax * frame.duSize;
+        reportProblem(img, InvalidDataError, reader.currentIndex() + 1, "missing DNL segment at the end of the first scan; assuming "
+            + lines + " lines");
+        setFrameLines(img, lines);
+        return false;
+    }
+    if (mcuRow >= frame.vMCUS) {
+        // Double the size of the frame, so we don't copy the component buffers for every row
+        sizeFrame(frame, Math.max(mcuRow + 1, frame.vMCUS * 2));
+    }
+    return true;
+}
+
+/**
+ * Returns the code of the marker that follows the current byte, without consuming it. Returns
+ * undefined if the next bytes are entropy-coded data.
+ * 
+ * B.1.1.2
+ * 
+ * @param {DataViewReader} reader Data source
+ */
+function peekMarker(reader) {
+    if (reader.peekByte(1) !== 0xFF) {
+        return undefined;
+    }
+    let offset = 2;
+    while (reader.peekByte(offset) === 0xFF) {     // Fill bytes
+        offset++;
+    }
+    let code = reader.peekByte(offset);
+    return (code === 0 ? undefined : code);     // 0xFF00 is a stuffed byte, not a marker
+}
+
+/**
+ * Skip the entropy-coded data of a scan, up to the next marker that isn't a restart marker
+ * 
+ * @param {DataViewReader} reader Data source
+ */
+function skipEntropyCodedData(reader) {
+    while (reader.hasMoreBytes()) {
+        let marker = peekMarker(reader);
+        if (marker !== undefined && (marker < 0xD0 || marker > 0xD7)) {
+            return;
+        }
+        reader.skip(1);
+    }
+}
+
+/**
+ * When the file is being streamed (see JpegDecoder.push()), remember how far decoding has got:
+ * the start of a segment, or the start of a row of a scan. If the data runs out before the next
+ * checkpoint, decoding goes back to this one when more data arrives (see restoreCheckpoint()).
+ * Rows of a scan need the state of the scan + its entropy decoder too, and refinement scans of
+ * progressive images change the coefficients of the row in place, so those are copied as well.
+ * 
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image
+ * @param {*} scan Struct with information about the scan, if we're at the start of one of its rows
+ */
+function saveCheckpoint(reader, img, scan = null) {
+    if (reader.complete) {
+        return;
+    }
+    let checkpoint = { reader: reader.saveState(), scan: null };
+    if (scan !== null) {
+        checkpoint.scan = {
+            row: scan.row,
+            mcuIndex: scan.mcuIndex,
+            interval: scan.interval,
+            lost: scan.lost.length,
+            dcpred: scan.dcpred.slice(),
+            eobrun: scan.eobrun,
+            intervalStart: (scan.intervalStart ? scan.intervalStart.slice() : undefined),
+            entropyDecoder: scan.entropyDecoder.saveState(),
+            coeffs: [],
+        };
+        if (img.frame.progressive && scan.ah > 0) {
+            for (let component of scan.orderedComponents) {
+                // Data units in the row: a single row in a non-interleaved scan, otherwise V rows (A.2.3)
+                let blockRows = (scan.orderedComponents.length === 1 ? 1 : component.vSampleFactor);
+                let start = coeffOffset(component, scan.row * blockRows, 0);
+                let end = Math.min(coeffOffset(component, (scan.row + 1) * blockRows, 0), component.coeffs.length);
+                checkpoint.scan.coeffs.push({ component: component, start: start, values: component.coeffs.slice(start, end) });
+            }
+        }
+    }
+    img.checkpoint = checkpoint;
+}
+
+/**
+ * Go back to the last checkpoint (see saveCheckpoint()), after the data of a streamed file has
+ * run out. Anything that was decoded after it is decoded again once more data arrives.
+ * 
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image
+ */
+function restoreCheckpoint(reader, img) {
+    let checkpoint = img.checkpoint;
+    reader.restoreState(checkpoint.reader);
+    if (checkpoint.scan !== null) {
+        let scan = img.scanInProgress;
+        scan.row = checkpoint.scan.row;
+        scan.mcuIndex = checkpoint.scan.mcuIndex;
+        scan.interval = checkpoint.scan.interval;
+        scan.lost.length = checkpoint.scan.lost;
+        scan.dcpred = checkpoint.scan.dcpred.slice();
+        scan.eobrun = checkpoint.scan.eobrun;
+        scan.intervalStart = (checkpoint.scan.intervalStart ? checkpoint.scan.intervalStart.slice() : undefined);
+        scan.entropyDecoder.restoreState(checkpoint.scan.entropyDecoder);
+        for (let saved of checkpoint.scan.coeffs) {
+            saved.component.coeffs.set(saved.values, saved.start);
+        }
+    }
+}
+
+/**
+ * Consume the restart marker at the end of a restart interval and reset the decoder. Restart
+ * markers count the intervals modulo 8 (RST0-RST7), so if the next marker isn't the one we
+ * expect, the data is corrupt (see resyncScan()).
+ * 
+ * F.2.1.3.1
+ * 
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image
+ * @param {*} scan Struct containing information about the scan
+ */
+function processRestart(reader, img, scan) {
+    scan.entropyDecoder.finishInterval(reader);
+
+    let expected = 0xD0 + (scan.interval % 8);
+    let marker = peekMarker(reader);
+    if (marker !== expected) {
+        corruptData(img, reader, "expected RST" + (scan.interval % 8) + " at the end of restart interval "
+            + scan.interval + ", found " + (marker === undefined ? "entropy-coded data" : "marker 0x" + marker.toString(16)));
+    }
+    while (reader.nextByte() != marker);    // Consume the marker (+ any fill bytes)
+    startInterval(reader, scan, scan.interval + 1);
+}
+
+/**
+ * Reset the decoder at the start of a restart interval (F.2.1.3.1, G.1.2.2, H.1.2.1)
+ * 
+ * @param {DataViewReader} reader Data source
+ * @param {*} scan Struct containing information about the scan
+ * @param {Number} interval Index of the restart interval
+ */
+function startInterval(reader, scan, interval) {
+    scan.interval = interval;
+    scan.dcpred.fill(0);
+    scan.eobrun = 0;
+    scan.intervalStart = [];
+    scan.entropyDecoder.reset();
+    reader.align();     // Align to the next byte
+}
+
+/**
+ * Report entropy-coded data that can't be right. If the image has restart intervals and we're not
+ * strict, throws CorruptDataError, so decoding can pick up again at the next restart marker (see
+ * resyncScan()); otherwise it's reported as an InvalidDataError (see reportProblem()).
+ * 
+ * @param {*} img Struct with information about the image
+ * @param {DataViewReader} reader Data source
+ * @param {String} message What's wrong with the data
+ */
+function corruptData(img, reader, message) {
+    if (img.restartInterval > 0 && !img.strict) {
+        throw new CorruptDataError(message);
+    }
+    reportProblem(img, InvalidDataError, reader.currentIndex(), message);
+}
+
+/**
+ * Pick up decoding again after corrupt data in a scan (see CorruptDataError). The data is skipped
+ * up to the next marker. If it's a restart marker, its number (modulo 8) says which interval it
+ * ends, so decoding carries on with the interval after that one, and the MCUs in between are lost.
+ * That's right as long as fewer than 8 markers were lost with them. Any other marker ends the scan,
+ * so the rest of the scan is lost. Lost MCUs are recorded in scan.lost, and concealed once the
+ * scan is over (see concealLostMCUs()).
+ * 
+ * If the marker is EOI, the rest of the scan isn't corrupt but missing: the file has been cut short,
+ * with its EOI marker put back on the end. Returns true in that case, and the scan is finished
+ * like any other that was cut short (see truncateScan()).
+ * 
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan
+ * @param {CorruptDataError} error What was wrong with the data
+ */
+function resyncScan(reader, img, scan, error) {
+    let frame = img.frame;
+    let components = scan.orderedComponents;
+    // Size of the scan in MCUs (A.2.2, A.2.3)
+    let mcusPerRow = (components.length === 1 ? components[0].scanBlocksX : frame.hMCUs);
+    let numRows = (components.length === 1 ? components[0].scanBlocksY : frame.vMCUS);
+    let numMCUs = (frame.frameY > 0 ? mcusPerRow * numRows : Infinity);
+    let offset = reader.currentIndex();
+
+    // Running out of data on the way means the file has been cut short, which throws EndOfDataError
+    reader.align();
+    let marker;
+    while ((marker = peekMarker(reader)) === undefined) {
+        reader.nextByte();
+    }
+    if (marker === 0xD9) {
+        reportProblem(img, TruncatedDataError, reader.currentIndex() + 1, "scan " + img.numScans + " ends at the EOI marker; decoded "
+            + scan.mcuIndex + " MCUs");
+        return true;
+    }
+    if (img.strict) {
+        reportProblem(img, InvalidDataError, offset, error.message);
+    }
+
+    let end;
+    if (marker >= 0xD0 && marker <= 0xD7 && img.restartInterval === 0) {
+        // A restart marker in an image without restart intervals. Only the MCU it cut short is lost;
+        // decoding carries on after it, reset as if it were a restart.
+        end = Math.min(scan.mcuIndex + 1, numMCUs);
+        while (reader.nextByte() != marker);
+        startInterval(reader, scan, scan.interval + 1);
+    } else if (marker >= 0xD0 && marker <= 0xD7) {
+        // The first interval from this one on whose number matches the marker
+        let interval = scan.interval + (((marker - 0xD0) - (scan.interval % 8) + 8) % 8);
+        end = Math.min((interval + 1) * img.restartInterval, numMCUs);
+        while (reader.nextByte() != marker);
+        startInterval(reader, scan, interval + 1);
+    } else if (frame.frameY > 0) {
+        end = numMCUs;
+    } else {
+        // The # of lines is still to come in a DNL segment, so the scan ends with this row
+        end = (scan.row + 1) * mcusPerRow;
+    }
+    reportProblem(img, InvalidDataError, offset, "corrupt data in scan " + img.numScans + " at MCU "
+        + scan.mcuIndex + " (" + error.message + "); skipped to MCU " + end);
+    if (end > scan.mcuIndex) {
+        scan.lost.push({ start: scan.mcuIndex, end: end });
+        scan.mcuIndex = end;
+        scan.row = Math.floor(end / mcusPerRow);
+    }
+    return false;
+}
+
+/**
+ * States of the data units of a scan, when concealing the ones that were lost (see concealLostMCUs())
+ */
+const BLOCK_NOT_DECODED = 0;    // Not coded by the scan, or not reached before the data ran out
+const BLOCK_DECODED = 1;
+const BLOCK_LOST = 2;
+
+/**
+ * Conceal the MCUs of a scan that were lost to corrupt data (see resyncScan()), using the data units
+ * above + below them, which the scan did decode. Sequential + lossless scans fill each column of lost
+ * data units by interpolating between the line above and the line below (or copying the one that
+ * there is; if there's neither, the column is gray). The first scan of a band of a progressive frame
+ * copies the band's coefficients from the data unit above (or below). Refinement scans of
+ * progressive frames are left alone, since the lost data units still have what earlier scans
+ * gave them, as are differential frames, whose missing differences are 0.
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan
+ */
+function concealLostMCUs(img, scan) {
+    let frame = img.frame;
+    for (let range of scan.lost) {
+        img.concealedMCUs += range.end - range.start;
+    }
+    if (frame.differential || (frame.progressive && scan.ah > 0)) {
+        return;
+    }
+    for (let component of scan.orderedComponents) {
+        let states = blockStates(img, scan, component);
+        forEachLostRun(component, states, (col, firstRow, endRow, above, below) => {
+            if (frame.progressive) {
+                concealCoeffs(scan, component, col, firstRow, endRow, above, below);
+            } else {
+                concealSamples(img, component, col, firstRow, endRow, above, below);
+            }
+        });
+    }
+}
+
+/**
+ * Returns the state of each data unit of a component in a scan (BLOCK_NOT_DECODED, BLOCK_DECODED or
+ * BLOCK_LOST), in a buffer with one entry per data unit of the component, row by row
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan
+ * @param {*} component
+ */
+function blockStates(img, scan, component) {
+    let states = new Uint8Array(component.blocksPerLine * component.blocksPerColumn);
+    let setMCUs = (start, end, state) => {
+        for (let mcu = start; mcu < end; mcu++) {
+            if (scan.orderedComponents.length === 1) {
+                // MCUs are single data units, covering the component (A.2.2)
+                let row = Math.floor(mcu / component.scanBlocksX);
+                if (row < component.blocksPerColumn) {
+                    states[(row * component.blocksPerLine) + (mcu % component.scanBlocksX)] = state;
+                }
+                continue;
+            }
+            // MCUs are H x V data units of each component (A.2.3)
+            let h = component.hSampleFactor;
+            let v = component.vSampleFactor;
+            let firstRow = Math.floor(mcu / img.frame.hMCUs) * v;
+            let firstCol = (mcu % img.frame.hMCUs) * h;
+            for (let row = firstRow; row < Math.min(firstRow + v, component.blocksPerColumn); row++) {
+                states.fill(state, (row * component.blocksPerLine) + firstCol, (row * component.blocksPerLine) + firstCol + h);
+            }
+        }
+    };
+    setMCUs(0, scan.mcuIndex, BLOCK_DECODED);
+    for (let range of scan.lost) {
+        setMCUs(range.start, range.end, BLOCK_LOST);
+    }
+    return states;
+}
+
+/**
+ * Call fn for each run of lost data units in each column of a component, with the column, the
+ * first row of the run, the row after it, and whether the data units above + below the run
+ * were decoded
+ * 
+ * @param {*} component
+ * @param {Uint8Array} states State of each data unit, see blockStates()
+ * @param {Function} fn
+ */
+function forEachLostRun(component, states, fn) {
+    let width = component.blocksPerLine;
+    let height = component.blocksPerColumn;
+    for (let col = 0; col < width; col++) {
+        for (let row = 0; row < height; row++) {
+            if (states[(row * width) + col] !== BLOCK_LOST) {
+                continue;
+            }
+            let end = row + 1;
+            while (end < height && states[(end * width) + col] === BLOCK_LOST) {
+                end++;
+            }
+            let above = (row > 0 && states[((row - 1) * width) + col] === BLOCK_DECODED);
+            let below = (end < height && states[(end * width) + col] === BLOCK_DECODED);
+            fn(col, row, end, above, below);
+            row = end;
+        }
+    }
+}
+
+/**
+ * Conceal a run of lost data units in a column of a component by interpolating between the
+ * line of samples above the run and the line below it
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} component
+ * @param {Number} col Column of data units
+ * @param {Number} firstRow First row of the run
+ * @param {Number} endRow Row after the run
+ * @param {Boolean} above True if the data unit above the run was decoded
+ * @param {Boolean} below True if the data unit below the run was decoded
+ */
+function concealSamples(img, component, col, firstRow, endRow, above, below) {
+    let duSize = img.frame.duSize;
+    let buff = component.imgBuff;
+    let width = component.hSize;
+    let aboveLine = (firstRow * duSize) - 1;
+    let belowLine = endRow * duSize;
+    let gray = 1 << (img.frame.precision - 1);
+    for (let y = firstRow * duSize; y < Math.min(endRow * duSize, component.vSize); y++) {
+        let weight = (y - aboveLine) / (belowLine - aboveLine);     // Of the line below
+        for (let x = col * duSize; x < (col + 1) * duSize; x++) {
+            let top = buff[(aboveLine * width) + x];
+            let bottom = buff[(belowLine * width) + x];
+            let value = gray;
+            if (above && below) {
+                value = Math.round(top + ((bottom - top) * weight));
+            } else if (above) {
+                value = top;
+            } else if (below) {
+                value = bottom;
+            }
+            buff[(y * width) + x] = value;
+        }
+    }
+}
+
+/**
+ * Conceal a run of lost data units in a column of a progressive component by copying the
+ * coefficients of the scan's band from the data unit above the run, or else the one below it
+ * 
+ * @param {*} scan Struct with information about the scan
+ * @param {*} component
+ * @param {Number} col Column of data units
+ * @param {Number} firstRow First row of the run
+ * @param {Number} endRow Row after the run
+ * @param {Boolean} above True if the data unit above the run was decoded
+ * @param {Boolean} below True if the data unit below the run was decoded
+ */
+function concealCoeffs(scan, component, col, firstRow, endRow, above, below) {
+    if (!above && !below) {
+        return;     // Coefficients that weren't decoded are 0
+    }
+    let source = coeffOffset(component, (above ? firstRow - 1 : endRow), col);
+    let band = component.coeffs.slice(source + scan.ss, source + scan.se + 1);
+    for (let row = firstRow; row < endRow; row++) {
+        component.coeffs.set(band, coeffOffset(component, row, col) + scan.ss);
+    }
+}
+
+/**
+ * Tell the onProgress callback, if there is one, how far decoding has got (see DEFAULT_OPTIONS)
+ * 
+ * @param {*} img Struct with information about the image
+ * @param {String} phase "scan" or "output"
+ * @param {Number} row # of rows of the scan that have been decoded
+ * @param {Number} rows # of rows in the scan, or null if it isn't known yet
+ */
+function reportProgress(img, phase, row = null, rows = null) {
+    if (img.onProgress) {
+        img.onProgress({ phase: phase, frame: img.metadata.frames.length, scan: img.numScans, row: row, rows: rows });
+    }
+}
+
+/**
+ * Add an event for the caller of JpegDecoder.push(), if the file is being streamed
+ * 
+ * @param {*} img Struct with information about the image
+ * @param {*} event
+ */
+function emitEvent(img, event) {
+    if (img.events) {
+        img.events.push(event);
+    }
+}
+
+/**
+ * Tell the caller of JpegDecoder.push() that a frame's size is known: once its header has been
+ * read, or, if that has 0 lines, once the DNL segment has been
+ * 
+ * @param {*} img Struct with information about the image, including frame
+ */
+function emitFrameEvent(img) {
+    let frames = img.metadata.frames;
+    emitEvent(img, Object.assign({ type: "frame", frame: frames.length }, frames[frames.length - 1]));
+}
+
+/**
+ * Tell the caller of JpegDecoder.push() that a row of a scan has been decoded, along with the lines
+ * of the image it covers. If those lines are final, which is the case for sequential images once each
+ * component has been in a scan, they're converted to RGBA (without rotating them or converting
+ * them to sRGB) to be drawn straight away.
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about the scan
+ * @param {Number} row # of rows of the scan that have been decoded
+ * @param {Number} rows # of rows in the scan, or null if it isn't known yet
+ */
+function emitRowEvent(img, scan, row, rows) {
+    if (!img.events) {
+        return;
+    }
+    let frame = img.frame;
+    // A row of MCUs is vmax data units high; a row of a non-interleaved scan is a single data unit
+    // of its component, which is scaled up to the size of the image
+    let component = scan.orderedComponents[0];
+    let linesPerRow = frame.duSize * frame.vmax;
+    if (scan.orderedComponents.length === 1) {
+        linesPerRow /= component.vSampleFactor;
+    }
+    let top = Math.floor((row - 1) * linesPerRow);
+    let bottom = Math.min(Math.ceil(row * linesPerRow), (frame.frameY > 0 ? frame.frameY : frame.outputY));
+    let rgba = null;
+    if (!frame.progressive && !img.hierarchy && !(frame.lossless && scan.al > 0)
+            && frame.components.every(component => component.coded)) {
+        for (let component of frame.components) {
+            scaleComponent(img, component, top, bottom);
+        }
+        rgba = combineComponents(img, frame.components, frameColorSpace(img), top, bottom);
+    }
+    emitEvent(img, { type: "row", frame: img.metadata.frames.length, scan: img.numScans, row: row, rows: rows,
+        y: top, height: bottom - top, rgba: rgba });
+}
+
+/**
+ * Convert the decoded components to samples and output them as the decoded image (see decode()).
+ * 
+ * Scales the components up from their native size to the image's size, then converts them
+ * to RGB and combines them into a single RGBA image.
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ */
+function outputFrame(img) {
+    reportProgress(img, "output");
+    let components = img.frame.components;
+    if (img.frame.progressive) {
+        for (let component of components) {
+            inverseTransformComponent(img, component);
+        }
+    }
+    if (img.hierarchy) {
+        reconstructFrame(img);
+    }
+
+    // The buffers are padded out to whole MCUs; the output is cropped to the size of the frame.
+    // Cropping copies the buffers, which is just as well since they're reused by later scans + frames
+    let frame = img.frame;
+    let metadata = imageMetadata(img);
+    let output = {
+        width: frame.frameX,
+        height: frame.frameY,
+        precision: frame.precision,
+        components: [],
+        colorSpace: frameColorSpace(img),
+        rgba: null,
+        exif: metadata.exif,
+        xmp: metadata.xmp,
+        iptc: metadata.iptc,
+        photoshop: metadata.photoshop,
+        icc: metadata.icc,
+        jfif: metadata.jfif,
+        adobe: metadata.adobe,
+        thumbnails: img.thumbnails,
+        truncated: (img.truncated !== null),
+        decodedMCUs: (img.truncated !== null ? img.truncated.mcus : null),
+        concealedMCUs: img.concealedMCUs,
+        warnings: img.warnings,
+        metadata: metadata,
+    };
+    for (let component of components) {
+        scaleComponent(img, component);
+        output.components.push({
+            componentID: component.componentID,
+            width: component.width,
+            height: component.height,
+            samples: cropBuffer(component.imgBuff, component.hSize, component.width, component.height),
+            scaledSamples: cropBuffer(component.outputBuff, frame.outputX, frame.frameX, frame.frameY),
+        });
+    }
+    output.rgba = combineComponents(img, components, output.colorSpace);
+    if (img.convertToSRGB && output.icc) {
+        convertOutputToSRGB(img, output);
+    }
+    if (img.autoOrient) {
+        orientOutput(output, (img.exif && img.exif.ifd0.Orientation) || 1);
+    }
+
+    if (img.hierarchy) {
+        // Keep the output at each resolution
+        output.frameX = frame.frameX;
+        output.frameY = frame.frameY;
+        output.differential = frame.differential;
+        img.hierarchy.frames.push(output);
+        output = Object.assign({}, output, { frames: img.hierarchy.frames.slice() });
+    }
+    img.output = output;
+    emitEvent(img, { type: "output", output: output });
+    if (img.onOutput) {
+        img.onOutput(output);
+    }
+}
+
+/**
+ * Returns a copy of the top-left width x height samples of a buffer
+ * 
+ * @param {*} buff Buffer of samples
+ * @param {Number} stride # of samples in each line of the buffer
+ * @param {Number} width # of samples to copy from each line
+ * @param {Number} height # of lines to copy
+ */
+function cropBuffer(buff, stride, width, height) {
+    let cropped = new buff.constructor(width * height);
+    for (let y = 0; y < height; y++) {
+        cropped.set(buff.subarray(y * stride, (y * stride) + width), y * width);
+    }
+    return cropped;
+}
+
+/**
+ * Returns the image's XMP metadata, parsing it (and putting the extended packet together, if there
+ * is one) the first time it's needed. Returns null if the image doesn't have any.
+ * 
+ * @param {*} img Struct with information about the image
+ */
+function xmpMetadata(img) {
+    if (img.xmp === null && img.xmpPacket !== null) {
+        let report = metadataProblemReporter(img, "APP1", XMP_IDENTIFIER);
+        let xmp = parseXMP(img.xmpPacket, null, report);
+        let guid = xmp.properties["xmpNote:HasExtendedXMP"];
+        if (guid !== undefined) {
+            let extendedPacket = assembleExtendedXMP(img.xmpChunks, guid, report);
+            if (extendedPacket !== null) {
+                xmp = parseXMP(img.xmpPacket, extendedPacket, report);
+            }
+        }
+        img.xmp = xmp;
+        img.xmpPacket = null;
+        img.xmpChunks = [];
+    }
+    return img.xmp;
+}
+
+/**
+ * Returns a new struct for the metadata gathered from the headers of an image as it's parsed;
+ * see imageMetadata()
+ */
+function createMetadata() {
+    return { comments: [], appSegments: [], quantTables: [], huffmanTables: [], frames: [] };
+}
+
+/**
+ * Returns the metadata of an image, from its headers:
+ *      comments            Comment (COM) segments: offset, text, charset ("UTF-8" or "ISO-8859-1") + data
+ *      appSegments         Application (APPn) segments: marker, offset, length + identifier (e.g. "Exif")
+ *      jfif, adobe         Contents of the JFIF + Adobe segments, or null (see JpegDecoder.decode())
+ *      exif, xmp, iptc,    Metadata from the APPn segments, or null (see JpegDecoder.decode())
+ *      photoshop, icc
+ *      quantTables         Quantization tables, in the order they were defined: id, precision (8 or 16)
+ *                          + values (in zig-zag order)
+ *      huffmanTables       Huffman tables, in the order they were defined: class ("DC" or "AC"), id,
+ *                          counts (# of codes of each length, 1-16) + numCodes
+ *      frames              Frame headers (one per frame; hierarchical images have several): marker, precision,
+ *                          width, height + components (componentID, hSampleFactor, vSampleFactor, quantTableID)
+ *      restartInterval     # of MCUs in each restart interval, or 0 if there aren't any restart markers
+ * 
+ * Offsets are the index of the segment's marker in the file.
+ * 
+ * @param {*} img Struct with information about the image
+ */
+function imageMetadata(img) {
+    let photoshop = photoshopMetadata(img);
+    return {
+        comments: img.metadata.comments,
+        appSegments: img.metadata.appSegments,
+        jfif: img.jfif,
+        adobe: img.adobe,
+        exif: img.exif,
+        xmp: xmpMetadata(img),
+        iptc: (photoshop !== null ? photoshop.iptc : null),
+        photoshop: (photoshop !== null ? photoshop.resources : null),
+        icc: iccProfile(img),
+        quantTables: img.metadata.quantTables,
+        huffmanTables: img.metadata.huffmanTables,
+        frames: img.metadata.frames,
+        restartInterval: img.restartInterval,
+        warnings: img.warnings,
+    };
+}
+
+/**
+ * Returns the image's Photoshop image resources (resources) and the IPTC metadata from them (iptc),
+ * parsing them the first time they're needed. Returns null if the image doesn't have any.
+ * 
+ * @param {*} img Struct with information about the image
+ */
+function photoshopMetadata(img) {
+    if (img.photoshop === null && img.photoshopChunks.length > 0) {
+        // Resources too big for one segment carry on in the next one
+        let length = img.photoshopChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        let data = new Uint8Array(length);
+        for (let i = 0, offset = 0; i < img.photoshopChunks.length; offset += img.photoshopChunks[i].length, i++) {
+            data.set(img.photoshopChunks[i], offset);
+        }
+        let report = metadataProblemReporter(img, "APPD", "Photoshop 3.0");
+        let resources = parsePhotoshopResources(data, report);
+        let iptcResource = resources.find(resource => resource.id === PHOTOSHOP_IPTC_RESOURCE);
+        img.photoshop = { resources: resources, iptc: (iptcResource ? parseIPTC(iptcResource.data, report) : null) };
+        img.photoshopChunks = [];
+    }
+    return img.photoshop;
+}
+
+/**
+ * Returns the image's ICC profile, putting it together from its chunks the first time it's needed.
+ * Returns null if the image doesn't have one.
+ * 
+ * @param {*} img Struct with information about the image
+ */
+function iccProfile(img) {
+    if (img.icc === null && img.iccChunks.length > 0) {
+        let report = metadataProblemReporter(img, "APP2", "ICC_PROFILE");
+        let data = assembleICCProfile(img.iccChunks, report);
+        img.iccChunks = [];
+        img.icc = (data ? parseICCProfile(data, report) : null);
+    }
+    return img.icc;
+}
+
+/**
+ * Returns a function that reports problems with metadata from APPn segments (see reportProblem()).
+ * The metadata can be put together from several segments, and is parsed when it's first needed,
+ * so problems are reported against the first segment it came from.
+ * 
+ * @param {*} img Struct with information about the image
+ * @param {String} marker Marker of the segments, e.g. "APP2"
+ * @param {String} identifier Identifier at the start of the segments, e.g. "ICC_PROFILE" (a trailing NUL is ignored)
+ */
+function metadataProblemReporter(img, marker, identifier) {
+    identifier = identifier.replace(/\0$/, "");
+    let segment = img.metadata.appSegments.find(segment => segment.marker === marker && segment.identifier === identifier);
+    let offset = (segment ? segment.offset : 0);
+    return message => reportProblem(img, InvalidDataError, offset, message, marker);
+}
+
+/**
+ * Convert the RGBA output of an image from the color space of its ICC profile to sRGB.
+ * The component planes are left as they are.
+ * 
+ * @param {*} img Struct with information about the image
+ * @param {*} output Decoded image; changed in place
+ */
+function convertOutputToSRGB(img, output) {
+    let icc = output.icc;
+    let numComponents = img.frame.numComponents;
+    // Problems are reported against the (first) APP2 segment the profile came from
+    let segment = img.metadata.appSegments.find(segment => segment.marker === "APP2" && segment.identifier === "ICC_PROFILE");
+    let offset = (segment ? segment.offset : 0);
+    if ((icc.colorSpace === "RGB" && numComponents !== 3) || (icc.colorSpace === "GRAY" && numComponents !== 1)) {
+        reportProblem(img, InvalidDataError, offset, icc.colorSpace + " ICC profile doesn't match an image with "
+            + numComponents + " components", "APP2");
+        return;
+    }
+    let transform = createSRGBTransform(icc);
+    if (transform === null) {
+        reportProblem(img, UnsupportedProcessError, offset, "can't convert from ICC profile \"" + icc.description
+            + "\" (" + icc.colorSpace + "); only matrix/TRC profiles are supported", "APP2");
+        return;
+    }
+    transform(output.rgba);
+}
+
+/**
+ * Rotate/flip the output image, and each of its components, so it's the right way up
+ * according to an EXIF orientation (EXIF 2.32 4.6.4 A). Orientations 5-8 swap the width
+ * and height.
+ * 
+ * @param {*} output Decoded image; changed in place
+ * @param {Number} orientation EXIF orientation, 1-8
+ */
+function orientOutput(output, orientation) {
+    if (!Number.isInteger(orientation) || orientation < 1 || orientation > 8) {
+        orientation = 1;    // Already reported by parseAppSegment()
+    }
+    output.orientation = orientation;
+    if (orientation === 1) {
+        return;
+    }
+    output.rgba = orientBuffer(output.rgba, output.width, output.height, orientation, 4);
+    for (let component of output.components) {
+        component.samples = orientBuffer(component.samples, component.width, component.height, orientation);
+        component.scaledSamples = orientBuffer(component.scaledSamples, output.width, output.height, orientation);
+        if (orientation >= 5) {
+            [component.width, component.height] = [component.height, component.width];
+        }
+    }
+    if (orientation >= 5) {
+        [output.width, output.height] = [output.height, output.width];
+    }
+}
+
+/**
+ * Returns a copy of a buffer of pixels rotated/flipped by an EXIF orientation:
+ *      1   As is                       5   Transposed (flipped about the top-left/bottom-right diagonal)
+ *      2   Flipped horizontally        6   Rotated 90° clockwise
+ *      3   Rotated 180°                7   Transversed (flipped about the top-right/bottom-left diagonal)
+ *      4   Flipped vertically          8   Rotated 90° counter-clockwise
+ * The copy is height x width for orientations 5-8.
+ * 
+ * @param {*} buff Buffer of pixels
+ * @param {Number} width Width of the buffer in pixels
+ * @param {Number} height Height of the buffer in pixels
+ * @param {Number} orientation EXIF orientation, 1-8
+ * @param {Number} channels # of values in each pixel, e.g. 4 for RGBA. Defaults to 1
+ */
+function orientBuffer(buff, width, height, orientation, channels = 1) {
+    let transposed = (orientation >= 5);
+    let outWidth = (transposed ? height : width);
+    let outHeight = (transposed ? width : height);
+    let oriented = new buff.constructor(buff.length);
+    for (let y = 0, dest = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++, dest += channels) {
+            // Find the source pixel for each output pixel
+            let srcX, srcY;
+            switch (orientation) {
+                case 1:     srcX = x;               srcY = y;               break;
+                case 2:     srcX = width - 1 - x;   srcY = y;               break;
+                case 3:     srcX = width - 1 - x;   srcY = height - 1 - y;  break;
+                case 4:     srcX = x;               srcY = height - 1 - y;  break;
+                case 5:     srcX = y;               srcY = x;               break;
+                case 6:     srcX = y;               srcY = height - 1 - x;  break;
+                case 7:     srcX = width - 1 - y;   srcY = height - 1 - x;  break;
+                case 8:     srcX = width - 1 - y;   srcY = x;               break;
+            }
+            let src = ((srcY * width) + srcX) * channels;
+            for (let c = 0; c < channels; c++) {
+                oriented[dest + c] = buff[src + c];
+            }
+        }
+    }
+    return oriented;
+}
+
+/**
+ * Called once all the scans of a frame have been decoded: when the next frame starts, or at the
+ * end of the image. Progressive frames (unless they were redrawn after each scan) and the frames
+ * of a hierarchical image are only output at this point.
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ */
+function finishFrame(img) {
+    if (!img.frame || img.frame.finished) {
+        return;
+    }
+    img.frame.finished = true;
+    if (!img.inspectOnly && (img.hierarchy || (img.frame.progressive && !img.progressivePreview))) {
+        outputFrame(img);
+    }
+}
+
+/**
+ * Combine a decoded frame of a hierarchical image with the reference image (the output of the
+ * previous frame, upsampled if an EXP segment said so), and save the result as the reference
+ * for the next frame. Lossless differential frames are added to the reference modulo 2^P, since
+ * their differences are exact; the differences of DCT-based frames are only approximate, so the
+ * sums are clamped to the range of the samples instead. The first frame isn't differential, so it
+ * simply becomes the reference. The output samples are stored back into the component buffers so
+ * the frame can be drawn.
+ * 
+ * J.2
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ */
+function reconstructFrame(img) {
+    let frame = img.frame;
+    let mask = (1 << frame.precision) - 1;
+    for (let component of frame.components) {
+        let id = component.componentID;
+        let reference = img.hierarchy.reference[id];
+        if (frame.differential) {
+            if (reference === undefined) {
+                reportProblem(img, InvalidDataError, frame.offset, "no reference image for component " + id
+                    + " of differential frame", frame.marker);
+            } else if (reference.width * frame.hmax < frame.frameX * component.hSampleFactor
+                    || reference.height * frame.vmax < frame.frameY * component.vSampleFactor) {
+                reportProblem(img, InvalidDataError, frame.offset, "reference image for component " + id + " ("
+                    + reference.width + "x" + reference.height + ") is smaller than the differential frame", frame.marker);
+            }
+        }
+
+        let buff = component.imgBuff;
+        for (let y = 0; y < component.vSize; y++) {
+            for (let x = 0; x < component.hSize; x++) {
+                let index = (y * component.hSize) + x;
+                let val = buff[index];
+                if (frame.differential && reference !== undefined) {
+                    // Replicate the edges of the reference to cover the padding of the frame
+                    let refY = Math.min(y, reference.height - 1);
+                    let refX = Math.min(x, reference.width - 1);
+                    val += reference.samples[(refY * reference.width) + refX];
+                }
+                buff[index] = (frame.lossless ? val & mask : Math.min(Math.max(val, 0), mask));
+            }
+        }
+
+        // The component without its padding is the reference for the next frame (A.1.1)
+        let samples = cropBuffer(buff, component.hSize, component.width, component.height);
+        reference = { componentID: id, width: component.width, height: component.height, samples: samples };
+        img.hierarchy.reference[id] = reference;
+    }
+}
+
+/**
+ * Convert the components to RGB and combine them into a single output image.
+ * Returns the image as 8-bit RGBA pixels.
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} components List of components
+ * @param {String} colorSpace Color space of the components (see frameColorSpace())
+ * @param {Number} top First line of the image to convert; defaults to the whole image
+ * @param {Number} bottom Line of the image after the last one to convert
+ */
+function combineComponents(img, components, colorSpace, top = 0, bottom = img.frame.frameY) {
+    // Combine images via YCbCr --> YUV conversion
+    let Y, Cb, Cr;
+    let pixel = [0, 0, 0, 0];
+    let width = img.frame.frameX;           // The output is cropped to the size of the frame...
+    let height = bottom - top;
+    let stride = img.frame.outputX;         // ...but the component buffers are padded out to whole MCUs
+    let precision = img.frame.precision;    // Output pixels are always 8 bits
+    let data = new Uint8ClampedArray(width * height * 4);
+    if (img.frame.numComponents === 1) {
+        // JFIF grayscale
+        for (let y = 0; y < height; y++) {
+            for (let x = 0, index = (top + y) * stride; x < width; x++, index++) {
+                Y = sampleTo8Bit(components[0].outputBuff[index], precision);
+                pixel = [Y, Y, Y, 255];
+                setPixel(data, width, x, y, pixel);
+            }
+        }
+    } else if (colorSpace === "RGB") {
+        let buff0 = components[0].outputBuff;
+        let buff1 = components[1].outputBuff;
+        let buff2 = components[2].outputBuff;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0, index = (top + y) * stride; x < width; x++, index++) {
+                pixel = [sampleTo8Bit(buff0[index], precision), sampleTo8Bit(buff1[index], precision),
+                    sampleTo8Bit(buff2[index], precision), 255];
+                setPixel(data, width, x, y, pixel);
+            }
+        }
+    } else if (img.frame.numComponents === 3) {
+        // JFIF YcbCr
+        let buff0 = components[0].outputBuff;
+        let buff1 = components[1].outputBuff;
+        let buff2 = components[2].outputBuff;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0, index = (top + y) * stride; x < width; x++, index++) {
+                Y = sampleTo8Bit(buff0[index], precision);
+                Cb = sampleTo8Bit(buff1[index], precision);
+                Cr = sampleTo8Bit(buff2[index], precision);
+                img.colorConvFn(Y, Cb, Cr, pixel);
+                setPixel(data, width, x, y, pixel);
+            }
+        }
+    } else if (colorSpace === "CMYK" || colorSpace === "YCCK") {
+        // Adobe CMYK: YCCK is converted to CMY like YCbCr is to RGB, and K is left as is
+        let buff0 = components[0].outputBuff;
+        let buff1 = components[1].outputBuff;
+        let buff2 = components[2].outputBuff;
+        let buff3 = components[3].outputBuff;
+        let inverted = (img.adobe !== null);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0, index = (top + y) * stride; x < width; x++, index++) {
+                pixel[0] = sampleTo8Bit(buff0[index], precision);
+                pixel[1] = sampleTo8Bit(buff1[index], precision);
+                pixel[2] = sampleTo8Bit(buff2[index], precision);
+                if (colorSpace === "YCCK") {
+                    img.colorConvFn(pixel[0], pixel[1], pixel[2], pixel);
+                }
+                CMYKToRGB(pixel[0], pixel[1], pixel[2], sampleTo8Bit(buff3[index], precision), inverted, pixel);
+                setPixel(data, width, x, y, pixel);
+            }
+        }
+    }
+    // Any other # of components has been reported by decodeFrame(), and is left blank
+    return data;
+}
+
+/**
+ * Work out the color space of the frame's components, unless it's been given in the options.
+ * The JPEG spec leaves it up to the application, so we go by the same hints as libjpeg:
+ * the number of components, then the JFIF (APP0) segment (always YCbCr or gray), the Adobe
+ * (APP14) segment's transform, and finally the component IDs, e.g. 'R', 'G', 'B'.
+ * Returns null if the color space can't be worked out.
+ * 
+ * JFIF 1.02, Adobe Technical Note #5116 (Supporting the DCT Filters in PostScript Level 2), 18
+ * 
+ * @param {*} img Struct with information about the image, including frame
+ */
+function frameColorSpace(img) {
+    // Worked out once per frame, so any problems are only reported once
+    if (img.frame.colorSpace === undefined) {
+        img.frame.colorSpace = chooseColorSpace(img);
+    }
+    return img.frame.colorSpace;
+}
+
+/**
+ * Work out the color space of the frame's components; see frameColorSpace()
+ * 
+ * @param {*} img Struct with information about the image, including frame
+ */
+function chooseColorSpace(img) {
+    let frame = img.frame;
+    let numComponents = frame.numComponents;
+    if (img.colorSpace !== "auto") {
+        if (COLOR_SPACE_COMPONENTS[img.colorSpace] === numComponents) {
+            return img.colorSpace;
+        }
+        reportProblem(img, UnsupportedProcessError, frame.offset, "can't decode an image with " + numComponents
+            + " components as " + img.colorSpace, frame.marker);
+    }
+    switch (numComponents) {
+        case 1:
+            return "Gray";
+        case 3: {
+            let ids = frame.components.map(component => component.componentID);
+            if (img.jfif !== null) {
+                return "YCbCr";
+            } else if (img.adobe !== null) {
+                if (img.adobe.transform === 0) {
+                    return "RGB";
+                } else if (img.adobe.transform === 2) {
+                    // Unknown transforms have been reported by parseAppSegment()
+                    reportProblem(img, InvalidDataError, frame.offset, "Adobe transform 2 (YCCK) doesn't match a "
+                        + "3-component image; assuming YCbCr", frame.marker);
+                }
+                return "YCbCr";
+            } else if (ids[0] === 0x52 && ids[1] === 0x47 && ids[2] === 0x42) {
+                return "RGB";   // 'R', 'G', 'B'
+            }
+            return "YCbCr";
+        }
+        case 4:
+            if (img.adobe === null || img.adobe.transform === 0) {
+                return "CMYK";
+            } else if (img.adobe.transform === 1) {
+                reportProblem(img, InvalidDataError, frame.offset, "Adobe transform 1 (YCbCr) doesn't match a "
+                    + "4-component image; assuming YCCK", frame.marker);
+            }
+            return "YCCK";
+    }
+    return null;
+}
+
+/**
+ * Scale a sample of the given precision to an 8-bit pixel value for drawing
+ * 
+ * @param {Number} val Sample value
+ * @param {Number} precision Sample precision in bits
+ */
+function sampleTo8Bit(val, precision) {
+    return (precision >= 8 ? val >> (precision - 8) : val << (8 - precision));
+}
+
+/**
+ * Scale the component from its native size to the image's size, placing the output
+ * into the component's outputBuff
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
  * @param {*} component 
+ * @param {Number} top First line of the output to fill in; defaults to the whole output
+ * @param {Number} bottom Line of the output after the last one to fill in
  */
-function scaleComponent(component) {
+function scaleComponent(img, component, top = 0, bottom = img.frame.outputY) {
     let hScale = img.frame.outputX / component.hSize;  // Factor to scale component up to output side
     let vScale = img.frame.outputY / component.vSize;  // Factor to scale component up to output side
     if (hScale === 1 && vScale === 1) {     // Optimization
-        component.outputBuff.set(component.imgBuff, 0);
+        component.outputBuff.set(component.imgBuff.subarray(top * component.hSize, bottom * component.hSize),
+            top * component.hSize);
         return;
     }
-    for (let sy = 0, dy = 0; sy < component.vSize; sy++, dy+=vScale) {
+    let lastLine = Math.min(component.vSize, Math.ceil(bottom / vScale));
+    for (let sy = Math.floor(top / vScale), dy = sy * vScale; sy < lastLine; sy++, dy+=vScale) {
         let srcLineStart = sy * component.hSize;
         for (let sx = 0, dx = 0; sx < component.hSize; sx++, dx+=hScale) {
             let val = component.imgBuff[srcLineStart + sx];
@@ -570,59 +2435,6 @@ function scaleComponent(component) {
     }
 }
 
-/**
- * Draw the component to the page, scaled up to the size of the image
- * 
- * @param {*} component 
- */
-function drawComponentFullSize(component) {
-    let id = component.componentID;
-    let canvas = document.getElementById("component" + id + "ScaledCanvas");
-    canvas.setAttribute("width", img.frame.outputX);
-    canvas.setAttribute("height", img.frame.outputY);
-    let ctx = canvas.getContext("2d");
-    let imgData = ctx.createImageData(canvas.width, canvas.height);
-    let data = imgData.data;
-    let pixel = [0, 0, 0, 255];   // 255 for alpha channel
-    for (let y = 0; y < img.frame.outputY; y++) {
-        let srcLineStart = y * img.frame.outputX;
-        for (let x = 0; x < img.frame.outputX; x++) {
-            pixel[0] = pixel[1] = pixel[2] = component.outputBuff[srcLineStart + x];
-            setPixel(data, img.frame.outputX, x, y, pixel);
-        }
-    }
-    ctx.putImageData(imgData, 0, 0);
-}
-
-/**
- * Draw the component to the page at its native size
- * 
- * @param {*} component 
- */
-function drawComponent(component) {
-    let id = component.componentID;
-    let compHSizeStr = document.getElementById("component" + id + "hsize");
-    compHSizeStr.textContent = component.hSize;
-    let compVSizeStr = document.getElementById("component" + id + "vsize");
-    compVSizeStr.textContent = component.vSize;
-    
-    let canvas = document.getElementById("component" + id + "Canvas");
-    canvas.setAttribute("width", component.hSize);
-    canvas.setAttribute("height", component.vSize);
-    let ctx = canvas.getContext("2d");
-    let imgData = ctx.createImageData(canvas.width, canvas.height);
-    let data = imgData.data;
-    let pixel = [0, 0, 0, 255];   // 255 for alpha channel
-    for (let y = 0; y < component.vSize; y++) {
-        let srcLineStart = y * component.hSize;
-        for (let x = 0; x < component.hSize; x++) {
-            pixel[0] = pixel[1] = pixel[2] = component.imgBuff[srcLineStart + x];
-            setPixel(data, component.hSize, x, y, pixel);
-        }
-    }
-    ctx.putImageData(imgData, 0, 0);
-}
-
 /**
  * Perform YCbCr to RGB colorspace conversion using the algorithm in the JFIF spec.
  * 
@@ -640,6 +2452,36 @@ function YCbCrToRGB(Y, Cb, Cr, pixel) {
     pixel[3] = 255;
 }
 
+/**
+ * CMYK to RGB colorspace conversion. There's no one right way to do this without a color profile;
+ * this is the simple one, where each of C, M + Y takes away its complement (R, G, B) and K takes
+ * away from all of them.
+ * 
+ * Adobe applications write CMYK inverted (0 is full ink, 255 is none); that's assumed for any
+ * image with an Adobe segment.
+ * 
+ * Writes the RGB values (and sets alpha = 255) into pixel
+ * 
+ * @param {*} C 
+ * @param {*} M 
+ * @param {*} Y 
+ * @param {*} K 
+ * @param {Boolean} inverted True if the values are Adobe-style inverted CMYK
+ * @param {*} pixel 4-element array of RGBA
+ */
+function CMYKToRGB(C, M, Y, K, inverted, pixel) {
+    if (!inverted) {
+        C = 255 - C;
+        M = 255 - M;
+        Y = 255 - Y;
+        K = 255 - K;
+    }
+    pixel[0] = Math.round((C * K) / 255);
+    pixel[1] = Math.round((M * K) / 255);
+    pixel[2] = Math.round((Y * K) / 255);
+    pixel[3] = 255;
+}
+
 /**
  * Integer implementation of YCbCr to RGB colorspace conversion.
  * 
@@ -673,132 +2515,190 @@ function YCbCrToRGBInt(Y, Cb, Cr, pixel) {
  * @param {*} scan 
  * @param {*} vMCU Vertical index of this MCU
  * @param {*} hMCU Horizontal index of this MCU
+ * @param {Function} decodeBlockFn Function that decodes a single data unit of a component
  */
-function decodeMCU(reader, img, scan, vMCU, hMCU) {
-    // TODO: rename scan.components vs scan.orderedComponents, it's confusing. Can we
-    // just merge into a big 'component' data structure that has both the component
-    // info from the frame and the component info from the scan header? Probably
-    // breaks for hierachical images, but so what?
-    //
-    // Also want to bolt on the ZZ tables to Component....time to make a component class?
+function decodeMCU(reader, img, scan, vMCU, hMCU, decodeBlockFn) {
+    // TODO: Want to bolt on the ZZ tables to Component....time to make a component class?
     for (let i = 0; i < scan.orderedComponents.length; i++) {
         let component = scan.orderedComponents[i];
-        let id = component.componentID;
 
-        // Find the component metadata in the scan so we can look up huff tables. Ugh so messy
-        let dcTableID = 0;
-        let acTableID = 0;
-        // for (sc of scan.components) {
-        for (let j = 0; j < scan.components.length; j++) {
-            let sc = scan.components[j];
-            if (sc[0] === id) {
-                dcTableID = sc[1];
-                acTableID = sc[2];
-                break;
-            }
-        }
-        let dcTable = img.huffmanTables[0][dcTableID];    // 0 is DC table, 1 is AC table: B.2.4.2
-        let acTable = img.huffmanTables[1][acTableID];
-        let quantTable = img.quantTables[component.quantTableID];
-        
         // # of H,V blocks (data units) per MCU in the component
         let h = component.hSampleFactor;
         let v = component.vSampleFactor;
-        
-        // Top-left pixel coordinates of the MCU within the component
-        // mcuY: # vert MCUs * v blocks/MCU * block size * line stride of component
-        let mcuY = vMCU * v * DATA_UNIT_SIZE * component.hSize;
-        // mcuX: mcuY + (# horiz MCUs * h blocks/MCU * block size)
-        let mcuX = mcuY + (hMCU * h * DATA_UNIT_SIZE);
 
-        let block;
         for (let y = 0; y < v; y++) {   // Iterate over blocks in the MCU
             for (let x = 0; x < h; x++) {   // Iterate over blocks in the MCU
-                // Block is the decoded image data. Store it in a component
-                block = decodeDataUnit(reader, img, scan, id, dcTable, acTable, quantTable);
-
-                // Top-left coordinates of the block within the MCU
-                let topX = x * DATA_UNIT_SIZE;
-                let topY = y * DATA_UNIT_SIZE * component.hSize;
-
-                // Copy block contents to component
-                for (let yy = 0; yy < DATA_UNIT_SIZE; yy++) {   // yy is local y coordinate in block
-                    let blockLineStart = mcuX + topY + topX + (yy * component.hSize);
-                    for (let xx = 0; xx < DATA_UNIT_SIZE; xx++) {   // xx is local x coordinate in block
-                        let idx = blockLineStart + xx;
-                        if (component.imgBuff[idx] != 0) {
-                            console.warn("Warning: overwriting imgBuf data: idx=" + idx
-                            + ", x=" + x + ", y=" + y + ", h=" + h + ", v=" + v + ", hMCU="
-                            + hMCU + ", vMCU=" + vMCU + ", topX=" + topX + ", topY="
-                            + topY + ", yy=" + yy + ", xx=" + xx + ", blockLineStart=" + blockLineStart);
-                        }
-                        component.imgBuff[idx] = block[yy * DATA_UNIT_SIZE + xx];
-                    }
-                }
+                // Row + column of the block within the component
+                decodeBlockFn(reader, img, scan, component, (vMCU * v) + y, (hMCU * h) + x);
             }
         }
     }
 }
 
 /**
- * Read and decode the DC coefficient from the bit stream. Side effect is that it loads the 
+ * Decode a data unit of a sequential DCT scan and store the decoded samples in the component
  * 
- * Returns the DC coefficient
+ * @param {DataViewReader} reader Data source
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about this scan
+ * @param {*} component Component the data unit belongs to
+ * @param {*} blockRow Vertical index of the data unit within the component
+ * @param {*} blockCol Horizontal index of the data unit within the component
+ */
+function decodeSequentialBlock(reader, img, scan, component, blockRow, blockCol) {
+    let quantTable = img.quantTables[component.quantTableID];
+
+    // Block is the decoded image data. Store it in a component
+    let block = decodeDataUnit(reader, img, scan, component, quantTable);
+    storeBlock(component, blockRow, blockCol, block);
+}
+
+/**
+ * Copy the samples of a decoded 8x8 block into the component's image buffer
  * 
- * F.2.2.1
+ * @param {*} component Component the data unit belongs to
+ * @param {*} blockRow Vertical index of the data unit within the component
+ * @param {*} blockCol Horizontal index of the data unit within the component
+ * @param {*} block 64 decoded samples in natural order
+ */
+function storeBlock(component, blockRow, blockCol, block) {
+    // Top-left pixel coordinates of the block within the component
+    let blockStart = (blockRow * DATA_UNIT_SIZE * component.hSize) + (blockCol * DATA_UNIT_SIZE);
+    for (let yy = 0; yy < DATA_UNIT_SIZE; yy++) {   // yy is local y coordinate in block
+        let blockLineStart = blockStart + (yy * component.hSize);
+        for (let xx = 0; xx < DATA_UNIT_SIZE; xx++) {   // xx is local x coordinate in block
+            component.imgBuff[blockLineStart + xx] = block[yy * DATA_UNIT_SIZE + xx];
+        }
+    }
+}
+
+/**
+ * Returns the index of the first (DC) coefficient of a data unit in the component's
+ * coefficient buffer
+ * 
+ * @param {*} component 
+ * @param {*} blockRow Vertical index of the data unit within the component
+ * @param {*} blockCol Horizontal index of the data unit within the component
+ */
+function coeffOffset(component, blockRow, blockCol) {
+    return ((blockRow * component.blocksPerLine) + blockCol) * DATA_UNIT_SIZE * DATA_UNIT_SIZE;
+}
+
+/**
+ * Decode the part of a data unit that's coded in a progressive scan: the DC coefficient or a band
+ * of AC coefficients, either for the first time or one more bit of it. The coefficients are
+ * accumulated in the component's coefficient buffer.
+ * 
+ * G.1.2, G.1.3
  * 
  * @param {DataViewReader} reader Data source
- * @param {*} img Struct containing information about the image
- * @param {*} scan Struct containing information about the scan (specifically the table of DC predictors)
- * @param {*} id ID of the current component. Used to look up the current DC predictor
- * @param {*} dcTable Huffman table implementation for DC coefficients
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about this scan
+ * @param {*} component Component the data unit belongs to
+ * @param {*} blockRow Vertical index of the data unit within the component
+ * @param {*} blockCol Horizontal index of the data unit within the component
  */
-function decodeDCCoeff(reader, img, scan, id, dcTable) {
-    let t = dcTable.decodeHuffman(reader, img);
-    let diff = receive(reader, img, t);
-    diff = extend(diff, t);
-    let dcpred = scan.dcpred[id];
-    // console.log("DC Coeff: val: " + t + ", diff: " + diff + ", pred: " + dcpred);
-    return dcpred + diff;
+function decodeProgressiveBlock(reader, img, scan, component, blockRow, blockCol) {
+    let decoder = scan.entropyDecoder;
+    let offset = coeffOffset(component, blockRow, blockCol);
+    if (scan.ss === 0) {
+        if (scan.ah === 0) {
+            decoder.decodeDCFirst(reader, img, scan, component, component.coeffs, offset);
+        } else {
+            decoder.decodeDCRefine(reader, img, scan, component, component.coeffs, offset);
+        }
+    } else {
+        if (scan.ah === 0) {
+            decoder.decodeACFirst(reader, img, scan, component, component.coeffs, offset);
+        } else {
+            decoder.decodeACRefine(reader, img, scan, component, component.coeffs, offset);
+        }
+    }
 }
 
 /**
- * Read and decode the AC coefficients from the bit stream and load them into
- * the array of zig-zag'ed coefficients
+ * Decode a single sample of a lossless image: decode the difference from the bit stream
+ * and add it to the value predicted from the sample's neighbors.
  * 
- * F.2.2.2
+ * H.1.2
  * 
  * @param {DataViewReader} reader Data source
- * @param {*} img Struct containing information about the image
- * @param {Array} zigzagCoeff 64-element array where we store the AC coefficients
- * @param {*} acTable Huffman table implementation for AC coefficients
- */
-function decodeACCoeffs(reader, img, zigzagCoeff, acTable) {
-    for (let k = 1; k < 64; k++) {
-        const rs = acTable.decodeHuffman(reader, img);
-        // F.1.2.2
-        const ssss = getLowNibble(rs);    // Amplitude of next non-zero coeff in ZZ
-        const rrrr = getHighNibble(rs);   // Run length of zero coeffs in ZZ before next non-zero
-        if (ssss === 0) {
-            if (rrrr === 0xF) {
-                // console.log("ZRL");
-                k += 15;
-                continue;
-            } else if (rrrr === 0) {
-                // console.log("EOB");
-                break;
-            } else {
-                // Other values undefined for Baseline 
-                console.error("Error: unexpected RRRR (expected 0 or 0x0f, got " + rrrr + ")");
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} scan Struct with information about this scan
+ * @param {*} component Component the sample belongs to
+ * @param {*} row Vertical index of the sample within the component
+ * @param {*} col Horizontal index of the sample within the component
+ */
+function decodeLosslessSample(reader, img, scan, component, row, col) {
+    let id = component.componentID;
+    let buff = component.imgBuff;
+    let width = component.hSize;
+    let index = (row * width) + col;
+
+    // Choose the prediction (H.1.2.1). The first line of the scan (and of each restart interval)
+    // can only look to the left, and the first sample in each other line can only look up.
+    let pred;
+    if (img.frame.differential) {
+        pred = 0;   // Differential frames aren't predicted (J.1.3)
+    } else if (scan.intervalStart[id] === undefined) {
+        scan.intervalStart[id] = row;
+        pred = 1 << (img.frame.precision - scan.al - 1);
+    } else if (row === scan.intervalStart[id]) {
+        pred = buff[index - 1];
+    } else if (col === 0) {
+        pred = buff[index - width];
+    } else {
+        pred = predict(scan.ss, buff[index - 1], buff[index - width], buff[index - width - 1]);
+    }
+
+    // Decode the difference (H.1.2.2)
+    let diff = scan.entropyDecoder.decodeDifference(reader, img, scan, component);
+    buff[index] = (pred + diff) & 0xFFFF;   // Modulo 2^16
+}
+
+/**
+ * Calculate the prediction for a lossless sample from its neighbors (Table H.1)
+ * 
+ * @param {Number} predictor Predictor selection value (1-7)
+ * @param {Number} ra Sample to the left
+ * @param {Number} rb Sample above
+ * @param {Number} rc Sample above and to the left
+ */
+function predict(predictor, ra, rb, rc) {
+    switch (predictor) {
+        case 1: return ra;
+        case 2: return rb;
+        case 3: return rc;
+        case 4: return ra + rb - rc;
+        case 5: return ra + ((rb - rc) >> 1);
+        case 6: return rb + ((ra - rc) >> 1);
+        case 7: return (ra + rb) >> 1;
+        default: return 0;      // Reported by parseStartOfSequence()
+    }
+}
+
+/**
+ * Dequantize + transform the coefficients of all data units in a progressive component,
+ * storing the samples in the component's image buffer
+ * 
+ * @param {*} img Struct with information about the image, including frame + components
+ * @param {*} component 
+ */
+function inverseTransformComponent(img, component) {
+    let quantTable = (img.quantTables !== undefined ? img.quantTables[component.quantTableID] : undefined);
+    if (quantTable === undefined) {
+        return;     // None of the component's scans could be decoded (see missingQuantTable())
+    }
+    let block = new Array(DATA_UNIT_SIZE * DATA_UNIT_SIZE);
+    let scratch = new Array(DATA_UNIT_SIZE * DATA_UNIT_SIZE);
+    for (let row = 0; row < component.blocksPerColumn; row++) {
+        for (let col = 0; col < component.blocksPerLine; col++) {
+            let offset = coeffOffset(component, row, col);
+            for (let i = 0; i < block.length; i++) {
+                block[i] = component.coeffs[offset + i];
             }
-        } else {
-            k += rrrr;
-            // Implements the 'DECODE_ZZ' function from Figure F.14
-            // Decode amplitude + sign
-            const amp = receive(reader, img, ssss);
-            const sign = extend(amp, ssss);
-            // console.log("AC[" + k + "]: (" + amp + ", " + sign + ")");
-            zigzagCoeff[k] = sign;
+            storeBlock(component, row, col,
+                inverseTransform(block, scratch, quantTable, img.idctFn, img.frame.precision, img.frame.differential));
         }
     }
 }
@@ -817,48 +2717,73 @@ function decodeACCoeffs(reader, img, zigzagCoeff, acTable) {
  * @param {DataViewReader} reader Data source
  * @param {*} img Struct with information about the image, including frame + components
  * @param {*} scan Struct with information about this scan
- * @param {*} id ID of the current component. Used to look up the current DC predictor
- * @param {*} dcTable Huffman table to use for decoding DC coefficients
- * @param {*} acTable Huffamn table to use for decoding AC coefficients
+ * @param {*} component Component the data unit belongs to
  * @param {*} quantTable Quantization table for this block
  */
-function decodeDataUnit(reader, img, scan, id, dcTable, acTable, quantTable) {
+function decodeDataUnit(reader, img, scan, component, quantTable) {
     // 8x8 table of DC/AC coeffs
     scan.block.fill(0);
 
-    // Decode DC Coeff for 8x8 block using DC table dest in scan header (F.2.2.1)
-    scan.block[0] = decodeDCCoeff(reader, img, scan, id, dcTable);
-    scan.dcpred[id] = scan.block[0];
+    // Decode DC + AC coeffs for 8x8 block using the tables selected in the scan header
+    // (F.2.2.1 + F.2.2.2 for Huffman coding, F.2.4.1 + F.2.4.2 for arithmetic coding)
+    scan.entropyDecoder.decodeBlock(reader, img, scan, component, scan.block);
 
-    // Decode AC coeffs for 8x8 block using AC table dest in scan header (F.2.2.2)
-    decodeACCoeffs(reader, img, scan.block, acTable);
+    return inverseTransform(scan.block, scan.scratch, quantTable, img.idctFn, img.frame.precision, img.frame.differential);
+}
 
+/**
+ * Convert a block of quantized coefficients to samples. In order, we:
+ * - Dequantize the 64 coefficients
+ * - Convert coefficients from zig-zag order to sequential order
+ * - Perform Inverse DCT (IDCT)
+ * - Recenter the coefficients (except in differential frames)
+ * 
+ * Returns the block of samples. Depending on the IDCT this may be the input block.
+ * 
+ * @param {*} zigzagCoeff 64 quantized coefficients in zig-zag order. Modified in-place
+ * @param {*} scratch Scratch space to use when reordering
+ * @param {*} quantTable Quantization table for this block
+ * @param {Function} idctFn IDCT implementation to use
+ * @param {Number} precision Sample precision in bits (8 or 12)
+ * @param {Boolean} differential True if the block is from a differential frame of a hierarchical image
+ */
+function inverseTransform(zigzagCoeff, scratch, quantTable, idctFn, precision, differential = false) {
     // Dequantize using table dest in frame header (F.2.1.4)
     // Multiply each coefficient by the corresponding 
     // value in the quant table (which is in ZZ order too)
-    dequantize(scan.block, quantTable);
+    dequantize(zigzagCoeff, quantTable);
 
     // Reorder coefficients (de-zig-zag)
-    reorder(scan.block, scan.scratch);
+    reorder(zigzagCoeff, scratch);
+
+    if (differential) {
+        // Differences are signed and need an extra bit, and aren't level-shifted (J.1.2)
+        return idctFn(zigzagCoeff, precision + 1);
+    }
 
     // Calculate inverse IDCT on dequantized values (F.2.1.5)
-    let block = idctFn(scan.block);
+    let block = idctFn(zigzagCoeff, precision);
     
     // Level-shift (F.2.1.5)
-    levelShift(block);
+    levelShift(block, precision);
     return block;
 }
 
 /**
- * Perform level-shift of coefficients in the block. Operates in-place.
+ * Perform level-shift of coefficients in the block, clamping the results to the
+ * range of the sample precision. Operates in-place.
  * 
  * F.2.1.5
  * 
  * @param {*} block 
+ * @param {Number} precision Sample precision in bits. Defaults to 8 (shift by 128)
  */
-function levelShift(block) {
+function levelShift(block, precision = 8) {
+    let shift = 1 << (precision - 1);
+    let max = (1 << precision) - 1;
     for (let i = 0; i < block.length; i++) {
-        block[i] += 128;
+        let val = block[i] + shift;
+        block[i] = (val > max ? max : (val < 0 ? 0 : val));
     }
 }
 
@@ -938,41 +2863,136 @@ function extend(v, t) {
 function receive(reader, img, ssss) {
     let v = 0;
     for (let i = 0; i < ssss; i++) {
-        v = (v << 1) + reader.nextBit(img);
+        v = (v << 1) + reader.nextBit();
     }
     return v;
 }
 
 /**
- * Parse App segment
+ * Identifiers at the start of the APP1 segments of the main XMP packet and the chunks of the extended packet
+ */
+const XMP_IDENTIFIER = "http://ns.adobe.com/xap/1.0/\0";
+const XMP_EXTENSION_IDENTIFIER = "http://ns.adobe.com/xmp/extension/\0";
+
+/**
+ * Parse App segment. JFIF + JFXX (APP0), EXIF + XMP (APP1), ICC profile (APP2), Photoshop (APP13)
+ * and Adobe (APP14) segments are interpreted; the contents of other segments are just logged.
  * 
  * @param {String} marker Name of the segment
  * @param {DataViewReader} reader 
+ * @param {*} img Struct with information about the image
  */
-function parseAppSegment(marker, reader) {
+function parseAppSegment(marker, reader, img) {
+    let offset = reader.currentIndex() - 1;     // Index of the marker
     let length = reader.nextWord();
     console.log("   Length of " + marker + " segment: " + length);
     
-    let tmp = reader.currentIndex();
-    if (marker === "APP0") {
-        if (length >= 16) {
-            let str = "";
-            for (let i = 0; i < 5; i++) {
-                str += String.fromCharCode(reader.nextByte());
-            }
-            if (str === "JFIF\0") {
-                let major = reader.nextByte();
-                let minor = reader.nextByte();
-                console.log("JFIF version: " + major + "." + minor);
-                let units = reader.nextByte();
-                let xdens = reader.nextWord()
-                let ydens = reader.nextWord();
-                let xthumb = reader.nextByte();
-                let ythumb = reader.nextByte();
-                let thumbsize = xthumb * ythumb * 3;    // 3 bytes: RGB
-                //console.log("thumbnail size: " + xthumb + "x" + ythumb + ", " + thumbsize + " bytes");
-                reader.skip(thumbsize);
-            }
+    let end = reader.currentIndex() + length - 2;    // Length includes the 2 bytes that describe length
+    img.metadata.appSegments.push({
+        marker: marker,
+        offset: offset,
+        length: length,
+        identifier: segmentIdentifier(reader, end),
+    });
+    if (marker === "APP0" && length >= 16 && segmentHasIdentifier(reader, end, "JFIF\0")) {
+        reader.skip(5);
+        let major = reader.nextByte();
+        let minor = reader.nextByte();
+        console.log("JFIF version: " + major + "." + minor);
+        let units = reader.nextByte();
+        let xdens = reader.nextWord()
+        let ydens = reader.nextWord();
+        img.jfif = {
+            version: major + "." + String(minor).padStart(2, "0"),
+            units: units,           // 0 = no units (aspect ratio only), 1 = dots/inch, 2 = dots/cm
+            xDensity: xdens,
+            yDensity: ydens,
+        };
+        let xthumb = reader.nextByte();
+        let ythumb = reader.nextByte();
+        if (xthumb * ythumb > 0) {
+            addThumbnail(img, "JFIF", "rgb", readRGBThumbnail(reader, img, end, xthumb, ythumb));
+        }
+    } else if (marker === "APP0" && length >= 8 && segmentHasIdentifier(reader, end, "JFXX\0")) {
+        // JFIF extension: a thumbnail, coded as JPEG, 1 byte/pixel (palette) or 3 bytes/pixel (RGB)
+        reader.skip(5);
+        let extension = reader.nextByte();
+        if (extension === 0x10 && img.inspectOnly) {
+            console.log("Not decoding JPEG thumbnail");
+        } else if (extension === 0x10) {
+            let view = reader.view;
+            let start = reader.currentIndex() + 1;
+            let size = Math.min(end + 1, view.byteLength) - start;
+            let data = view.buffer.slice(view.byteOffset + start, view.byteOffset + start + Math.max(size, 0));
+            addThumbnail(img, "JFXX", "jpeg", decodeJpegThumbnail(img, data, start));
+        } else if ((extension === 0x11 || extension === 0x13) && reader.currentIndex() + 2 <= end) {
+            let width = reader.nextByte();
+            let height = reader.nextByte();
+            let thumbnail = (extension === 0x11 ? readPaletteThumbnail(reader, img, end, width, height)
+                : readRGBThumbnail(reader, img, end, width, height));
+            addThumbnail(img, "JFXX", (extension === 0x11 ? "palette" : "rgb"), thumbnail);
+        } else {
+            reportProblem(img, InvalidDataError, reader.currentIndex(), "unknown JFXX extension code 0x" + extension.toString(16));
+        }
+    } else if (marker === "APP1" && segmentHasIdentifier(reader, end, "Exif\0\0")) {
+        // The rest of the segment is a TIFF file; see exif.js
+        let view = reader.view;
+        let start = reader.currentIndex() + 7;
+        let size = Math.min(end + 1, view.byteLength) - start;
+        img.exif = parseExif(new DataView(view.buffer, view.byteOffset + start, Math.max(size, 0)),
+            message => reportProblem(img, InvalidDataError, offset, message));
+        let orientation = (img.exif ? img.exif.ifd0.Orientation : undefined);
+        console.log("EXIF orientation: " + orientation);
+        if (orientation !== undefined && !(Number.isInteger(orientation) && orientation >= 1 && orientation <= 8)) {
+            reportProblem(img, InvalidDataError, offset, "unknown EXIF orientation " + orientation);
+        }
+    } else if (marker === "APP1" && segmentHasIdentifier(reader, end, XMP_IDENTIFIER)) {
+        // The rest of the segment is the main XMP packet; see xmp.js
+        reader.skip(XMP_IDENTIFIER.length);
+        img.xmpPacket = segmentBytes(reader, end);
+        console.log("XMP packet: " + img.xmpPacket.length + " bytes");
+    } else if (marker === "APP1" && segmentHasIdentifier(reader, end, XMP_EXTENSION_IDENTIFIER)
+            && reader.currentIndex() + XMP_EXTENSION_IDENTIFIER.length + 40 <= end) {
+        // GUID of the extended packet (32 hex digits), its length, the offset of this chunk, then the chunk
+        // (XMP Specification Part 3, 1.1.3.1)
+        reader.skip(XMP_EXTENSION_IDENTIFIER.length);
+        let guid = "";
+        for (let i = 0; i < 32; i++) {
+            guid += String.fromCharCode(reader.nextByte());
+        }
+        let length = (reader.nextWord() * 0x10000) + reader.nextWord();
+        let offset = (reader.nextWord() * 0x10000) + reader.nextWord();
+        img.xmpChunks.push({ guid: guid, length: length, offset: offset, data: segmentBytes(reader, end) });
+        console.log("Extended XMP chunk: " + guid + " offset " + offset + " of " + length);
+    } else if (marker === "APP2" && segmentHasIdentifier(reader, end, "ICC_PROFILE\0")) {
+        // Sequence number + number of chunks, then a chunk of the profile (ICC.1:2010 B.4)
+        let view = reader.view;
+        let start = reader.currentIndex() + 15;
+        let size = Math.min(end + 1, view.byteLength) - start;
+        img.iccChunks.push({
+            seqNo: reader.peekByte(13),
+            numChunks: reader.peekByte(14),
+            data: new Uint8Array(view.buffer.slice(view.byteOffset + start, view.byteOffset + start + Math.max(size, 0))),
+        });
+        console.log("ICC profile chunk " + reader.peekByte(13) + " of " + reader.peekByte(14));
+    } else if (marker === "APPD" && segmentHasIdentifier(reader, end, "Photoshop 3.0\0")) {
+        // Photoshop image resources; see iptc.js
+        reader.skip(14);
+        img.photoshopChunks.push(segmentBytes(reader, end));
+        console.log("Photoshop resources: " + img.photoshopChunks[img.photoshopChunks.length - 1].length + " bytes");
+    } else if (marker === "APPE" && length >= 14 && segmentHasIdentifier(reader, end, "Adobe")) {
+        // Version, 2 words of flags, then the color transform: 0 = none (RGB or CMYK), 1 = YCbCr,
+        // 2 = YCCK (Adobe Technical Note #5116, 18)
+        reader.skip(5);
+        img.adobe = {
+            version: reader.nextWord(),
+            flags0: reader.nextWord(),
+            flags1: reader.nextWord(),
+            transform: reader.nextByte(),
+        };
+        console.log("Adobe transform: " + img.adobe.transform);
+        if (img.adobe.transform > 2) {
+            reportProblem(img, InvalidDataError, reader.currentIndex(), "unknown Adobe transform " + img.adobe.transform);
         }
     } else {
         let content = "";
@@ -981,8 +3001,164 @@ function parseAppSegment(marker, reader) {
         }
         console.log(marker + " content: " + content);
     }
-    // TODO: figure out where to set the reader
-    return tmp + length - 2;    // Length includes the 2 bytes that describe length
+    // Carry on after the segment, however much of it we read
+    reader.skip(end - reader.currentIndex());
+}
+
+/**
+ * Add a thumbnail to the list of the image's thumbnails, if it could be read
+ * 
+ * @param {*} img Struct with information about the image
+ * @param {String} source Segment the thumbnail came from: "JFIF" or "JFXX"
+ * @param {String} format How the thumbnail was coded: "rgb", "palette" or "jpeg"
+ * @param {*} thumbnail The thumbnail: width, height + rgba (+ data for JPEG), or null if it couldn't be read
+ */
+function addThumbnail(img, source, format, thumbnail) {
+    if (thumbnail === null) {
+        return;
+    }
+    console.log(source + " thumbnail (" + format + "): " + thumbnail.width + "x" + thumbnail.height);
+    img.thumbnails.push(Object.assign({ source: source, format: format }, thumbnail));
+}
+
+/**
+ * Read an uncompressed thumbnail of 3 bytes (RGB) per pixel. Returns null if the segment is too short.
+ * 
+ * JFIF 1.02, JFXX extension code 0x13
+ * 
+ * @param {DataViewReader} reader 
+ * @param {*} img Struct with information about the image
+ * @param {Number} end Index of the last byte of the segment
+ * @param {Number} width Width of the thumbnail
+ * @param {Number} height Height of the thumbnail
+ */
+function readRGBThumbnail(reader, img, end, width, height) {
+    if (reader.currentIndex() + (width * height * 3) > end) {
+        reportProblem(img, InvalidDataError, reader.currentIndex(), width + "x" + height + " RGB thumbnail doesn't fit in its segment");
+        return null;
+    }
+    let rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        rgba[i] = reader.nextByte();
+        rgba[i + 1] = reader.nextByte();
+        rgba[i + 2] = reader.nextByte();
+        rgba[i + 3] = 255;
+    }
+    return { width: width, height: height, rgba: rgba };
+}
+
+/**
+ * Read an uncompressed thumbnail of 1 byte per pixel: a palette of 256 RGB colors, then the
+ * index into the palette of each pixel. Returns null if the segment is too short.
+ * 
+ * JFXX extension code 0x11
+ * 
+ * @param {DataViewReader} reader 
+ * @param {*} img Struct with information about the image
+ * @param {Number} end Index of the last byte of the segment
+ * @param {Number} width Width of the thumbnail
+ * @param {Number} height Height of the thumbnail
+ */
+function readPaletteThumbnail(reader, img, end, width, height) {
+    if (reader.currentIndex() + 768 + (width * height) > end) {
+        reportProblem(img, InvalidDataError, reader.currentIndex(), width + "x" + height + " palette thumbnail doesn't fit in its segment");
+        return null;
+    }
+    let palette = [];
+    for (let i = 0; i < 256; i++) {
+        palette.push([reader.nextByte(), reader.nextByte(), reader.nextByte(), 255]);
+    }
+    let rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        rgba.set(palette[reader.nextByte()], i);
+    }
+    return { width: width, height: height, rgba: rgba };
+}
+
+/**
+ * Decode a JPEG-coded thumbnail, with the same options as the image it belongs to.
+ * Returns null if it can't be decoded. The thumbnail is decoded leniently; its problems are
+ * reported as problems with the image, at their offsets in the image's file.
+ * 
+ * JFXX extension code 0x10
+ * 
+ * @param {*} img Struct with information about the image
+ * @param {ArrayBuffer} data The thumbnail's JPEG file
+ * @param {Number} start Offset of the thumbnail in the image's file
+ */
+function decodeJpegThumbnail(img, data, start) {
+    let thumbImg = createImage(img);
+    thumbImg.strict = false;
+    thumbImg.progressivePreview = false;
+    thumbImg.onOutput = null;
+    thumbImg.onProgress = null;
+    try {
+        parseFile(data, thumbImg);
+    } catch (e) {
+        thumbImg.warnings.push({ type: "InvalidDataError", message: "couldn't decode: " + e.message, offset: 0 });
+    }
+    for (let warning of thumbImg.warnings) {
+        reportProblem(img, jpegErrorType(warning.type), start + warning.offset, "JPEG thumbnail: " + warning.message);
+    }
+    let output = thumbImg.output;
+    if (!output) {
+        reportProblem(img, InvalidDataError, start, "JPEG thumbnail doesn't contain an image");
+        return null;
+    }
+    return { width: output.width, height: output.height, rgba: output.rgba, data: new Uint8Array(data) };
+}
+
+/**
+ * Returns the identifier at the start of the segment after the current byte, e.g. "Exif" or
+ * "ICC_PROFILE": the printable ASCII characters up to the first NUL (or anything else).
+ * Doesn't move the reader.
+ * 
+ * @param {DataViewReader} reader 
+ * @param {Number} end Index of the last byte of the segment
+ */
+function segmentIdentifier(reader, end) {
+    let identifier = "";
+    for (let i = 1; reader.currentIndex() + i <= end && identifier.length < 64; i++) {
+        let byte = reader.peekByte(i);
+        if (byte === undefined || byte < 0x20 || byte > 0x7E) {
+            break;
+        }
+        identifier += String.fromCharCode(byte);
+    }
+    return identifier;
+}
+
+/**
+ * Returns a copy of the rest of the segment, after the current byte. Doesn't move the reader.
+ * 
+ * @param {DataViewReader} reader 
+ * @param {Number} end Index of the last byte of the segment
+ */
+function segmentBytes(reader, end) {
+    let view = reader.view;
+    let start = reader.currentIndex() + 1;
+    let size = Math.max(Math.min(end + 1, view.byteLength) - start, 0);
+    return new Uint8Array(view.buffer.slice(view.byteOffset + start, view.byteOffset + start + size));
+}
+
+/**
+ * Returns true if the segment starting after the current byte begins with an identifier string,
+ * e.g. "Exif\0\0". Doesn't move the reader.
+ * 
+ * @param {DataViewReader} reader 
+ * @param {Number} end Index of the last byte of the segment
+ * @param {String} identifier 
+ */
+function segmentHasIdentifier(reader, end, identifier) {
+    if (reader.currentIndex() + identifier.length > end) {
+        return false;
+    }
+    for (let i = 0; i < identifier.length; i++) {
+        if (reader.peekByte(i + 1) !== identifier.charCodeAt(i)) {
+            return false;
+        }
+    }
+    return true;
 }
 
 /**
@@ -1007,19 +3183,20 @@ function parseQuantizationTable(marker, reader, img) {
         let destID = getLowNibble(tmp);
         //console.log("byte: " + tmp + ", precision: " + precision + ", destID: " + destID);
         if (precision > 1) {
-            console.error("Error: precision not 0 or 1");
+            reportProblem(img, InvalidTableError, reader.currentIndex(), "quant table precision not 0 or 1");
         }
         if (destID > 3) {
-            console.error("Error: destID not in range 0-3");
+            reportProblem(img, InvalidTableError, reader.currentIndex(), "quant table destID not in range 0-3");
         }
         // 8-bit or 16-bit table?
         let tableLength = QUANT_TABLE_SIZE * (precision === 0 ? 1 : 2);
         //console.log("quant table size: " + tableLength);
         if (tableLength > length) {
-            console.error("Error: quant table extends past end of " + marker +  " marker segment");
+            reportProblem(img, InvalidTableError, reader.currentIndex(), "quant table extends past end of "
+                + marker + " marker segment");
         }
-        // Build table
-        let table = new Array(QUANT_TABLE_SIZE);
+        // Build table. Always 16 bits wide so 8- and 16-bit tables are handled the same way
+        let table = new Uint16Array(QUANT_TABLE_SIZE);
         if (precision === 0) {
             for (let i = 0; i < QUANT_TABLE_SIZE; i++) {
                 table[i] = reader.nextByte();
@@ -1031,6 +3208,7 @@ function parseQuantizationTable(marker, reader, img) {
         }
         console.log("setting quant table " + destID + ": " + table);
         img.quantTables[destID] = table;
+        img.metadata.quantTables.push({ id: destID, precision: (precision === 0 ? 8 : 16), values: Array.from(table) });
         length = length - tableLength - 1;  // -1 for the precision+dest
     }
 }
@@ -1059,13 +3237,15 @@ function parseHuffmanTable(marker, reader, img) {
         let destID = getLowNibble(tmp);
         table.class = tableClass;
         //console.log("byte: " + tmp + ", tableClass: " + tableClass + ", destID: " + destID);
+        // A table with a bad class or destination is read, to get past it, but not kept
+        let valid = true;
         if (tableClass > 1) {
-            console.error("Error: tableClass not 0 or 1");
+            reportProblem(img, InvalidTableError, reader.currentIndex(), "huffman tableClass not 0 or 1");
+            valid = false;
         }
         if (destID > 3) {
-            console.error("Error: destID not in range 0-3");
-        } else if (destID > 1) {
-            console.warn("Warning: code table " + destID + " not supported by baseline decoder")
+            reportProblem(img, InvalidTableError, reader.currentIndex(), "huffman table destID not in range 0-3");
+            valid = false;
         }
         // Number of codes of each length (L1, L2, ... Li)
         let bits = [];
@@ -1075,8 +3255,7 @@ function parseHuffmanTable(marker, reader, img) {
         console.log("Huffman table class: " + tableClass + ", dest: " + destID + " lengths:" + bits);
 
         // Read code values for each length (Vi,j) and push them into the Huffman decoder
-        let decoderType = document.querySelector('input[name="huffmanType"]:checked').value;
-        let huffDecoder = decoderType === "tree" ? new HuffTree() : new HuffArray();
+        let huffDecoder = img.huffmanType === "tree" ? new HuffTree() : new HuffArray();
         huffDecoder.initDecoder(bits);
         let numCodes = 0;
         for (let i = 1; i <= NUM_HUFFMAN_LENGTHS; i++) {    // 1-indexed to match JPEG spec
@@ -1089,14 +3268,173 @@ function parseHuffmanTable(marker, reader, img) {
 
         let tableLength = NUM_HUFFMAN_LENGTHS + numCodes + 1;   // +1 for the precision+dest
         if (tableLength > length) {
-            console.error("Error: huffman table extends past end of " + marker +  " marker segment");
+            reportProblem(img, InvalidTableError, reader.currentIndex(), "huffman table extends past end of "
+                + marker + " marker segment");
         }
 
-        img.huffmanTables[tableClass][destID] = huffDecoder;
+        if (valid) {
+            img.huffmanTables[tableClass][destID] = huffDecoder;
+            img.metadata.huffmanTables.push({ class: (tableClass === 0 ? "DC" : "AC"), id: destID,
+                counts: bits.slice(1), numCodes: numCodes });
+        }
         length = length - tableLength;
     }
 }
 
+/**
+ * Parse arithmetic coding conditioning table(s). Replaces the default conditioning for
+ * the given table until the next SOI.
+ * 
+ * B.2.4.3, F.1.4.4.1.4, F.1.4.4.2.1
+ * 
+ * @param {String} marker Name of the segment
+ * @param {DataViewReader} reader 
+ */
+function parseArithmeticConditioning(marker, reader, img) {
+    let length = reader.nextWord();
+    //console.log("   Length of " + marker + " segment: " + length);
+
+    // Each table is 2 bytes: table class + destination, then the conditioning value
+    length = length - 2;
+    for (; length >= 2; length -= 2) {
+        let tmp = reader.nextByte();
+        let tableClass = getHighNibble(tmp);
+        let destID = getLowNibble(tmp);
+        let value = reader.nextByte();
+        if (tableClass > 1) {
+            reportProblem(img, InvalidTableError, reader.currentIndex() - 1, "conditioning tableClass not 0 or 1");
+            continue;
+        }
+        if (destID > 3) {
+            reportProblem(img, InvalidTableError, reader.currentIndex() - 1, "conditioning destID not in range 0-3");
+            continue;
+        }
+        if (tableClass === 0 && getLowNibble(value) > getHighNibble(value)) {
+            reportProblem(img, InvalidTableError, reader.currentIndex(), "DC conditioning has L > U: " + value.toString(16));
+        } else if (tableClass === 1 && (value < 1 || value > 63)) {
+            reportProblem(img, InvalidTableError, reader.currentIndex(), "AC conditioning Kx not in range 1-63: " + value);
+        }
+        console.log("Arithmetic conditioning class: " + tableClass + ", dest: " + destID + ", value: " + value);
+        img.arithmeticConditioning[tableClass][destID] = value;
+    }
+    if (length != 0) {
+        reportProblem(img, InvalidTableError, reader.currentIndex() + 1, marker + " segment has a partial conditioning table");
+        reader.skip(length);
+    }
+}
+
+/**
+ * Parse Define Hierarchical Progression. Marks the image as hierarchical, and describes the
+ * size + components of the final image. The segment has the same layout as a frame header.
+ * 
+ * B.3.2
+ * 
+ * @param {String} marker Name of the segment
+ * @param {DataViewReader} reader 
+ */
+function parseHierarchicalProgression(marker, reader, img) {
+    let length = reader.nextWord();
+    console.log("   Length of " + marker + " segment: " + length);
+
+    let hierarchy = {};
+    hierarchy.precision = reader.nextByte();
+    hierarchy.frameY = reader.nextWord();
+    hierarchy.frameX = reader.nextWord();
+    let numComponents = reader.nextByte();
+    hierarchy.components = [];
+    for (let i = 0; i < numComponents; i++) {
+        let component = {};
+        component.componentID = reader.nextByte();
+        let tmp = reader.nextByte();
+        component.hSampleFactor = getHighNibble(tmp);
+        component.vSampleFactor = getLowNibble(tmp);
+        reader.nextByte();  // Quantization table selector; always 0
+        hierarchy.components.push(component);
+    }
+    hierarchy.reference = [];   // Reference image for the next frame, indexed by component ID
+    hierarchy.frames = [];      // Output of each frame
+    img.hierarchy = hierarchy;
+    console.log("Hierarchical image: precision: " + hierarchy.precision + ", frameY: " + hierarchy.frameY
+        + ", frameX: " + hierarchy.frameX + ", #components: " + numComponents);
+}
+
+/**
+ * Parse Expand Reference Component(s). The reference image is upsampled by 2 horizontally
+ * and/or vertically before it's used to reconstruct the next (differential) frame.
+ * 
+ * B.3.3
+ * 
+ * @param {String} marker Name of the segment
+ * @param {DataViewReader} reader 
+ */
+function parseExpandReference(marker, reader, img) {
+    let length = reader.nextWord();
+    // console.log("   Length of " + marker + " segment: " + length);
+
+    let tmp = reader.nextByte();
+    let expandH = getHighNibble(tmp);
+    let expandV = getLowNibble(tmp);
+    console.log("Expand reference: horizontal: " + expandH + ", vertical: " + expandV);
+    if (!img.hierarchy) {
+        reportProblem(img, InvalidDataError, reader.currentIndex() - 2, "found " + marker + " segment outside of a hierarchical image");
+        return;
+    }
+    if (expandH > 1 || expandV > 1) {
+        reportProblem(img, InvalidDataError, reader.currentIndex(), "expansion must be 0 or 1, got " + expandH + "/" + expandV);
+    }
+    for (let reference of img.hierarchy.reference) {
+        if (reference !== undefined) {
+            img.hierarchy.reference[reference.componentID] = upsampleReference(reference, expandH, expandV);
+        }
+    }
+}
+
+/**
+ * Upsample a reference component by 2 horizontally and/or vertically with the bilinear filter
+ * from the spec: new samples are the average of their two neighbors, rounded down. The last
+ * sample of each line (or column) is replicated. Returns the upsampled component.
+ * 
+ * J.1.1.2
+ * 
+ * @param {*} reference Reference component: { componentID, width, height, samples }
+ * @param {Number} expandH 1 to upsample horizontally
+ * @param {Number} expandV 1 to upsample vertically
+ */
+function upsampleReference(reference, expandH, expandV) {
+    let width = reference.width;
+    let height = reference.height;
+    let samples = reference.samples;
+    if (expandH) {
+        let expanded = new Int32Array(width * 2 * height);
+        for (let y = 0; y < height; y++) {
+            let line = y * width;
+            for (let x = 0; x < width; x++) {
+                let ra = samples[line + x];
+                let rb = samples[line + Math.min(x + 1, width - 1)];
+                expanded[(line * 2) + (x * 2)] = ra;
+                expanded[(line * 2) + (x * 2) + 1] = (ra + rb) >> 1;
+            }
+        }
+        width *= 2;
+        samples = expanded;
+    }
+    if (expandV) {
+        let expanded = new Int32Array(width * height * 2);
+        for (let y = 0; y < height; y++) {
+            let below = Math.min(y + 1, height - 1) * width;
+            for (let x = 0; x < width; x++) {
+                let ra = samples[(y * width) + x];
+                let rb = samples[below + x];
+                expanded[(y * 2 * width) + x] = ra;
+                expanded[(((y * 2) + 1) * width) + x] = (ra + rb) >> 1;
+            }
+        }
+        height *= 2;
+        samples = expanded;
+    }
+    return { componentID: reference.componentID, width: width, height: height, samples: samples };
+}
+
 /**
  * Parse restart interval
  * 
@@ -1107,7 +3445,7 @@ function parseRestartInterval(marker, reader, img) {
     let length = reader.nextWord();
     // console.log("   Length of " + marker + " segment: " + length);
 
-    restartInterval = reader.nextWord();
+    let restartInterval = reader.nextWord();
     console.log("Restart interval: " + restartInterval);
     img.restartInterval = restartInterval;
 }
@@ -1118,14 +3456,44 @@ function parseRestartInterval(marker, reader, img) {
  * @param {DataViewReader} reader 
  */
 function parseDNL(reader, img) {
+    if (!img.frame) {
+        reportProblem(img, InvalidDataError, reader.currentIndex() - 1, "found DNL segment before the frame header");
+        parseUnsupportedSegment("DNL", reader);
+        return;
+    }
     let length = reader.nextWord();
     if (length != 4) {
-        console.error("Invalid length for DNL segment (expected 4)");
+        reportProblem(img, InvalidDataError, reader.currentIndex() - 1, "invalid length for DNL segment (expected 4)");
     }
     // console.log("   Length of " + marker + " segment: " + length);
 
     let frameY = reader.nextWord();
-    console.log("Replacing frame # rows (frameY): old: " + img.frame.frameY + ", new: " + frameY);
-    img.frame.frameY = frameY;
-    // TODO: Need to redo output image size, and probably other stuff too
+    let frame = img.frame;
+    if (frameY === 0) {
+        reportProblem(img, InvalidDataError, reader.currentIndex() - 1, "DNL segment must define a non-zero # of lines");
+    } else if (frame.frameY != 0) {
+        // Only allowed when the frame header has 0 lines (B.2.5)
+        reportProblem(img, InvalidDataError, reader.currentIndex() - 1, "ignoring DNL segment (" + frameY
+            + " lines); frame already has " + frame.frameY);
+    } else {
+        console.log("Setting frame # rows (frameY) from DNL: " + frameY);
+        setFrameLines(img, frameY);
+    }
+}
+
+/**
+ * Set the # of lines of a frame whose header gave 0 (B.2.5). Now that we know the size of
+ * the frame, its buffers are trimmed to fit.
+ * 
+ * @param {*} img Struct with information about the image, including frame
+ * @param {Number} lines # of lines in the frame
+ */
+function setFrameLines(img, lines) {
+    let frame = img.frame;
+    frame.frameY = lines;
+    img.metadata.frames[img.metadata.frames.length - 1].height = lines;
+    if (!img.inspectOnly) {
+        sizeFrame(frame, Math.ceil(lines / frame.duSize / frame.vmax));
+    }
+    emitFrameEvent(img);
 }
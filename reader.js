@@ -1,15 +1,86 @@
+/**
+ * Thrown when reading past the end of the data. When a file is being streamed (see JpegDecoder.push()),
+ * it means the rest of the file hasn't arrived yet.
+ */
+class EndOfDataError extends RangeError {}
+
+/**
+ * Thrown when the entropy-coded data of a scan can't be right, e.g. a Huffman code that isn't in the
+ * table or a marker in the middle of an MCU. The decoder decides what to do about it: lenient decoding
+ * picks up again at the next marker.
+ */
+class CorruptDataError extends Error {}
+
 class DataViewReader {
     
     /**
      * Creates a new DataViewReader from the DataView
      * 
      * @param {DataView} view 
+     * @param {Boolean} complete False if the file is still arriving: more data can be appended
+     *                           (see append()) until finish() is called
      */
-    constructor(view) {
+    constructor(view, complete = true) {
         this.view = view;
+        this.complete = complete;
         this.reset();
     }
 
+    /**
+     * Append data to the end of the view, for a file that's still arriving. The buffer grows
+     * by doubling, so appending small chunks doesn't copy the whole file each time.
+     * 
+     * @param {Uint8Array} bytes
+     */
+    append(bytes) {
+        let length = this.view.byteLength;
+        let buffer = this.view.buffer;
+        if (length + bytes.length > buffer.byteLength) {
+            let grown = new Uint8Array(Math.max(length + bytes.length, buffer.byteLength * 2));
+            grown.set(new Uint8Array(buffer, 0, length));
+            buffer = grown.buffer;
+        }
+        new Uint8Array(buffer, length, bytes.length).set(bytes);
+        this.view = new DataView(buffer, 0, length + bytes.length);
+    }
+
+    /**
+     * Mark the end of a file that was arriving: there's no more data to come
+     */
+    finish() {
+        this.complete = true;
+    }
+
+    /**
+     * Throws EndOfDataError if the count bytes after the current byte haven't arrived yet.
+     * A complete file is simply read as far as it goes, so this only applies while it's arriving.
+     * 
+     * @param {Number} count
+     */
+    ensureAvailable(count) {
+        if (!this.complete && this.index + count >= this.view.byteLength) {
+            throw new EndOfDataError("Waiting for more data");
+        }
+    }
+
+    /**
+     * Returns where the reader is, to go back to with restoreState()
+     */
+    saveState() {
+        return { index: this.index, byte: this.byte, cnt: this.cnt };
+    }
+
+    /**
+     * Go back to where the reader was when saveState() was called
+     * 
+     * @param {*} state
+     */
+    restoreState(state) {
+        this.index = state.index;
+        this.byte = state.byte;
+        this.cnt = state.cnt;
+    }
+
     /**
      * Reset the reader to the beginning of the file
      */
@@ -23,22 +94,46 @@ class DataViewReader {
      * Return the next byte from the view. Uses getUint8() internally.
      */
     nextByte() {
-        return this.view.getUint8(++this.index);
+        if (++this.index >= this.view.byteLength) {
+            throw new EndOfDataError("Read past the end of the data at " + this.index);
+        }
+        return this.view.getUint8(this.index);
     }
 
     /**
      * Return the next 2 bytes from the view. Uses getUint16() internally.
      */
     nextWord() {
-        let ret = this.view.getUint16(++this.index);
+        if (++this.index + 1 >= this.view.byteLength) {
+            throw new EndOfDataError("Read past the end of the data at " + this.index);
+        }
+        let ret = this.view.getUint16(this.index);
         this.index++;
         return ret;
     }
 
     /**
-     * Return true if there are more bytes to read
+     * Return the byte offset bytes after the current byte, without moving the reader.
+     * Returns undefined if that's past the end of the view, or throws EndOfDataError if
+     * the file is still arriving.
+     * 
+     * @param {Number} offset Defaults to 1 (the next byte)
+     */
+    peekByte(offset = 1) {
+        let index = this.index + offset;
+        if (index < this.view.byteLength) {
+            return this.view.getUint8(index);
+        }
+        this.ensureAvailable(offset);
+        return undefined;
+    }
+
+    /**
+     * Return true if there are more bytes to read. If the file is still arriving and there
+     * aren't any yet, there's no telling, so throws EndOfDataError.
      */
     hasMoreBytes() {
+        this.ensureAvailable(1);
         return this.index < this.view.byteLength - 1;
     }
 
@@ -66,36 +161,23 @@ class DataViewReader {
     }
 
     /**
-     * Implement the 'NEXTBIT' function defined in the JPEG spec
+     * Implement the 'NEXTBIT' function defined in the JPEG spec. The decoder finds restart markers
+     * between MCUs, and the DNL marker after the last row, so a marker found here is in the middle of
+     * an MCU: the data before it is corrupt or cut short. The marker is left to be read again, and
+     * CorruptDataError is thrown for the decoder to deal with.
      * 
      * F.2.2.5
-     * 
-     * @param {*} img 
      */
-    nextBit(img) {
+    nextBit() {
         if (this.cnt === 0) {
             this.byte = this.nextByte();
             this.cnt = 8;
             if (this.byte === 0xFF) {
                 let byte2 = this.nextByte();
                 if (byte2 != 0x0) {
-                    if (byte2 === 0xDC) {   // DNL marker
-                        parseDNL(this, img);
-                        // TODO: End scan
-                        console.warn("Found DNL marker in compressed data; not handled!");
-                    } else if (byte2 >= 0xD0 && byte2 <= 0xD7) {
-                        // Handle restart marker (bytes D0-D7, marker RST0-RST7)
-                        // We should probably never hit this code path since the RST marker should be found
-                        // by the restart marker handler in decodeScan()
-                        console.warn("Found RST marker in nextBit()");
-                        // Byte-align
-                        this.cnt = 1;    // Set to '1' since we'll decrement at the end of the function. Gross.
-                        // Reset DC predictors (E.2.4 / F.2.1.3.1)
-                        img.scan.dcpred.fill(0);
-                        this.byte = this.nextByte();
-                    } else {
-                        console.error("Error: Found unexpected marker in compressed data: " + byte2.toString(16));
-                    }
+                    this.index -= 2;
+                    this.cnt = 0;
+                    throw new CorruptDataError("found marker 0x" + byte2.toString(16) + " in the entropy-coded data");
                 } else {
                     // Stuffed byte; ignore + let the decoder process the 0xff
                     ;
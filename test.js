@@ -50,10 +50,103 @@ function testYCbCrToRGB(fn) {
         fn(testData[i][0], testData[i][1], testData[i][2], output[i]);
         expected[i] = [testData[i][3], testData[i][4], testData[i][5], testData[i][6]];
     }
-    testName = fn.name;
+    let testName = fn.name;
     compareOutput(testName, expected, output);
 }
 
+function testCMYKToRGB() {
+    let testData = [    // C, M, Y, K, inverted, R, G, B, A
+        [0, 0, 0, 0, false, 255, 255, 255, 255],        // No ink
+        [0, 0, 0, 255, false, 0, 0, 0, 255],            // Black
+        [255, 0, 0, 0, false, 0, 255, 255, 255],        // Cyan
+        [0, 128, 255, 0, false, 255, 127, 0, 255],      // Orange
+        [255, 255, 255, 255, true, 255, 255, 255, 255], // No ink (inverted)
+        [255, 255, 255, 0, true, 0, 0, 0, 255],         // Black (inverted)
+        [0, 255, 255, 255, true, 0, 255, 255, 255],     // Cyan (inverted)
+        [255, 255, 255, 128, true, 128, 128, 128, 255], // 50% K (inverted)
+    ];
+    let expected = [];
+    let output = [];
+    for (let [C, M, Y, K, inverted, ...rgba] of testData) {
+        let pixel = [0, 0, 0, 0];
+        CMYKToRGB(C, M, Y, K, inverted, pixel);
+        expected.push(rgba);
+        output.push(pixel);
+    }
+    compareOutput("CMYKToRGB", expected, output);
+}
+
+function testCombineCMYK() {
+    // Single-pixel 4-component images, with + without an Adobe segment
+    let makeImg = (adobe, samples) => ({
+        frame: { frameX: 1, frameY: 1, outputX: 1, precision: 8, numComponents: 4 },
+        colorSpace: "auto",
+        strict: false,
+        warnings: [],
+        jfif: null,
+        adobe: adobe,
+        colorConvFn: YCbCrToRGB,
+        components: samples.map(val => ({ outputBuff: [val] })),
+    });
+    let testData = [    // Adobe segment, samples, color space, RGBA
+        [null, [0, 255, 255, 0], "CMYK", [255, 0, 0, 255]],             // Magenta + yellow = red
+        [{ transform: 0 }, [255, 0, 0, 255], "CMYK", [255, 0, 0, 255]],  // Red (inverted)
+        [{ transform: 2 }, [128, 128, 128, 255], "YCCK", [128, 128, 128, 255]],  // 50% gray
+        [{ transform: 2 }, [255, 128, 128, 128], "YCCK", [128, 128, 128, 255]],  // 50% K
+        [{ transform: 2 }, [76, 85, 255, 255], "YCCK", [254, 0, 0, 255]],        // Red
+    ];
+    let expected = [];
+    let output = [];
+    for (let [adobe, samples, colorSpace, rgba] of testData) {
+        let img = makeImg(adobe, samples);
+        expected.push(colorSpace, rgba);
+        output.push(frameColorSpace(img), combineComponents(img, img.components, frameColorSpace(img)));
+    }
+    compareOutput("combineComponents (CMYK)", expected, output);
+}
+
+function testFrameColorSpace() {
+    let jfif = { version: "1.02" };
+    let testData = [    // Component IDs, JFIF segment, Adobe segment, colorSpace option, expected color space, warnings
+        [[1, 2, 3], null, null, "auto", "YCbCr", ""],
+        [[0x52, 0x47, 0x42], null, null, "auto", "RGB", ""],
+        [[0x52, 0x47, 0x42], jfif, null, "auto", "YCbCr", ""],
+        [[1, 2, 3], null, { transform: 0 }, "auto", "RGB", ""],
+        [[0x52, 0x47, 0x42], null, { transform: 1 }, "auto", "YCbCr", ""],
+        [[1, 2, 3], null, { transform: 2 }, "auto", "YCbCr", "InvalidDataError"],
+        [[1, 2, 3, 4], null, { transform: 1 }, "auto", "YCCK", "InvalidDataError"],
+        [[1, 2, 3], jfif, null, "RGB", "RGB", ""],
+        [[1, 2, 3], jfif, null, "CMYK", "YCbCr", "UnsupportedProcessError"],  // Wrong # of components
+        [[1], null, null, "auto", "Gray", ""],
+    ];
+    let expected = [];
+    let output = [];
+    for (let [ids, jfif, adobe, colorSpace, expectedColorSpace, warnings] of testData) {
+        let img = {
+            frame: { numComponents: ids.length, components: ids.map(id => ({ componentID: id })), offset: 2, marker: "SOF0" },
+            colorSpace: colorSpace,
+            strict: false,
+            warnings: [],
+            jfif: jfif,
+            adobe: adobe,
+        };
+        expected.push(expectedColorSpace, warnings);
+        output.push(frameColorSpace(img), img.warnings.map(warning => warning.type).join());
+    }
+    compareOutput("frameColorSpace", expected, output);
+}
+
+function testCombineRGB() {
+    let img = {
+        frame: { frameX: 2, frameY: 1, outputX: 2, precision: 8, numComponents: 3 },
+        colorConvFn: YCbCrToRGB,
+    };
+    let components = [{ outputBuff: [10, 200] }, { outputBuff: [20, 100] }, { outputBuff: [30, 0] }];
+    let expected = [10, 20, 30, 255, 200, 100, 0, 255];
+    let output = Array.from(combineComponents(img, components, "RGB"));
+    compareOutput("combineComponents (RGB)", expected, output);
+}
+
 function testExtend() {
     // From Table 5 in https://www.impulseadventure.com/photo/jpeg-huffman-coding.html
     let testData = [    // Bitstring, size, expected value. Uses strings for readability (vs 0b...)
@@ -75,7 +168,7 @@ function testExtend() {
         output[i] = extend(parseInt(testData[i][0], 2), testData[i][1]);
         expected[i] = testData[i][2];
     }
-    testName = "Extend";
+    let testName = "Extend";
     compareOutput(testName, expected, output);
 }
 
@@ -102,9 +195,20 @@ function testLevelShift() {
         81,  94,  75,  54,  68,  81,  81,  87,
     ];
     levelShift(coeffs);
-    testName = "Level shift";
+    let testName = "Level shift";
+    compareOutput(testName, expected, coeffs);
+
+    // Out-of-range values (which the floating-point IDCTs can produce) are clamped
+    coeffs = [-129, -128, 127, 128];
+    expected = [0, 0, 255, 255];
+    levelShift(coeffs);
     compareOutput(testName, expected, coeffs);
 
+    // 12-bit samples are shifted by 2048 and clamped to [0-4095]
+    coeffs = [-2049, -2048, -1000, 0, 2047, 2048];
+    expected = [0, 0, 1048, 2048, 4095, 4095];
+    levelShift(coeffs, 12);
+    compareOutput(testName + " (12-bit)", expected, coeffs);
 }
 
 function testReorder() {
@@ -138,7 +242,7 @@ function testReorder() {
     ];
     let scratch = new Array(coeffs.length);
     reorder(coeffs, scratch);
-    testName = "Reordering";
+    let testName = "Reordering";
     compareOutput(testName, expected, coeffs);
 
 }
@@ -177,7 +281,7 @@ function testDequantize() {
            0,   0,   0,   0,   0,   0,   0,   0,
     ];
     dequantize(coeffs, quantTable);
-    testName = "Dequantization";
+    let testName = "Dequantization";
     compareOutput(testName, expected, coeffs);
 }
 
@@ -204,7 +308,7 @@ function testIDCT(fn) {
          -47, -34, -53, -74, -60, -47, -47, -41,
     ];
     let output = fn(input);
-    testName = fn.name;
+    let testName = fn.name;
     compareOutput(testName, expected, output);
 
     // This example was seen in the wild while writing the chen-wang IDCT
@@ -272,6 +376,1206 @@ function testHuffmanDecoder(decoder) {
     console.log(decoder.constructor.name + " tests " + (errCnt === 0 ? "passed!" : " failed with " + errCnt + " failures"));
 }
 
+/**
+ * Huffman decoder mock that returns a fixed sequence of values
+ * 
+ * @param {Array} values Values to return from decodeHuffman(), in order
+ */
+function mockHuffmanTable(values) {
+    return {
+        decodeHuffman: function(reader, img) {
+            return values.shift();
+        }
+    };
+}
+
+function testDecodeACFirst() {
+    // RS values: (R=0,S=2), (R=1,S=1), EOB1. Extra bits: "11", "0", "1"
+    const acTable = mockHuffmanTable([0x02, 0x11, 0x10]);
+    const reader = new DataViewReader(new DataView(new Uint8Array([0b11010000]).buffer));
+    const img = { huffmanTables: [[], [acTable]] };
+    const component = { blocksPerLine: 2, acTableID: 0, coeffs: new Int32Array(128) };
+    const scan = { ss: 1, se: 5, ah: 0, al: 1, eobrun: 0, entropyDecoder: new HuffmanDecoder() };
+
+    decodeProgressiveBlock(reader, img, scan, component, 0, 0);
+    // Second block is covered by the EOB run; nothing should be read
+    decodeProgressiveBlock(reader, img, scan, component, 0, 1);
+
+    let expected = [0, 6, 0, -2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+    let output = Array.from(component.coeffs.subarray(0, 8)).concat(Array.from(component.coeffs.subarray(64, 72)));
+    expected.push(1);   // EOB run left after the second block
+    output.push(scan.eobrun);
+    compareOutput("decodeACFirst", expected, output);
+}
+
+function testDecodeACRefine() {
+    // RS values: (R=1,S=1), EOB0. Bits: sign of new coeff, then correction bits for k=1, k=3
+    const acTable = mockHuffmanTable([0x11, 0x00]);
+    const reader = new DataViewReader(new DataView(new Uint8Array([0b11100000]).buffer));
+    const img = { huffmanTables: [[], [acTable]] };
+    const component = { blocksPerLine: 1, acTableID: 0, coeffs: new Int32Array(64) };
+    component.coeffs.set([0, 6, 0, -2, 0, 0]);
+    const scan = { ss: 1, se: 5, ah: 1, al: 0, eobrun: 0, entropyDecoder: new HuffmanDecoder() };
+
+    decodeProgressiveBlock(reader, img, scan, component, 0, 0);
+
+    let expected = [0, 7, 0, -3, 1, 0, 0];
+    let output = Array.from(component.coeffs.subarray(0, 6));
+    output.push(scan.eobrun);
+    compareOutput("decodeACRefine", expected, output);
+}
+
+function testDecodeProgressive() {
+    // 16x8 grayscale progressive image (SOF2), with libjpeg's usual scans: the DC coefficients and 2
+    // bands of AC coefficients, first without their low bits, then a scan to refine each bit. The
+    // quantization table is all 1s, so the output is within 1 of the original
+    const data = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xDB, 0x00, 0x43, 0x00, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0xFF, 0xC2, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x10,
+        0x01, 0x01, 0x11, 0x00, 0xFF, 0xC4, 0x00, 0x15, 0x00, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x08, 0x09, 0xFF, 0xDA, 0x00, 0x08, 0x01,
+        0x01, 0x00, 0x00, 0x00, 0x01, 0x06, 0xDA, 0xFF, 0x00, 0xFF, 0xC4, 0x00, 0x17, 0x10, 0x00, 0x03,
+        0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x06,
+        0x11, 0x05, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x01, 0x05, 0x02, 0x42, 0xC2, 0xA2, 0x12,
+        0xF5, 0x3F, 0xFF, 0xC4, 0x00, 0x18, 0x10, 0x00, 0x02, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x03, 0x22, 0x41, 0x51, 0xFF, 0xDA, 0x00, 0x08,
+        0x01, 0x01, 0x00, 0x06, 0x3F, 0x02, 0x4C, 0x32, 0x84, 0xC3, 0x28, 0xFF, 0xC4, 0x00, 0x14, 0x10,
+        0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x10, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x01, 0x3F, 0x21, 0x09, 0x36, 0xFF, 0xDA, 0x00,
+        0x08, 0x01, 0x01, 0x00, 0x00, 0x00, 0x10, 0xBF, 0xFF, 0xC4, 0x00, 0x19, 0x10, 0x00, 0x02, 0x03,
+        0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x11,
+        0x41, 0xB1, 0x61, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x01, 0x3F, 0x10, 0xB5, 0x39, 0x79,
+        0x16, 0xA7, 0x2F, 0x2E, 0x1F, 0xFF, 0xD9,
+    ]);
+    let decoded = decode(data.buffer, { strict: true });
+    let expected = [16, 8, 1, true];
+    let output = [decoded.width, decoded.height, decoded.components.length,
+        maxSampleError(decoded.components[0], (x, y) => (x * 13) + (y * 6) + ((x * y) >> 3)) <= 1];
+    compareOutput("decode (progressive)", expected, output);
+}
+
+function testArithmeticDecoder() {
+    // Test sequence for the arithmetic decoder (K.4): 256 decisions coded with a single context
+    const coded = [0x65, 0x5B, 0x51, 0x44, 0xF7, 0x96, 0x9D, 0x51, 0x78, 0x55, 0xBF, 0xFF, 0x00, 0xFC, 0x51, 0x84,
+                   0xC7, 0xCE, 0xF9, 0x39, 0x00, 0x28, 0x7D, 0x46, 0x70, 0x8E, 0xCB, 0xC0, 0xF6, 0xFF, 0xD9, 0x00];
+    const expected = [0x00, 0x02, 0x00, 0x51, 0x00, 0x00, 0x00, 0xC0, 0x03, 0x52, 0x87, 0x2A, 0xAA, 0xAA, 0xAA, 0xAA,
+                      0x82, 0xC0, 0x20, 0x00, 0xFC, 0xD7, 0x9E, 0xF6, 0x74, 0xEA, 0xAB, 0xF7, 0x69, 0x7E, 0xE7, 0x4C];
+    const reader = new DataViewReader(new DataView(new Uint8Array(coded).buffer));
+    const decoder = new ArithmeticDecoder({ arithmeticConditioning: ArithmeticDecoder.defaultConditioning() });
+    const stats = new Uint8Array(1);
+
+    let output = [];
+    for (let i = 0; i < expected.length; i++) {
+        let byte = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            byte = (byte << 1) | decoder.decodeBit(reader, stats, 0);
+        }
+        output.push(byte);
+    }
+    compareOutput("ArithmeticDecoder", expected, output);
+}
+
+function testDecodeArithmetic() {
+    // The same 16x8 grayscale image, arithmetic-coded as a sequential (SOF9) and a progressive (SOF10) image,
+    // each with a DAC segment. The quantization tables are all 1s, so the output is within 1 of the original
+    const sequential = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xDB, 0x00, 0x43, 0x00, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0xFF, 0xC9, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x10,
+        0x01, 0x01, 0x11, 0x00, 0xFF, 0xCC, 0x00, 0x06, 0x00, 0x10, 0x10, 0x05, 0xFF, 0xDA, 0x00, 0x08,
+        0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0xFF, 0x00, 0xF2, 0x61, 0x77, 0xC0, 0x8E, 0x6A, 0x21, 0x55,
+        0x7A, 0x1B, 0xE8, 0x8E, 0xE3, 0x61, 0x57, 0x24, 0x42, 0x11, 0x15, 0x86, 0xC7, 0xC4, 0x75, 0x85,
+        0x6D, 0x3F, 0x7C, 0x2D, 0xF3, 0x37, 0x06, 0x66, 0xFF, 0xD9,
+    ]);
+    const progressive = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xDB, 0x00, 0x43, 0x00, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0xFF, 0xCA, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x10,
+        0x01, 0x01, 0x11, 0x00, 0xFF, 0xCC, 0x00, 0x04, 0x00, 0x10, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01,
+        0x00, 0x00, 0x00, 0x01, 0xFF, 0x00, 0xE4, 0xBC, 0x61, 0xB0, 0xFF, 0xCC, 0x00, 0x04, 0x10, 0x05,
+        0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x01, 0x05, 0x02, 0x16, 0x86, 0xDC, 0x10, 0x44, 0x29,
+        0xC7, 0xD8, 0xFF, 0xCC, 0x00, 0x04, 0x10, 0x05, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x06,
+        0x3F, 0x02, 0x13, 0xA7, 0xE3, 0x1A, 0x7D, 0x85, 0x3E, 0xFF, 0xCC, 0x00, 0x04, 0x10, 0x05, 0xFF,
+        0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x01, 0x3F, 0x21, 0x62, 0x50, 0x20, 0xDA, 0xFF, 0xDA, 0x00,
+        0x08, 0x01, 0x01, 0x00, 0x00, 0x00, 0x10, 0xC0, 0xFF, 0xCC, 0x00, 0x04, 0x10, 0x05, 0xFF, 0xDA,
+        0x00, 0x08, 0x01, 0x01, 0x00, 0x01, 0x3F, 0x10, 0x24, 0xCD, 0xA6, 0x71, 0xBC, 0xFF, 0x00, 0x32,
+        0x70, 0xFF, 0xD9,
+    ]);
+    const sample = (x, y) => (x * 13) + (y * 6) + ((x * y) >> 3);
+    let expected = [];
+    let output = [];
+    for (let data of [sequential, progressive]) {
+        let decoded = decode(data.buffer, { strict: true });
+        expected.push(16, 8, true);
+        output.push(decoded.width, decoded.height, maxSampleError(decoded.components[0], sample) <= 1);
+    }
+    compareOutput("decode (arithmetic)", expected, output);
+}
+
+function testPredict() {
+    // Ra, Rb, Rc chosen so every predictor gives a different result
+    const ra = 100, rb = 60, rc = 30;
+    let expected = [100, 60, 30, 130, 115, 95, 80];
+    let output = [];
+    for (let predictor = 1; predictor <= 7; predictor++) {
+        output.push(predict(predictor, ra, rb, rc));
+    }
+    // Predictors 5 + 6 use an arithmetic shift, so odd negative differences round down
+    expected.push(84, 34);
+    output.push(predict(5, 85, 30, 31), predict(6, 30, 35, 31));
+    compareOutput("Lossless predictors", expected, output);
+}
+
+function testDecodeLossless() {
+    // 16x8 grayscale lossless image (SOF3) with 12-bit samples, predicted with Rb + (Ra - Rc) / 2 (predictor 6).
+    // The output is exactly the original
+    const data = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xC3, 0x00, 0x0B, 0x0C, 0x00, 0x08, 0x00, 0x10, 0x01, 0x01, 0x11, 0x00, 0xFF,
+        0xC4, 0x00, 0x24, 0x00, 0x00, 0x00, 0x00, 0x00, 0x11, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0A, 0x0B,
+        0x0C, 0x0D, 0x0E, 0x0F, 0x10, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x06, 0x00, 0x00, 0x63,
+        0xFF, 0x00, 0xA3, 0x41, 0x1A, 0x08, 0xD0, 0x46, 0x82, 0x34, 0x11, 0xA0, 0x8D, 0x04, 0x68, 0x23,
+        0x41, 0x1A, 0x08, 0xD0, 0x46, 0x82, 0x34, 0x11, 0xA0, 0x8D, 0x03, 0xE0, 0x36, 0x46, 0xCC, 0xDA,
+        0x1B, 0x53, 0x6C, 0x6D, 0xCD, 0xC1, 0xB9, 0x37, 0x46, 0xEC, 0xDE, 0x1B, 0xD3, 0x7C, 0x6F, 0xCF,
+        0x00, 0xF8, 0x0D, 0x91, 0xB3, 0x36, 0x86, 0xD4, 0xDB, 0x1B, 0x73, 0x70, 0x6E, 0x4D, 0xD1, 0xBB,
+        0x37, 0x86, 0xF4, 0xDF, 0x1B, 0xF3, 0xC0, 0x3E, 0x03, 0x64, 0x6C, 0xCD, 0xA1, 0xB5, 0x36, 0xC6,
+        0xDC, 0xDC, 0x1B, 0x93, 0x74, 0x6E, 0xCD, 0xE1, 0xBD, 0x37, 0xC6, 0xFC, 0xF0, 0x0F, 0x80, 0xD9,
+        0x1B, 0x33, 0x68, 0x6D, 0x4D, 0xB1, 0xB7, 0x37, 0x06, 0xE4, 0xDD, 0x1B, 0xB3, 0x78, 0x6F, 0x4D,
+        0xF1, 0xBF, 0x3C, 0x03, 0xE0, 0x36, 0x46, 0xCC, 0xDA, 0x1B, 0x53, 0x6C, 0x6D, 0xCD, 0xC1, 0xB9,
+        0x37, 0x46, 0xEC, 0xDE, 0x1B, 0xD3, 0x7C, 0x6F, 0xCF, 0x00, 0xF8, 0x0D, 0x91, 0xB3, 0x36, 0x86,
+        0xD4, 0xDB, 0x1B, 0x73, 0x70, 0x6E, 0x4D, 0xD1, 0xBB, 0x37, 0x86, 0xF4, 0xDF, 0x1B, 0xF3, 0xC0,
+        0x3E, 0x03, 0x64, 0x6C, 0xCD, 0xA1, 0xB5, 0x36, 0xC6, 0xDC, 0xDC, 0x1B, 0x93, 0x74, 0x6E, 0xCD,
+        0xE1, 0xBD, 0x37, 0xC6, 0xFC, 0xF0, 0x3F, 0xFF, 0xD9,
+    ]);
+    let decoded = decode(data.buffer, { strict: true });
+    let expected = [16, 8, 12, 0];
+    let output = [decoded.width, decoded.height, decoded.precision,
+        maxSampleError(decoded.components[0], (x, y) => (x * 208) + (y * 96) + ((x * y) << 1))];
+    compareOutput("decode (lossless)", expected, output);
+}
+
+
+function testPeekMarker() {
+    // Data byte, stuffed 0xFF, data byte, then a DNL marker with a fill byte
+    const data = [0x12, 0xFF, 0x00, 0x34, 0xFF, 0xFF, 0xDC, 0x00, 0x04];
+    const reader = new DataViewReader(new DataView(new Uint8Array(data).buffer));
+    let expected = [undefined, undefined, undefined, 0xDC, 0x34];
+    let output = [];
+    output.push(peekMarker(reader));    // Next byte is data
+    reader.nextByte();
+    output.push(peekMarker(reader));    // Next bytes are a stuffed 0xFF
+    reader.nextByte();
+    reader.nextByte();
+    output.push(peekMarker(reader));    // Next byte is data
+    reader.nextByte();
+    output.push(peekMarker(reader));
+    output.push(reader.peekByte(0));    // Reader didn't move
+    compareOutput("peekMarker", expected, output);
+}
+
+function testUpsampleReference() {
+    const reference = { componentID: 1, width: 3, height: 2, samples: new Int32Array([10, 20, 31, 40, 50, 60]) };
+    // New samples are the average of their neighbors (rounded down); the last line + column are replicated
+    let expected = [10, 15, 20, 25, 31, 31,
+                    25, 30, 35, 40, 45, 45,
+                    40, 45, 50, 55, 60, 60,
+                    40, 45, 50, 55, 60, 60];
+    let upsampled = upsampleReference(reference, 1, 1);
+    let output = Array.from(upsampled.samples);
+    expected.push(6, 4);
+    output.push(upsampled.width, upsampled.height);
+    compareOutput("upsampleReference", expected, output);
+}
+
+/**
+ * Returns the largest difference between the samples of a decoded component and the values
+ * they were coded from, given as a function of their position
+ * 
+ * @param {*} component Component of a decoded image: width, height + samples
+ * @param {Function} sample Function of x + y that returns the original sample
+ */
+function maxSampleError(component, sample) {
+    let max = 0;
+    for (let y = 0; y < component.height; y++) {
+        for (let x = 0; x < component.width; x++) {
+            max = Math.max(max, Math.abs(component.samples[(y * component.width) + x] - sample(x, y)));
+        }
+    }
+    return max;
+}
+
+function testDecodeHierarchicalLossless() {
+    // 16x8 grayscale hierarchical image: an 8x4 lossless frame (SOF3), expanded 2x both ways, then a
+    // differential lossless frame (SOF7). Each frame is exactly the original at its size
+    const data = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xDE, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x10, 0x01, 0x01, 0x11, 0x00, 0xFF,
+        0xC3, 0x00, 0x0B, 0x08, 0x00, 0x04, 0x00, 0x08, 0x01, 0x01, 0x11, 0x00, 0xFF, 0xC4, 0x00, 0x24,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x11, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0A, 0x0B, 0x0C, 0x0D, 0x0E,
+        0x0F, 0x10, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x01, 0x00, 0x00, 0x43, 0xF8, 0x00, 0x6A,
+        0x0F, 0x40, 0xF4, 0x0D, 0xB8, 0x00, 0x00, 0x1B, 0xA3, 0xD0, 0x3D, 0x03, 0x4A, 0x00, 0x00, 0x07,
+        0x98, 0x7A, 0x07, 0xA0, 0x59, 0x80, 0x00, 0x27, 0x1E, 0x81, 0xE8, 0x1E, 0x80, 0x60, 0xFF, 0xDF,
+        0x00, 0x03, 0x11, 0xFF, 0xC7, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x10, 0x01, 0x01, 0x11, 0x00,
+        0xFF, 0xC4, 0x00, 0x24, 0x00, 0x00, 0x00, 0x00, 0x00, 0x11, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0A,
+        0x0B, 0x0C, 0x0D, 0x0E, 0x0F, 0x10, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x15, 0x60, 0x00, 0x00, 0x02, 0x68, 0x00, 0x00, 0x00, 0x00, 0x00, 0x08, 0x00,
+        0x00, 0x00, 0x02, 0xC8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x04, 0x40, 0x00, 0x00, 0x01, 0x66, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x01, 0x90, 0x00, 0x00, 0x01, 0x3C, 0x00, 0x00, 0x00, 0x00, 0x00, 0x02,
+        0x40, 0x00, 0x00, 0x04, 0xA0, 0x00, 0x00, 0x00, 0x00, 0x20, 0x48, 0x40, 0x00, 0x00, 0x01, 0xE0,
+        0x00, 0x00, 0x00, 0x00, 0x30, 0x00, 0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00, 0x00, 0x03, 0x04,
+        0x92, 0x49, 0x24, 0x92, 0x49, 0x24, 0x86, 0x18, 0x00, 0x00, 0x7F, 0xFF, 0xD9,
+    ]);
+    const sample = (x, y) => Math.min(Math.max((x * 40) + (y * 9) - 200, 0), 255);
+    let decoded = decode(data.buffer, { strict: true });
+    let expected = [16, 8, 2, 8, 4, 0, 0];
+    let output = [decoded.width, decoded.height, decoded.frames.length, decoded.frames[0].width,
+        decoded.frames[0].height, maxSampleError(decoded.frames[0].components[0], (x, y) => sample(2 * x, 2 * y)),
+        maxSampleError(decoded.components[0], sample)];
+    compareOutput("decode (hierarchical lossless)", expected, output);
+}
+
+function testDecodeHierarchicalDCT() {
+    // 16x8 grayscale hierarchical image: an 8x4 DCT frame (SOF1), expanded 2x both ways, then a
+    // differential DCT frame (SOF5). The quantization tables are all 1, so the output is within 1 of
+    // the original, including where it's black or white + the sum of the reference + differences
+    // goes outside 0-255
+    const data = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xDE, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x10, 0x01, 0x01, 0x11, 0x00, 0xFF,
+        0xDB, 0x00, 0x43, 0x00, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0xFF, 0xC1, 0x00, 0x0B, 0x08, 0x00, 0x04, 0x00, 0x08, 0x01, 0x01, 0x11,
+        0x00, 0xFF, 0xC4, 0x00, 0x36, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x05, 0x10, 0x00, 0x01, 0x02, 0x02, 0x0B, 0x01, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x04, 0x02, 0x03, 0x01, 0x06, 0x05, 0x08, 0x0A,
+        0x11, 0x12, 0x13, 0x16, 0x22, 0x31, 0x32, 0x43, 0x00, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00,
+        0x00, 0x3F, 0x00, 0x1E, 0xC5, 0x2C, 0x91, 0x2F, 0x91, 0x4A, 0xD6, 0x6E, 0x77, 0x78, 0x55, 0x2E,
+        0x61, 0x00, 0x76, 0x84, 0x10, 0xB8, 0xA9, 0x17, 0x32, 0x3A, 0xF4, 0xF8, 0x8A, 0x6D, 0x30, 0xCB,
+        0xC7, 0x86, 0x2D, 0x18, 0x4F, 0xA7, 0x67, 0x55, 0x1E, 0x36, 0xFD, 0xFF, 0xDF, 0x00, 0x03, 0x11,
+        0xFF, 0xC5, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x10, 0x01, 0x01, 0x11, 0x00, 0xFF, 0xC4, 0x00,
+        0x32, 0x00, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x05, 0x03, 0x10, 0x00, 0x02, 0x02, 0x02, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x02, 0x03, 0x01, 0x04, 0x11, 0x12, 0x00, 0x61, 0x21, 0x41, 0x51,
+        0x14, 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x9C, 0xD4, 0x3B, 0x8E, 0x4C,
+        0xAD, 0x2D, 0x69, 0x51, 0x64, 0x59, 0xCA, 0xD6, 0x47, 0x01, 0x2E, 0x45, 0xBA, 0x81, 0x9D, 0x62,
+        0x71, 0x24, 0x2C, 0x76, 0x3A, 0x19, 0xFB, 0xC4, 0x1A, 0x7A, 0xD4, 0x4D, 0x43, 0x51, 0x2D, 0xC9,
+        0xB5, 0x6D, 0xCC, 0xDC, 0x08, 0x0F, 0x5B, 0x09, 0xA2, 0x2B, 0x19, 0x82, 0x88, 0x9F, 0x1F, 0x9C,
+        0xCA, 0x3A, 0x3C, 0xFB, 0x8E, 0x7F, 0xFF, 0xD9,
+    ]);
+    const sample = (x, y) => Math.min(Math.max((x * 40) + (y * 9) - 200, 0), 255);
+    let decoded = decode(data.buffer, { strict: true });
+    let expected = [16, 8, 2, 8, 4, true, true];
+    let output = [decoded.width, decoded.height, decoded.frames.length, decoded.frames[0].width,
+        decoded.frames[0].height, maxSampleError(decoded.frames[0].components[0], (x, y) => sample(2 * x, 2 * y)) <= 1,
+        maxSampleError(decoded.components[0], sample) <= 1];
+    compareOutput("decode (hierarchical DCT)", expected, output);
+}
+
+function testDecode() {
+    // 8x8 grayscale baseline image, every sample 128
+    const data = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xDB, 0x00, 0x43, 0x00, 0x10, 0x0B, 0x0C, 0x0E, 0x0C, 0x0A, 0x10, 0x0E, 0x0D,
+        0x0E, 0x12, 0x11, 0x10, 0x13, 0x18, 0x28, 0x1A, 0x18, 0x16, 0x16, 0x18, 0x31, 0x23, 0x25, 0x1D,
+        0x28, 0x3A, 0x33, 0x3D, 0x3C, 0x39, 0x33, 0x38, 0x37, 0x40, 0x48, 0x5C, 0x4E, 0x40, 0x44, 0x57,
+        0x45, 0x37, 0x38, 0x50, 0x6D, 0x51, 0x57, 0x5F, 0x62, 0x67, 0x68, 0x67, 0x3E, 0x4D, 0x71, 0x79,
+        0x70, 0x64, 0x78, 0x5C, 0x65, 0x67, 0x63, 0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x08, 0x00, 0x08,
+        0x01, 0x01, 0x11, 0x00, 0xFF, 0xC4, 0x00, 0x14, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xC4, 0x00, 0x14, 0x10, 0x01,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x3F, 0xFF, 0xD9,
+    ]);
+    let decoded = decode(data.buffer, { idct: "chenwang", huffman: "tree" });
+    let expected = [8, 8, 1, 8, 8, [128, 128, 128, 128], [128, 128, 128, 255], 256];
+    let output = [decoded.width, decoded.height, decoded.components.length,
+        decoded.components[0].width, decoded.components[0].height, decoded.components[0].samples,
+        decoded.rgba.slice(252), decoded.rgba.length];
+    compareOutput("decode", expected, output);
+
+    // Decoders don't share any state, so an image can be decoded while another decode is in progress,
+    // and a decoder can be reused
+    let nested = null;
+    let decoder = new JpegDecoder({ onOutput: () => { nested = decode(data.buffer); } });
+    let first = decoder.decode(data.buffer);
+    let second = decoder.decode(data.buffer);
+    expected = [Array.from(first.rgba), Array.from(first.rgba)];
+    output = [nested.rgba, second.rgba];
+    compareOutput("JpegDecoder", expected, output);
+}
+
+function testDecode12Bit() {
+    // 16x8 grayscale extended sequential image (SOF1) with 12-bit samples. The quantization table is
+    // all 1s, so the samples are within 1 of the original; the RGBA output has their top 8 bits
+    const data = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xDB, 0x00, 0x43, 0x00, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0xFF, 0xC1, 0x00, 0x0B, 0x0C, 0x00, 0x08, 0x00, 0x10,
+        0x01, 0x01, 0x11, 0x00, 0xFF, 0xC4, 0x00, 0x36, 0x00, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x0E, 0x0D, 0x10, 0x00, 0x00, 0x03, 0x07,
+        0x05, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x12, 0x14, 0x17, 0x01,
+        0x0C, 0x11, 0x15, 0x19, 0x28, 0x51, 0x00, 0x46, 0x47, 0x64, 0x65, 0x0B, 0xFF, 0xDA, 0x00, 0x08,
+        0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x84, 0x06, 0xE1, 0x63, 0xF0, 0xAA, 0x54, 0xE8, 0xCB, 0x67,
+        0x66, 0x4C, 0xA0, 0xBB, 0x10, 0x71, 0x1C, 0x83, 0xA0, 0xDC, 0xE9, 0xAE, 0x03, 0x85, 0x8B, 0xBC,
+        0x3A, 0xA7, 0x46, 0x5B, 0x1C, 0x32, 0x65, 0x05, 0xE3, 0xB1, 0xC4, 0x72, 0x0F, 0x39, 0xB9, 0xD7,
+        0xFF, 0xD9,
+    ]);
+    const sample = (x, y) => (x * 208) + (y * 96) + ((x * y) << 1);
+    let decoded = decode(data.buffer, { strict: true });
+    let samples = decoded.components[0].samples;
+    let expected = [16, 8, 12, true, true];
+    let output = [decoded.width, decoded.height, decoded.precision, maxSampleError(decoded.components[0], sample) <= 1,
+        samples.every((val, i) => decoded.rgba[4 * i] === (val >> 4))];
+    compareOutput("decode (12-bit)", expected, output);
+}
+
+function testDecodeDNL() {
+    // 8x12 grayscale image whose frame header gives 0 lines; the DNL segment after the first scan
+    // gives the height. The scan is 2 rows of MCUs, the last one cropped to 4 lines. The quantization
+    // table is all 1s, so the output is within 1 of the original
+    const data = new Uint8Array([
+        0xFF, 0xD8, 0xFF, 0xDB, 0x00, 0x43, 0x00, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01,
+        0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x00, 0x00, 0x08,
+        0x01, 0x01, 0x11, 0x00, 0xFF, 0xC4, 0x00, 0x39, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x09, 0x10, 0x00, 0x00, 0x01, 0x08, 0x0B,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x02, 0x00, 0x15, 0x41, 0x42,
+        0x51, 0x52, 0x53, 0x71, 0x01, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x11, 0x13, 0x24, 0xFF,
+        0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x07, 0x34, 0x17, 0x91, 0x5D, 0xC6, 0x6F,
+        0x1C, 0x05, 0x24, 0x4A, 0xE6, 0xDF, 0x98, 0x46, 0xE3, 0x11, 0x93, 0x9B, 0x2A, 0x6A, 0x12, 0x16,
+        0x06, 0x97, 0x0B, 0xFF, 0xDC, 0x00, 0x04, 0x00, 0x0C, 0xFF, 0xD9,
+    ]);
+    let decoded = decode(data.buffer, { strict: true });
+    let decoder = new JpegDecoder({ strict: true });
+    let events = [...decoder.push(data), ...decoder.finish()];
+    let frame = events.find(event => event.type === "frame");
+    let expected = [8, 12, 12, true, [8, 12]];
+    let output = [decoded.width, decoded.height, decoded.metadata.frames[0].height,
+        maxSampleError(decoded.components[0], (x, y) => (x * 13) + (y * 6) + ((x * y) >> 3)) <= 1,
+        [frame.width, frame.height]];
+    compareOutput("decode (DNL)", expected, output);
+}
+
+function testDecodeCropped() {
+    // 13x7 4:2:0 image is coded as a single 16x16 MCU; the output is cropped to the frame
+    const width = 13;
+    const height = 7;
+    let rgba = new Uint8ClampedArray(width * height * 4).fill(200);
+    let decoded = decode(encode({ width: width, height: height, rgba: rgba }, { subsampling: "4:2:0" }));
+    let expected = [13, 7, 13 * 7 * 4, [13, 7, 13 * 7, 13 * 7], [7, 4, 7 * 4, 13 * 7]];
+    let output = [decoded.width, decoded.height, decoded.rgba.length];
+    for (let i = 0; i < 2; i++) {
+        let component = decoded.components[i];
+        output.push([component.width, component.height, component.samples.length, component.scaledSamples.length]);
+    }
+    compareOutput("decode (cropped)", expected, output);
+}
+
+function testDecodeProgress() {
+    // 24x24 4:2:0 image is 2 MCU rows; progress is reported after each one, then for the output
+    let rgba = new Uint8ClampedArray(24 * 24 * 4).fill(100);
+    let data = encode({ width: 24, height: 24, rgba: rgba }, { subsampling: "4:2:0" });
+    let events = [];
+    decode(data, { onProgress: p => events.push([p.phase, p.frame, p.scan, p.row, p.rows]) });
+    let expected = [["scan", 1, 1, 1, 2], ["scan", 1, 1, 2, 2], ["output", 1, 1, null, null]];
+    compareOutput("decode (progress)", expected, events);
+}
+
+function testDecodeStream() {
+    // 24x24 4:2:0 image, pushed 40 bytes at a time: 2 MCU rows, each 16 lines, which are final as
+    // soon as they're decoded since the image is sequential
+    let rgba = new Uint8ClampedArray(24 * 24 * 4);
+    for (let i = 0; i < rgba.length; i++) {
+        rgba[i] = (i * 7) % 256;
+    }
+    let data = new Uint8Array(encode({ width: 24, height: 24, rgba: rgba }, { subsampling: "4:2:0" }));
+    let decoded = decode(data.buffer);
+    let decoder = new JpegDecoder();
+    let events = [];
+    for (let i = 0; i < data.length; i += 40) {
+        events.push(...decoder.push(data.subarray(i, i + 40)));
+    }
+    events.push(...decoder.finish());
+
+    let frame = events.find(event => event.type === "frame");
+    let rows = events.filter(event => event.type === "row");
+    let streamed = new Uint8ClampedArray(24 * 24 * 4);
+    for (let row of rows) {
+        streamed.set(row.rgba, row.y * 24 * 4);
+    }
+    let end = events[events.length - 1];
+
+    // Files that end between the 0xFF + code of the SOS marker, and part way through the SOS header,
+    // pushed in 2 pieces so decoding stops + picks up again just before the SOS segment
+    let sos = data.findIndex((byte, i) => byte === 0xFF && data[i + 1] === 0xDA);
+    let cutWarnings = (cut) => {
+        let decoder = new JpegDecoder();
+        decoder.push(data.subarray(0, sos - 2));
+        decoder.push(data.subarray(sos - 2, cut));
+        decoder.finish();
+        return decoder.warnings.map(warning => [warning.marker, warning.offset, warning.message].join()).join("/");
+    };
+
+    let expected = ["frame,scan,row,row,output,end", [24, 24], "1,2,0,16/2,2,16,8", true, true,
+        [null, sos + 1, "file ends part way through a marker"].join(),
+        ["SOS", sos + 4, "file ends part way through the SOS segment"].join()];
+    let output = [
+        events.map(event => event.type).join(","),
+        [frame.width, frame.height],
+        rows.map(row => [row.row, row.rows, row.y, row.height].join()).join("/"),
+        streamed.every((val, i) => val === decoded.rgba[i]),
+        end.output.rgba.every((val, i) => val === decoded.rgba[i]),
+        cutWarnings(sos + 1),
+        cutWarnings(sos + 4),
+    ];
+    compareOutput("decode (streaming)", expected, output);
+}
+
+function testDecodeStreamSmallChunks() {
+    // 128x128 image pushed 16 bytes at a time: each row of MCUs takes many chunks, but shouldn't be
+    // decoded again for each of them, so streaming should take about as long as decoding in one go
+    let rgba = new Uint8ClampedArray(128 * 128 * 4);
+    for (let i = 0; i < rgba.length; i++) {
+        rgba[i] = (i * 37) % 251;
+    }
+    let data = new Uint8Array(encode({ width: 128, height: 128, rgba: rgba }, { subsampling: "4:2:0" }));
+    // The fast IDCT, so that most of the time goes on the entropy-coded data
+    let options = { idct: "chenwang" };
+    let start = performance.now();
+    let decoded = new JpegDecoder(options).decode(data.buffer);
+    let decodeTime = performance.now() - start;
+
+    start = performance.now();
+    let decoder = new JpegDecoder(options);
+    for (let i = 0; i < data.length; i += 16) {
+        decoder.push(data.subarray(i, i + 16));
+    }
+    let streamed = decoder.finish().pop().output;
+    let streamTime = performance.now() - start;
+
+    let expected = [true, true];
+    let output = [
+        streamed.rgba.every((val, i) => val === decoded.rgba[i]),
+        // Plenty of slack for timer resolution + GC pauses: decoding each row again per chunk is ~10x
+        streamTime < 4 * decodeTime + 50,
+    ];
+    compareOutput("decode (streaming in small chunks)", expected, output);
+}
+
+/**
+ * Returns a 32x32 image of pseudo-random pixels, for tests that need every MCU of the
+ * encoded file to be different. Encoded 4:4:4, it's 4x4 MCUs of 8x8 pixels.
+ */
+function makeNoiseTestImage() {
+    let rgba = new Uint8ClampedArray(32 * 32 * 4);
+    for (let i = 0; i < rgba.length; i++) {
+        rgba[i] = (i * 37) % 251;
+    }
+    return { width: 32, height: 32, rgba: rgba };
+}
+
+function testDecodeTruncated() {
+    // Cut the file off half way through its scan
+    let data = new Uint8Array(encode(makeNoiseTestImage(), { subsampling: "4:4:4" }));
+    let sos = data.findIndex((byte, i) => byte === 0xFF && data[i + 1] === 0xDA);
+    let scanStart = sos + 2 + ((data[sos + 2] << 8) | data[sos + 3]);
+    let full = decode(data.buffer);
+    let cut = data.slice(0, Math.floor((scanStart + data.length) / 2));
+    let decoded = decode(cut.buffer);
+    // The same, but with an EOI marker on the end: still cut short, rather than corrupt
+    let decoder = new JpegDecoder();
+    let withEOI = decoder.decode(Uint8Array.from([...cut, 0xFF, 0xD9]).buffer);
+
+    // MCUs that were decoded match the whole file; the rest are gray
+    let mcus = decoded.decodedMCUs;
+    let mcuMatches = (mcu, expected) => {
+        for (let y = Math.floor(mcu / 4) * 8; y < (Math.floor(mcu / 4) + 1) * 8; y++) {
+            for (let x = (mcu % 4) * 8; x < ((mcu % 4) + 1) * 8; x++) {
+                let index = ((y * 32) + x) * 4;
+                if (decoded.rgba[index] !== expected(index)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    };
+    let expected = [true, true, true, true, true, mcus, 0, true, "TruncatedDataError"];
+    let output = [
+        decoded.truncated,
+        mcus > 0 && mcus < 16,
+        mcuMatches(0, index => full.rgba[index]) && mcuMatches(mcus - 1, index => full.rgba[index]),
+        mcuMatches(mcus, index => 128) && mcuMatches(15, index => 128),
+        withEOI.truncated,
+        withEOI.decodedMCUs,
+        withEOI.concealedMCUs,
+        withEOI.rgba.every((val, i) => val === decoded.rgba[i]),
+        decoder.warnings.map(warning => warning.type).join(),
+    ];
+    compareOutput("decode (truncated)", expected, output);
+}
+
+function testDecodeStrict() {
+    let data = new Uint8Array(encode(makeNoiseTestImage(), { subsampling: "4:4:4" }));
+    let problems = (data, options) => {
+        let decoder = new JpegDecoder(options);
+        try {
+            decoder.decode(data.buffer);
+        } catch (e) {
+            return [e instanceof JpegError, e.name, e.offset, e.marker];
+        }
+        return decoder.warnings.map(warning => warning.type + "@" + warning.marker);
+    };
+    let findMarker = (data, code) => data.findIndex((byte, i) => byte === 0xFF && data[i + 1] === code);
+    let removeSegment = (data, code) => {
+        let start = findMarker(data, code);
+        let end = start + 2 + ((data[start + 2] << 8) | data[start + 3]);
+        let removed = new Uint8Array(data.length - (end - start));
+        removed.set(data.subarray(0, start));
+        removed.set(data.subarray(end), start);
+        return removed;
+    };
+
+    // First Huffman table has class 2, so it's skipped and the scan has no DC table 0
+    let badTable = data.slice();
+    let dht = findMarker(badTable, 0xC4);
+    badTable[dht + 4] = 0x20;
+    // Cut off part way through the scan; the problem is at the end of the data (or at the EOI marker
+    // put back on the end)
+    let sos = findMarker(data, 0xDA);
+    let truncated = data.slice(0, sos + 40);
+    let truncatedEOI = Uint8Array.from([...truncated, 0xFF, 0xD9]);
+    // No DQT segment, so the scan has no quant tables; the problem is found at the end of the SOS header
+    let noQuant = removeSegment(data, 0xDB);
+    let sosEnd = findMarker(noQuant, 0xDA) + 1 + ((data[sos + 2] << 8) | data[sos + 3]);
+    // No frame header, so the scan has nothing to be decoded into
+    let noFrame = removeSegment(data, 0xC0);
+    // DNL segment before the frame header
+    let earlyDNL = new Uint8Array(data.length + 6);
+    earlyDNL.set(data.subarray(0, 2));
+    earlyDNL.set([0xFF, 0xDC, 0x00, 0x04, 0x00, 0x20], 2);
+    earlyDNL.set(data.subarray(2), 8);
+    // EXIF segment with an orientation of 9, and a JFXX segment with an unknown extension code, after the SOI
+    let insertSegment = (segment) => Uint8Array.from([...data.subarray(0, 2), ...segment, ...data.subarray(2)]);
+    let tiff = makeExifTestData(false, 9);
+    let badOrientation = insertSegment([0xFF, 0xE1, (tiff.length + 8) >> 8, (tiff.length + 8) & 0xFF,
+        0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff]);
+    let badJFXX = insertSegment([0xFF, 0xE0, 0x00, 0x08, 0x4A, 0x46, 0x58, 0x58, 0x00, 0x12]);
+    // RST0 marker between the end of the scan and the EOI marker
+    let strayRST = Uint8Array.from([...data.subarray(0, data.length - 2), 0xFF, 0xD0, 0xFF, 0xD9]);
+    // Metadata that can't be parsed: EXIF with an unknown byte order, an XMP packet that isn't XML,
+    // Photoshop resources with a bad signature, and an ICC profile that's too short
+    let appSegment = (code, identifier, bytes) => insertSegment([0xFF, code,
+        (identifier.length + bytes.length + 2) >> 8, (identifier.length + bytes.length + 2) & 0xFF,
+        ...identifier.split("").map(c => c.charCodeAt(0)), ...bytes]);
+    let badExif = appSegment(0xE1, "Exif\0\0", [0x58, 0x58, 0, 42, 0, 0, 0, 8]);
+    let badXMP = appSegment(0xE1, "http://ns.adobe.com/xap/1.0/\0", encodeUTF8("<x:xmpmeta>"));
+    let badPhotoshop = appSegment(0xED, "Photoshop 3.0\0", [0x58, 0x58, 0x58, 0x58, 0x04, 0x04, 0, 0, 0, 0, 0, 0]);
+    let badICC = appSegment(0xE2, "ICC_PROFILE\0", [1, 1, 0, 0, 0, 0]);
+
+    let expected = [
+        true, "InvalidTableError", dht + 4, "DHT",
+        "InvalidTableError@DHT", "InvalidTableError@SOS",
+        true, "TruncatedDataError", truncated.length, "SOS",
+        "TruncatedDataError@SOS",
+        true, "TruncatedDataError", truncated.length, "SOS",
+        "TruncatedDataError@SOS",
+        true, "InvalidTableError", sosEnd, "SOS",
+        "InvalidTableError@SOS",
+        true, "InvalidDataError", findMarker(noFrame, 0xDA), "SOS",
+        "InvalidDataError@SOS",
+        true, "InvalidDataError", 2, "DNL",
+        "InvalidDataError@DNL",
+        true, "InvalidDataError", 2, "APP1",
+        "InvalidDataError@APP1",
+        true, "InvalidDataError", 11, "APP0",
+        "InvalidDataError@APP0",
+        true, "InvalidDataError", 2, "APP1",
+        "InvalidDataError@APP1",
+        true, "InvalidDataError", 2, "APP1",
+        "InvalidDataError@APP1",
+        true, "InvalidDataError", 2, "APPD",
+        "InvalidDataError@APPD",
+        true, "InvalidDataError", 2, "APP2",
+        "InvalidDataError@APP2",
+        true, "InvalidDataError", data.length - 2, "RST0",
+        "InvalidDataError@RST0",
+    ];
+    let output = [
+        ...problems(badTable, { strict: true }),
+        ...problems(badTable, {}),
+        ...problems(truncated, { strict: true }),
+        ...problems(truncated, {}),
+        ...problems(truncatedEOI, { strict: true }),
+        ...problems(truncatedEOI, {}),
+        ...problems(noQuant, { strict: true }),
+        ...problems(noQuant, {}),
+        ...problems(noFrame, { strict: true }),
+        ...problems(noFrame, {}),
+        ...problems(earlyDNL, { strict: true }),
+        ...problems(earlyDNL, {}),
+        ...problems(badOrientation, { strict: true }),
+        ...problems(badOrientation, {}),
+        ...problems(badJFXX, { strict: true }),
+        ...problems(badJFXX, {}),
+        ...problems(badExif, { strict: true }),
+        ...problems(badExif, {}),
+        ...problems(badXMP, { strict: true }),
+        ...problems(badXMP, {}),
+        ...problems(badPhotoshop, { strict: true }),
+        ...problems(badPhotoshop, {}),
+        ...problems(badICC, { strict: true }),
+        ...problems(badICC, {}),
+        ...problems(strayRST, { strict: true }),
+        ...problems(strayRST, {}),
+    ];
+    compareOutput("decode (strict)", expected, output);
+}
+
+function testDecodeCorrupt() {
+    // 4x4 MCUs, with a restart marker every 2 MCUs
+    let image = makeNoiseTestImage();
+    let data = new Uint8Array(encode(image, { subsampling: "4:4:4", restartInterval: 2 }));
+    let full = decode(data.buffer);
+    let plain = decode(encode(image, { subsampling: "4:4:4" }));
+
+    // Lose the data of the third restart interval (MCUs 4 + 5, the left half of the second row),
+    // between the RST1 + RST2 markers
+    let rst1 = data.findIndex((byte, i) => byte === 0xFF && data[i + 1] === 0xD1);
+    let rst2 = data.findIndex((byte, i) => byte === 0xFF && data[i + 1] === 0xD2);
+    let corrupt = new Uint8Array(data.length - (rst2 - rst1 - 2));
+    corrupt.set(data.subarray(0, rst1 + 2));
+    corrupt.set(data.subarray(rst2), rst1 + 2);
+    let decoded = decode(corrupt.buffer);
+
+    // The other MCUs are decoded as usual; the lost ones are interpolated between the lines above + below
+    let matches = true;
+    for (let y = 0; y < 32; y++) {
+        for (let x = 0; x < 32; x++) {
+            let index = ((y * 32) + x) * 4;
+            if ((y < 8 || y >= 16 || x >= 16) && decoded.rgba[index] !== full.rgba[index]) {
+                matches = false;
+            }
+        }
+    }
+    let samples = decoded.components[0].samples;
+    let interpolated = true;
+    for (let y = 8; y < 16; y++) {
+        for (let x = 0; x < 16; x++) {
+            let top = samples[(7 * 32) + x];
+            let bottom = samples[(16 * 32) + x];
+            if (samples[(y * 32) + x] !== Math.round(top + ((bottom - top) * (y - 7) / 9))) {
+                interpolated = false;
+            }
+        }
+    }
+    let expected = [true, 2, true, true];
+    let output = [
+        full.rgba.every((val, i) => val === plain.rgba[i]),
+        decoded.concealedMCUs,
+        matches,
+        interpolated,
+    ];
+    compareOutput("decode (corrupt data)", expected, output);
+}
+
+/**
+ * Returns the TIFF data of a small EXIF block: IFD0 (Orientation, Make + a pointer to the Exif IFD),
+ * the Exif IFD (ExposureTime) and IFD1 (Compression)
+ * 
+ * @param {Boolean} littleEndian Byte order
+ * @param {Number} orientation Value of the Orientation tag
+ */
+function makeExifTestData(littleEndian, orientation) {
+    let view = new DataView(new ArrayBuffer(104));
+    let le = littleEndian;
+    let setEntry = (offset, tag, type, count, value) => {
+        view.setUint16(offset, tag, le);
+        view.setUint16(offset + 2, type, le);
+        view.setUint32(offset + 4, count, le);
+        if (type === 3 && count === 1) {
+            view.setUint16(offset + 8, value, le);     // SHORTs are left-justified in the value field
+        } else {
+            view.setUint32(offset + 8, value, le);
+        }
+    };
+    view.setUint16(0, (le ? 0x4949 : 0x4D4D));
+    view.setUint16(2, 42, le);
+    view.setUint32(4, 8, le);
+    // IFD0 at 8; its next IFD pointer is at 46
+    view.setUint16(8, 3, le);
+    setEntry(10, 0x0112, 3, 1, orientation);
+    setEntry(22, 0x010F, 2, 6, 50);
+    setEntry(34, 0x8769, 4, 1, 56);
+    view.setUint32(46, 86, le);
+    "Canon\0".split("").forEach((c, i) => view.setUint8(50 + i, c.charCodeAt(0)));
+    // Exif IFD at 56, with its RATIONAL at 74
+    view.setUint16(56, 1, le);
+    setEntry(58, 0x829A, 5, 1, 74);
+    view.setUint32(74, 1, le);
+    view.setUint32(78, 100, le);
+    // IFD1 at 86
+    view.setUint16(86, 1, le);
+    setEntry(88, 0x0103, 3, 1, 6);
+    return new Uint8Array(view.buffer);
+}
+
+function testParseExif() {
+    let problems = [];
+    let report = message => problems.push(message);
+    let expected = ["big-endian", 6, "Canon", 1, 100, 6, "little-endian", 8, "Canon", 1, 100, 6];
+    let output = [];
+    for (let littleEndian of [false, true]) {
+        let exif = parseExif(new DataView(makeExifTestData(littleEndian, (littleEndian ? 8 : 6)).buffer), report);
+        output.push(exif.byteOrder, exif.ifd0.Orientation, exif.ifd0.Make,
+            exif.exif.ExposureTime.numerator, exif.exif.ExposureTime.denominator, exif.ifd1.Compression);
+    }
+    // Too short for a TIFF header
+    expected.push(null, "EXIF data is too short (4 bytes)");
+    output.push(parseExif(new DataView(new ArrayBuffer(4)), report), problems.join("/"));
+    compareOutput("parseExif", expected, output);
+}
+
+function testOrientBuffer() {
+    // 3x2 image:   0 1 2
+    //              3 4 5
+    let buff = [0, 1, 2, 3, 4, 5];
+    let expected = [
+        [0, 1, 2, 3, 4, 5],
+        [2, 1, 0, 5, 4, 3],
+        [5, 4, 3, 2, 1, 0],
+        [3, 4, 5, 0, 1, 2],
+        [0, 3, 1, 4, 2, 5],
+        [3, 0, 4, 1, 5, 2],
+        [5, 2, 4, 1, 3, 0],
+        [2, 5, 1, 4, 0, 3],
+    ];
+    let output = [];
+    for (let orientation = 1; orientation <= 8; orientation++) {
+        output.push(orientBuffer(buff, 3, 2, orientation));
+    }
+    compareOutput("orientBuffer", expected, output);
+}
+
+function testDecodeOrientation() {
+    // 16x8 image, black on the left + white on the right, with an APP1 segment after the SOI
+    // saying it needs rotating 90° clockwise
+    const width = 16;
+    const height = 8;
+    let rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        rgba.fill(((i / 4) % width < 8 ? 0 : 255), i, i + 4);
+    }
+    let jpeg = new Uint8Array(encode({ width: width, height: height, rgba: rgba }));
+    let tiff = makeExifTestData(false, 6);
+    let app1 = [0xFF, 0xE1, (tiff.length + 8) >> 8, (tiff.length + 8) & 0xFF, 0x45, 0x78, 0x69, 0x66, 0, 0];
+    let file = Uint8Array.from([...jpeg.subarray(0, 2), ...app1, ...tiff, ...jpeg.subarray(2)]);
+
+    // After rotating, the top is black + the bottom is white
+    let decoded = decode(file.buffer, { autoOrient: true });
+    let expected = [6, 8, 16, 6, true, true, 8, 16];
+    let output = [decoded.exif.ifd0.Orientation, decoded.width, decoded.height, decoded.orientation,
+        decoded.rgba[4 * ((2 * 8) + 4)] < 64, decoded.rgba[4 * ((13 * 8) + 4)] > 192,
+        decoded.components[0].width, decoded.components[0].height];
+    compareOutput("decode (autoOrient)", expected, output);
+}
+
+/**
+ * Returns a small version 2 RGB matrix/TRC ICC profile, described as "Test", with the same
+ * curve for each channel
+ * 
+ * @param {Array} colorants XYZ of the red, green + blue colorants
+ * @param {*} curve Either a gamma, or the functionType + params of a parametric curve
+ */
+function makeICCTestProfile(colorants, curve) {
+    let curveSize = (curve.gamma !== undefined ? 14 : 12 + (curve.params.length * 4));
+    let view = new DataView(new ArrayBuffer(296 + curveSize));
+    let setSignature = (offset, sig) => sig.split("").forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+    view.setUint32(0, view.byteLength);
+    view.setUint8(8, 2);
+    view.setUint8(9, 0x10);
+    setSignature(12, "mntr");
+    setSignature(16, "RGB ");
+    setSignature(20, "XYZ ");
+    setSignature(36, "acsp");
+    // Tag table: desc at 216, the colorants at 236, 256 + 276, then the TRCs (which share a curve) at 296
+    let tags = [["desc", 216, 17], ["rXYZ", 236, 20], ["gXYZ", 256, 20], ["bXYZ", 276, 20],
+        ["rTRC", 296, curveSize], ["gTRC", 296, curveSize], ["bTRC", 296, curveSize]];
+    view.setUint32(128, tags.length);
+    tags.forEach(([sig, offset, size], i) => {
+        setSignature(132 + (i * 12), sig);
+        view.setUint32(136 + (i * 12), offset);
+        view.setUint32(140 + (i * 12), size);
+    });
+    setSignature(216, "desc");
+    view.setUint32(224, 5);
+    setSignature(228, "Test");
+    colorants.forEach((xyz, i) => {
+        setSignature(236 + (i * 20), "XYZ ");
+        xyz.forEach((val, j) => view.setInt32(244 + (i * 20) + (j * 4), Math.round(val * 65536)));
+    });
+    if (curve.gamma !== undefined) {
+        setSignature(296, "curv");
+        view.setUint32(304, 1);
+        view.setUint16(308, Math.round(curve.gamma * 256));
+    } else {
+        setSignature(296, "para");
+        view.setUint16(304, curve.functionType);
+        curve.params.forEach((val, i) => view.setInt32(308 + (i * 4), Math.round(val * 65536)));
+    }
+    return new Uint8Array(view.buffer);
+}
+
+// Colorants of sRGB + Display P3, adapted to D50
+const SRGB_COLORANTS = [[0.4361, 0.2225, 0.0139], [0.3851, 0.7169, 0.0971], [0.1431, 0.0606, 0.7142]];
+const DISPLAY_P3_COLORANTS = [[0.5151, 0.2412, -0.0011], [0.2920, 0.6922, 0.0419], [0.1571, 0.0666, 0.7841]];
+// sRGB curve, as a parametric curve
+const SRGB_CURVE = { functionType: 3, params: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045] };
+
+function testAssembleICCProfile() {
+    let chunk = (seqNo, numChunks, data) => ({ seqNo: seqNo, numChunks: numChunks, data: Uint8Array.from(data) });
+    let problems = [];
+    let report = message => problems.push(message);
+    let expected = [[1, 2, 3, 4, 5, 6], null, null, "ICC profile chunk 2 of 3 is missing/bad ICC profile chunk 1 of 2"];
+    let output = [
+        Array.from(assembleICCProfile([chunk(2, 3, [3, 4]), chunk(1, 3, [1, 2]), chunk(3, 3, [5, 6])], report)),
+        assembleICCProfile([chunk(1, 3, [1, 2]), chunk(3, 3, [5, 6])], report),
+        assembleICCProfile([chunk(1, 2, [1, 2]), chunk(1, 2, [3, 4])], report),
+        problems.join("/"),
+    ];
+    compareOutput("assembleICCProfile", expected, output);
+}
+
+function testParseICCProfile() {
+    let problems = [];
+    let report = message => problems.push(message);
+    let profile = parseICCProfile(makeICCTestProfile(DISPLAY_P3_COLORANTS, { gamma: 2.2 }), report);
+    let expected = ["2.1", "mntr", "RGB", "XYZ", "Test", 7, 0.5151, "gamma", 2.2, null, "invalid ICC profile"];
+    let output = [profile.version, profile.deviceClass, profile.colorSpace, profile.pcs, profile.description,
+        profile.tags.length, Math.round(profile.colorants[0][0] * 10000) / 10000, profile.trc[2].type,
+        Math.round(profile.trc[2].gamma * 100) / 100];
+    // Too short to have a header
+    output.push(parseICCProfile(new Uint8Array(100), report), problems.join("/"));
+    compareOutput("parseICCProfile", expected, output);
+}
+
+function testSRGBTransform() {
+    let pixels = [0, 0, 0, 255, 255, 255, 255, 255, 128, 128, 128, 255, 200, 100, 50, 255];
+    let problems = [];
+    let report = message => problems.push(message);
+    // An sRGB profile shouldn't change anything (give or take rounding)...
+    let rgba = Uint8ClampedArray.from(pixels);
+    createSRGBTransform(parseICCProfile(makeICCTestProfile(SRGB_COLORANTS, SRGB_CURVE), report))(rgba);
+    let expected = [true];
+    let output = [rgba.every((val, i) => Math.abs(val - pixels[i]) <= 1)];
+    // ...and Display P3 keeps grays gray, but makes colors more saturated than they'd be as sRGB
+    rgba = Uint8ClampedArray.from(pixels);
+    createSRGBTransform(parseICCProfile(makeICCTestProfile(DISPLAY_P3_COLORANTS, SRGB_CURVE), report))(rgba);
+    expected.push(true, true, true, "");
+    output.push(Math.abs(rgba[8] - 128) <= 1 && Math.abs(rgba[9] - 128) <= 1 && Math.abs(rgba[10] - 128) <= 1,
+        rgba[12] > 200, rgba[14] < 50, problems.join("/"));
+    compareOutput("createSRGBTransform", expected, output);
+}
+
+function testDecodeICC() {
+    // Orange 8x8 image, with a Display P3 profile split over 2 APP2 segments after the SOI
+    let rgba = new Uint8ClampedArray(8 * 8 * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        rgba.set([200, 100, 50, 255], i);
+    }
+    let jpeg = new Uint8Array(encode({ width: 8, height: 8, rgba: rgba }, { quality: 100 }));
+    let profile = makeICCTestProfile(DISPLAY_P3_COLORANTS, SRGB_CURVE);
+    let app2 = (seqNo, data) => [0xFF, 0xE2, (data.length + 16) >> 8, (data.length + 16) & 0xFF,
+        ..."ICC_PROFILE\0".split("").map(c => c.charCodeAt(0)), seqNo, 2, ...data];
+    let file = Uint8Array.from([...jpeg.subarray(0, 2), ...app2(1, profile.subarray(0, 100)),
+        ...app2(2, profile.subarray(100)), ...jpeg.subarray(2)]);
+
+    let plain = decode(file.buffer);
+    let converted = decode(file.buffer, { convertToSRGB: true });
+    let expected = ["Test", profile.length, true, true, true];
+    let output = [plain.icc.description, plain.icc.data.length, Array.from(plain.icc.data).every((val, i) => val === profile[i]),
+        converted.rgba[0] > plain.rgba[0] + 10, converted.rgba[2] < plain.rgba[2] - 10];
+    compareOutput("decode (ICC profile)", expected, output);
+}
+
+function testDecodeThumbnails() {
+    let segment = (marker, bytes) => [0xFF, marker, (bytes.length + 2) >> 8, (bytes.length + 2) & 0xFF, ...bytes];
+    let chars = str => str.split("").map(c => c.charCodeAt(0));
+    let solid = (width, height, color) => {
+        let rgba = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < rgba.length; i += 4) {
+            rgba.set(color, i);
+        }
+        return rgba;
+    };
+    let palette = new Array(768).fill(0);
+    palette.splice(3, 3, 0, 0, 255);    // Color 1 is blue
+
+    // JFIF segment with a 2x1 RGB thumbnail, then JFXX segments with each kind of thumbnail
+    let jfif = segment(0xE0, [...chars("JFIF\0"), 1, 2, 1, 0, 72, 0, 72, 2, 1, 255, 0, 0, 0, 255, 0]);
+    let jfxxPalette = segment(0xE0, [...chars("JFXX\0"), 0x11, 2, 1, ...palette, 1, 0]);
+    let jfxxRGB = segment(0xE0, [...chars("JFXX\0"), 0x13, 1, 1, 10, 20, 30]);
+    let thumbJpeg = new Uint8Array(encode({ width: 8, height: 8, rgba: solid(8, 8, [128, 128, 128, 255]) }));
+    let jfxxJpeg = segment(0xE0, [...chars("JFXX\0"), 0x10, ...thumbJpeg]);
+    // The encoder writes a JFIF segment (without a thumbnail) after the SOI; replace it
+    let jpeg = new Uint8Array(encode({ width: 16, height: 16, rgba: solid(16, 16, [0, 0, 0, 255]) }));
+    let file = Uint8Array.from([...jpeg.subarray(0, 2), ...jfif, ...jfxxPalette, ...jfxxRGB, ...jfxxJpeg,
+        ...jpeg.subarray(2 + 2 + 16)]);
+
+    let decoded = decode(file.buffer);
+    let thumbnails = decoded.thumbnails;
+    let expected = ["1.02", 1, 72, 16, 4,
+        "JFIF", "rgb", 2, 1, [255, 0, 0, 255, 0, 255, 0, 255],
+        "JFXX", "palette", 2, 1, [0, 0, 255, 255, 0, 0, 0, 255],
+        "JFXX", "rgb", 1, 1, [10, 20, 30, 255],
+        "JFXX", "jpeg", 8, 8, true, thumbJpeg.length];
+    let output = [decoded.jfif.version, decoded.jfif.units, decoded.jfif.xDensity, decoded.width, thumbnails.length];
+    for (let thumbnail of thumbnails.slice(0, 3)) {
+        output.push(thumbnail.source, thumbnail.format, thumbnail.width, thumbnail.height, Array.from(thumbnail.rgba));
+    }
+    output.push(thumbnails[3].source, thumbnails[3].format, thumbnails[3].width, thumbnails[3].height,
+        Math.abs(thumbnails[3].rgba[0] - 128) <= 1, thumbnails[3].data.length);
+    compareOutput("decode (thumbnails)", expected, output);
+}
+
+const XMP_TEST_PACKET = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:xap="http://ns.adobe.com/xap/1.0/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmpNote="http://ns.adobe.com/xmp/note/"
+    xap:Rating="4" xmpNote:HasExtendedXMP="0123456789ABCDEF0123456789ABCDEF">
+   <dc:creator><rdf:Seq><rdf:li>Ann Example</rdf:li></rdf:Seq></dc:creator>
+   <dc:subject><rdf:Bag><rdf:li>cats</rdf:li><rdf:li>dogs &amp; cats</rdf:li></rdf:Bag></dc:subject>
+   <dc:rights><rdf:Alt><rdf:li xml:lang="x-default">© 2020 Ann Example</rdf:li></rdf:Alt></dc:rights>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+const XMP_TEST_EXTENDED_PACKET = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:GImage="http://ns.google.com/photos/1.0/image/">
+ <GImage:Data><![CDATA[abc<def>]]></GImage:Data>
+</rdf:Description></rdf:RDF></x:xmpmeta>`;
+
+/**
+ * Returns the UTF-8 bytes of a string
+ * 
+ * @param {String} str 
+ */
+function encodeUTF8(str) {
+    // Percent-encoding gives the UTF-8 bytes of each character
+    return Uint8Array.from(encodeURIComponent(str).match(/%[0-9A-F]{2}|[^%]/g),
+        c => (c.length === 3 ? parseInt(c.slice(1), 16) : c.charCodeAt(0)));
+}
+
+function testParseXMP() {
+    let problems = [];
+    let report = message => problems.push(message);
+    let xmp = parseXMP(encodeUTF8(XMP_TEST_PACKET), null, report);
+    let props = xmp.properties;
+    let expected = ["4", ["Ann Example"], ["cats", "dogs & cats"], "© 2020 Ann Example", XMP_TEST_PACKET, null, ""];
+    let output = [props["xmp:Rating"], props["dc:creator"], props["dc:subject"], props["dc:rights"]["x-default"],
+        xmp.packet, xmp.extendedPacket, problems.join("/")];
+    compareOutput("parseXMP", expected, output);
+}
+
+function testDecodeXMP() {
+    // Main packet in one APP1 segment, then the extended packet split over 2, last chunk first
+    let chars = str => str.split("").map(c => c.charCodeAt(0));
+    let segment = bytes => [0xFF, 0xE1, (bytes.length + 2) >> 8, (bytes.length + 2) & 0xFF, ...bytes];
+    let extended = encodeUTF8(XMP_TEST_EXTENDED_PACKET);
+    let chunk = (offset, end) => segment([...chars("http://ns.adobe.com/xmp/extension/\0"),
+        ...chars("0123456789ABCDEF0123456789ABCDEF"), 0, 0, extended.length >> 8, extended.length & 0xFF, 0, 0, 0, offset,
+        ...extended.subarray(offset, end)]);
+    let jpeg = new Uint8Array(encode({ width: 8, height: 8, rgba: new Uint8ClampedArray(8 * 8 * 4) }));
+    let file = Uint8Array.from([...jpeg.subarray(0, 2),
+        ...segment([...chars("http://ns.adobe.com/xap/1.0/\0"), ...encodeUTF8(XMP_TEST_PACKET)]),
+        ...chunk(100, extended.length), ...chunk(0, 100), ...jpeg.subarray(2)]);
+
+    let xmp = decode(file.buffer).xmp;
+    let expected = ["4", "abc<def>", XMP_TEST_EXTENDED_PACKET];
+    let output = [xmp.properties["xmp:Rating"], xmp.properties["GImage:Data"], xmp.extendedPacket];
+    compareOutput("decode (XMP)", expected, output);
+}
+
+// IPTC records: UTF-8 (ESC % G), 2 keywords, a byline + a caption, then some padding
+function makeIPTCTestRecords() {
+    let dataset = (record, num, bytes) => [0x1C, record, num, bytes.length >> 8, bytes.length & 0xFF, ...bytes];
+    return [...dataset(1, 90, [0x1B, 0x25, 0x47]), ...dataset(2, 0, [0, 4]), ...dataset(2, 25, encodeUTF8("cats")),
+        ...dataset(2, 25, encodeUTF8("dogs")), ...dataset(2, 80, encodeUTF8("Ann Example")),
+        ...dataset(2, 120, encodeUTF8("Zoë's café")), 0, 0];
+}
+
+// Photoshop resource blocks: an unnamed one (0x0404) holding the IPTC records, and a named one with odd-sized data
+function makePhotoshopTestResources() {
+    let records = makeIPTCTestRecords();
+    let size = n => [(n >>> 24) & 0xFF, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+    return [0x38, 0x42, 0x49, 0x4D, 0x04, 0x04, 0, 0, ...size(records.length), ...records, ...(records.length % 2 ? [0] : []),
+        0x38, 0x42, 0x49, 0x4D, 0x03, 0xED, 2, 0x41, 0x42, 0, ...size(3), 1, 2, 3, 0];
+}
+
+function testParseIPTC() {
+    let problems = [];
+    let report = message => problems.push(message);
+    let iptc = parseIPTC(Uint8Array.from(makeIPTCTestRecords()), report);
+    let expected = [4, ["cats", "dogs"], ["Ann Example"], "Zoë's café"];
+    let output = [iptc.RecordVersion, iptc.Keywords, iptc.Byline, iptc.Caption];
+    // Without 1:90, text is ISO 8859-1
+    let latin1 = parseIPTC(Uint8Array.from([0x1C, 2, 120, 0, 3, 0x5A, 0x6F, 0xEB]), report);
+    expected.push("Zoë");
+    output.push(latin1.Caption);
+    // Dataset longer than the data that's left
+    let cut = parseIPTC(Uint8Array.from([0x1C, 2, 120, 0, 4, 0x5A, 0x6F, 0xEB]), report);
+    expected.push(undefined, "IPTC dataset 2:120 extends past the end of the data");
+    output.push(cut.Caption, problems.join("/"));
+    compareOutput("parseIPTC", expected, output);
+}
+
+function testParsePhotoshopResources() {
+    let problems = [];
+    let resources = parsePhotoshopResources(Uint8Array.from(makePhotoshopTestResources()), message => problems.push(message));
+    let expected = [2, 0x0404, "", makeIPTCTestRecords().length, 0x03ED, "AB", [1, 2, 3], ""];
+    let output = [resources.length, resources[0].id, resources[0].name, resources[0].data.length,
+        resources[1].id, resources[1].name, Array.from(resources[1].data), problems.join("/")];
+    compareOutput("parsePhotoshopResources", expected, output);
+}
+
+function testDecodeIPTC() {
+    let chars = str => str.split("").map(c => c.charCodeAt(0));
+    let bytes = [...chars("Photoshop 3.0\0"), ...makePhotoshopTestResources()];
+    let jpeg = new Uint8Array(encode({ width: 8, height: 8, rgba: new Uint8ClampedArray(8 * 8 * 4) }));
+    let file = Uint8Array.from([...jpeg.subarray(0, 2),
+        0xFF, 0xED, (bytes.length + 2) >> 8, (bytes.length + 2) & 0xFF, ...bytes, ...jpeg.subarray(2)]);
+
+    let output = decode(file.buffer);
+    let expected = [["cats", "dogs"], "Zoë's café", 2];
+    compareOutput("decode (IPTC)", expected, [output.iptc.Keywords, output.iptc.Caption, output.photoshop.length]);
+}
+
+function testIsUTF8() {
+    let expected = [true, true, false, false, false, false, false];
+    let output = [isUTF8(encodeUTF8("plain ASCII")), isUTF8(encodeUTF8("Zoë ✓")), isUTF8(Uint8Array.from([0x43, 0x61, 0x66, 0xE9])),
+        isUTF8(Uint8Array.from([0xE9, 0x21, 0x21])), isUTF8(Uint8Array.from([0xC3])),
+        isUTF8(Uint8Array.from([0xC0, 0xAF])), isUTF8(Uint8Array.from([0xED, 0xA0, 0x80]))];
+    compareOutput("isUTF8", expected, output);
+}
+
+function testDecodeUTF8() {
+    // Each invalid byte, or incomplete/invalid sequence, becomes one U+FFFD: a continuation byte on
+    // its own, overlong encodings of "/" (2 + 3 bytes), a surrogate, a code point past U+10FFFF, and "✓" cut short
+    let expected = ["Zoë ✓ 😀", "a�b", "��", "���", "���", "����", "�a"];
+    let output = [
+        decodeUTF8(encodeUTF8("Zoë ✓ 😀")),
+        decodeUTF8(Uint8Array.from([0x61, 0x80, 0x62])),
+        decodeUTF8(Uint8Array.from([0xC0, 0xAF])),
+        decodeUTF8(Uint8Array.from([0xE0, 0x80, 0xAF])),
+        decodeUTF8(Uint8Array.from([0xED, 0xA0, 0x80])),
+        decodeUTF8(Uint8Array.from([0xF4, 0x90, 0x80, 0x80])),
+        decodeUTF8(Uint8Array.from([0xE2, 0x9C, 0x61])),
+    ];
+    compareOutput("decodeUTF8", expected, output);
+}
+
+function testInspect() {
+    // A UTF-8 comment, then an ISO 8859-1 one with a NUL on the end, before the encoder's JFIF segment
+    let comment = bytes => [0xFF, 0xFE, (bytes.length + 2) >> 8, (bytes.length + 2) & 0xFF, ...bytes];
+    let utf8 = comment(encodeUTF8("Made with jsjpeg ✓"));
+    let latin1 = comment([0x43, 0x61, 0x66, 0xE9, 0]);
+    let jpeg = new Uint8Array(encode({ width: 16, height: 8, rgba: new Uint8ClampedArray(16 * 8 * 4) }, { subsampling: "4:2:0" }));
+    let file = Uint8Array.from([...jpeg.subarray(0, 2), ...utf8, ...latin1, ...jpeg.subarray(2)]);
+
+    let metadata = inspect(file.buffer);
+    let [com1, com2] = metadata.comments;
+    let app0 = metadata.appSegments[0];
+    let frame = metadata.frames[0];
+    let expected = ["Made with jsjpeg ✓", "UTF-8", 2, "Café", "ISO-8859-1", 2 + utf8.length,
+        "APP0", "JFIF", 2 + utf8.length + latin1.length, 16, "1.01",
+        ["0:8", "1:8"], ["DC:0:12", "DC:1:12", "AC:0:162", "AC:1:162"],
+        "SOF0", 8, 16, 8, [2, 2, 1, 1, 1, 1], 0];
+    let output = [com1.text, com1.charset, com1.offset, com2.text, com2.charset, com2.offset,
+        app0.marker, app0.identifier, app0.offset, app0.length, metadata.jfif.version,
+        metadata.quantTables.map(table => table.id + ":" + table.precision),
+        metadata.huffmanTables.map(table => table.class + ":" + table.id + ":" + table.numCodes),
+        frame.marker, frame.precision, frame.width, frame.height,
+        frame.components.flatMap(component => [component.hSampleFactor, component.vSampleFactor]), metadata.restartInterval];
+    // decode() returns the same metadata along with the image
+    let decoded = decode(file.buffer);
+    expected.push("Café", 4);
+    output.push(decoded.metadata.comments[1].text, decoded.metadata.huffmanTables.length);
+    compareOutput("inspect", expected, output);
+}
+
+function testInspectMarkers() {
+    // SOI, 2 junk bytes, a COM segment after a fill byte, DRI, a scan header + data with a stuffed byte
+    // and restart markers (RST1 is missing), then EOI
+    let file = Uint8Array.from([
+        0xFF, 0xD8,
+        0x12, 0x34,
+        0xFF, 0xFF, 0xFE, 0x00, 0x04, 0x68, 0x69,
+        0xFF, 0xDD, 0x00, 0x04, 0x00, 0x01,
+        0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00,
+        0x55, 0xFF, 0x00, 0xFF, 0xD0, 0x66, 0xFF, 0xD2, 0x77,
+        0xFF, 0xD9,
+    ]);
+    let structure = inspectMarkers(file.buffer);
+    let describe = segment => segment.offset + ":" + (segment.marker || segment.type) + ":" + segment.length;
+    let [, , com, dri, sos, data] = structure.segments;
+    let expected = [["0:SOI:2", "2:junk:2", "5:COM:6", "11:DRI:6", "17:SOS:10", "27:data:9", "36:EOI:2"],
+        1, "hi", 1, 1, 0, 0x3F, ["RST0", "RST2"], [30, 33], 2];
+    let output = [structure.segments.map(describe), com.fillBytes, com.contents.text, dri.contents.restartInterval,
+        sos.contents.components[0].componentSelector, sos.contents.ss, sos.contents.se,
+        data.restarts.map(restart => restart.marker), data.restarts.map(restart => restart.offset), structure.errors.length];
+
+    // A file that stops in the middle of a segment
+    let truncated = inspectMarkers(file.buffer.slice(0, 14));
+    expected.push(["0:SOI:2", "2:junk:2", "5:COM:6", "11:DRI:2"], true, 2);
+    output.push(truncated.segments.map(describe), truncated.segments[3].truncated, truncated.errors.length);
+    compareOutput("inspectMarkers", expected, output);
+}
+
+function testEncode() {
+    // Smooth gradients, which shouldn't lose much to quantization
+    const width = 24;
+    const height = 16;
+    let rgba = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0, i = 0; y < height; y++) {
+        for (let x = 0; x < width; x++, i += 4) {
+            rgba[i] = x * 10;
+            rgba[i + 1] = y * 15;
+            rgba[i + 2] = 255 - (x * 5) - (y * 5);
+            rgba[i + 3] = 255;
+        }
+    }
+    // Images should come back from the decoder with a PSNR of at least 30 dB (chroma subsampling costs the most)
+    let expected = [];
+    let output = [];
+    for (let subsampling of ["4:4:4", "4:2:2", "4:2:0"]) {
+        let decoded = decode(encode({ width: width, height: height, rgba: rgba }, { quality: 90, subsampling: subsampling }));
+        let sum = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let diff = decoded.rgba[(((y * decoded.width) + x) * 4) + c] - rgba[(((y * width) + x) * 4) + c];
+                    sum += diff * diff;
+                }
+            }
+        }
+        let psnr = 10 * Math.log10((255 * 255) / (sum / (width * height * 3)));
+        expected.push(true);
+        output.push(psnr >= 30);
+    }
+    compareOutput("encode", expected, output);
+}
 
 function testHasMoreBytes() {
     let errCnt = 0;
@@ -309,6 +1613,57 @@ function testHasMoreBytes() {
     }
 }
 
+function testStreamingReader() {
+    let errCnt = 0;
+    let testCnt = 0;
+    let reader = new DataViewReader(new DataView(new ArrayBuffer(0)), false);
+    let testName = "";
+    let throwsEndOfData = fn => {
+        try {
+            fn();
+        } catch (e) {
+            return (e instanceof EndOfDataError);
+        }
+        return false;
+    };
+
+    testName = "Wait for data that hasn't arrived";
+    testCnt++;
+    reader.append(new Uint8Array([0x12, 0x34]));
+    if (reader.nextByte() != 0x12 || !throwsEndOfData(() => reader.peekByte(2))
+            || !throwsEndOfData(() => reader.ensureAvailable(2))) {
+        console.error(`Test ${testCnt} (${testName}) failed`);
+        errCnt++;
+    }
+
+    testName = "Pick up where we left off";
+    testCnt++;
+    let state = reader.saveState();
+    reader.nextByte();
+    let threw = throwsEndOfData(() => reader.nextWord());
+    reader.restoreState(state);
+    reader.append(new Uint8Array([0x56, 0x78]));
+    if (!threw || reader.nextByte() != 0x34 || reader.nextWord() != 0x5678) {
+        console.error(`Test ${testCnt} (${testName}) failed`);
+        errCnt++;
+    }
+
+    testName = "End of the data";
+    testCnt++;
+    threw = throwsEndOfData(() => reader.hasMoreBytes());
+    reader.finish();
+    if (!threw || reader.hasMoreBytes() || reader.peekByte() !== undefined) {
+        console.error(`Test ${testCnt} (${testName}) failed`);
+        errCnt++;
+    }
+
+    if (errCnt) {
+        console.error(`DataViewReader ${errCnt}/${testCnt} tests failed`);
+    } else {
+        console.log(`DataViewReader ${testCnt}/${testCnt} tests passed`);
+    }
+}
+
 function testAlign() {
     let errCnt = 0;
     let testCnt = 0;
@@ -383,10 +1738,65 @@ function testNextBit() {
     }
 }
 
+function testDecodeCancelledError() {
+    let error = new DecodeCancelledError("Decoding was cancelled");
+    let expected = ["DecodeCancelledError", "DecodeCancelledError: Decoding was cancelled", true];
+    let output = [error.name, error.toString(), error instanceof Error];
+    compareOutput("DecodeCancelledError", expected, output);
+}
+
+function testDrawOutput() {
+    // Adobe RGB component IDs: the page's canvases are found by position, not by ID
+    let decoded = {
+        width: 2,
+        height: 1,
+        precision: 8,
+        components: [82, 71, 66].map((id, i) => ({
+            componentID: id,
+            width: i === 0 ? 2 : 1,
+            height: 1,
+            samples: [id, id],
+            scaledSamples: [id, id],
+        })),
+    };
+    let elements = [];
+    for (let i = 1; i <= 3; i++) {
+        for (let suffix of ["hsize", "vsize", "Canvas", "ScaledCanvas"]) {
+            elements.push(document.getElementById("component" + i + suffix));
+        }
+    }
+    let value = elem => elem instanceof HTMLCanvasElement ? elem.width + "x" + elem.height : elem.textContent;
+    let saved = elements.map(value);
+
+    let expected = ["2", "1", "2x1", "2x1", "1", "1", "1x1", "2x1", "1", "1", "1x1", "2x1"];
+    let output;
+    try {
+        decoded.components.forEach((component, i) => {
+            drawComponent(component, i, decoded.precision);
+            drawComponentFullSize(component, i, decoded);
+        });
+        output = elements.map(value);
+    } catch (e) {
+        output = [e.toString()];
+    } finally {
+        // Leave the page as it was
+        elements.forEach((elem, i) => {
+            if (elem instanceof HTMLCanvasElement) {
+                [elem.width, elem.height] = saved[i].split("x");
+            } else {
+                elem.textContent = saved[i];
+            }
+        });
+    }
+    compareOutput("drawComponent (component IDs 'R', 'G', 'B')", expected, output);
+}
+
 // Reader
 testHasMoreBytes();
+testStreamingReader();
 testAlign();
 testNextBit();
+testPeekMarker();
 
 // Huffman decoder
 let huffDecoder = new HuffTree();
@@ -400,16 +1810,85 @@ testDequantize();
 testReorder();
 testLevelShift();
 
+// Progressive
+testDecodeACFirst();
+testDecodeACRefine();
+testDecodeProgressive();
+
+// Arithmetic coding
+testArithmeticDecoder();
+testDecodeArithmetic();
+
+// Lossless
+testPredict();
+testDecodeLossless();
+
+// Hierarchical
+testUpsampleReference();
+testDecodeHierarchicalLossless();
+testDecodeHierarchicalDCT();
+
+// Decoding a whole file
+testDecode();
+testDecode12Bit();
+testDecodeDNL();
+
+// Encoder
+testEncode();
+testDecodeCropped();
+testDecodeProgress();
+testDecodeStream();
+testDecodeStreamSmallChunks();
+testDecodeTruncated();
+testDecodeCorrupt();
+testDecodeStrict();
+
+// EXIF
+testParseExif();
+testOrientBuffer();
+testDecodeOrientation();
+
+// XMP
+testParseXMP();
+testDecodeXMP();
+
+// IPTC
+testParseIPTC();
+testParsePhotoshopResources();
+testDecodeIPTC();
+
+// Comments + inspect()
+testIsUTF8();
+testDecodeUTF8();
+testInspect();
+
+// Marker inspector
+testInspectMarkers();
+
+// ICC profiles
+testAssembleICCProfile();
+testParseICCProfile();
+testSRGBTransform();
+testDecodeICC();
+
+// Thumbnails
+testDecodeThumbnails();
+
 // IDCT
-idctFn = idct;
 testIDCT(idct);
-idctFn = idctCached;
-testIDCT(idctFn);
-idctFn = idctChenWang;
-testIDCT(idctFn);
+testIDCT(idctCached);
+testIDCT(idctChenWang);
 
 // Colorspace conversion
-colorspaceFn = YCbCrToRGB;
-testYCbCrToRGB(colorspaceFn);
-colorspaceFn = YCbCrToRGBInt;
-testYCbCrToRGB(colorspaceFn);
+testYCbCrToRGB(YCbCrToRGB);
+testYCbCrToRGB(YCbCrToRGBInt);
+testCMYKToRGB();
+testCombineCMYK();
+testFrameColorSpace();
+testCombineRGB();
+
+// Worker
+testDecodeCancelledError();
+
+// Display
+testDrawOutput();
@@ -0,0 +1,77 @@
+/**
+ * Web Worker that decodes JPEG files off the main thread. Use it through WorkerDecoder
+ * (workerdecoder.js) rather than talking to it directly.
+ * 
+ * Messages from the page:
+ *      { type: "decode", id, data, options, sendOutputs }
+ *                          Decode data (an ArrayBuffer) with the given options (see DEFAULT_OPTIONS, less
+ *                          the callbacks). If sendOutputs is set, each output is sent as it's made.
+ * 
+ * Messages to the page, each with the id of the decode they're about:
+ *      { type: "progress", id, progress }      See onProgress in DEFAULT_OPTIONS
+ *      { type: "output", id, output }          See onOutput in DEFAULT_OPTIONS (sendOutputs only)
+ *      { type: "done", id, output }            The decoded image (see JpegDecoder.decode()). Its buffers
+ *                                              are transferred, not copied.
+ *      { type: "error", id, name, message, offset, marker }
+ *                                              The decode failed. name is the class of the error; offset and
+ *                                              marker are set for JpegErrors (strict decoding only)
+ */
+importScripts(
+    "reader.js",
+    "hufftree.js",
+    "huffarray.js",
+    "huffdecoder.js",
+    "arithdecoder.js",
+    "idct.js",
+    "exif.js",
+    "xmp.js",
+    "iptc.js",
+    "icc.js",
+    "jsjpeg.js"
+);
+
+self.onmessage = function (evt) {
+    let message = evt.data;
+    if (message.type !== "decode") {
+        console.warn("Warning: unknown message type " + message.type);
+        return;
+    }
+    let id = message.id;
+    let options = Object.assign({}, message.options, {
+        onProgress: progress => self.postMessage({ type: "progress", id: id, progress: progress }),
+        // Each output is copied, since the decoder may still be using its buffers (e.g. the frames
+        // of a hierarchical image); only the final output can be transferred
+        onOutput: (message.sendOutputs ? output => self.postMessage({ type: "output", id: id, output: output }) : null),
+    });
+    try {
+        let output = new JpegDecoder(options).decode(message.data);
+        self.postMessage({ type: "done", id: id, output: output }, transferableBuffers(output));
+    } catch (e) {
+        // Errors can't be sent as they are, so the page rebuilds them (see WorkerDecoder.handleMessage())
+        self.postMessage({ type: "error", id: id, name: e.name, message: e.message,
+            offset: (e instanceof JpegError ? e.offset : null), marker: (e instanceof JpegError ? e.marker : null) });
+    }
+};
+
+/**
+ * Returns the buffers of all the typed arrays in the decoded image (pixels, samples, metadata),
+ * each one once, so they can be transferred to the page
+ * 
+ * @param {*} output Decoded image
+ */
+function transferableBuffers(output) {
+    let buffers = new Set();
+    let visited = new Set();
+    let visit = value => {
+        if (ArrayBuffer.isView(value)) {
+            buffers.add(value.buffer);
+        } else if (value !== null && typeof value === "object" && !visited.has(value)) {
+            visited.add(value);
+            for (let key of Object.keys(value)) {
+                visit(value[key]);
+            }
+        }
+    };
+    visit(output);
+    return Array.from(buffers);
+}
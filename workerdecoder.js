@@ -0,0 +1,145 @@
+/**
+ * Decodes JPEG files in a Web Worker (worker.js), so decoding a big image doesn't freeze the page.
+ * Progress is reported while the image is decoded, and decodes can be cancelled.
+ */
+
+/**
+ * Error a decode is rejected with when it's cancelled
+ */
+class DecodeCancelledError extends Error {
+
+    /**
+     * @param {String} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = "DecodeCancelledError";
+    }
+}
+
+/**
+ * Runs a JpegDecoder in a Web Worker. Each call to decode() returns a Promise of the decoded image
+ * (see JpegDecoder.decode()), whose buffers are transferred from the worker rather than copied.
+ * The data passed to decode() is copied to the worker, so it can still be used afterwards.
+ * 
+ * Some browsers don't let pages loaded from file:// start workers, in which case the constructor
+ * throws; decode() can be used on the main thread instead.
+ */
+class WorkerDecoder {
+
+    /**
+     * @param {*} options Decoder options, see DEFAULT_OPTIONS. The onProgress + onOutput callbacks
+     *                    are called on this thread, as messages arrive from the worker.
+     * @param {String} workerURL URL of worker.js
+     */
+    constructor(options = {}, workerURL = "worker.js") {
+        this.onProgress = options.onProgress || null;
+        this.onOutput = options.onOutput || null;
+        // Functions can't be sent to the worker
+        this.options = Object.assign({}, options);
+        delete this.options.onProgress;
+        delete this.options.onOutput;
+        this.workerURL = workerURL;
+        this.pending = new Map();   // Decodes that haven't finished, by id: { resolve, reject }
+        this.nextID = 0;
+        this.worker = null;
+        this.startWorker();
+    }
+
+    /**
+     * Start the worker
+     */
+    startWorker() {
+        this.worker = new Worker(this.workerURL);
+        this.worker.onmessage = evt => this.handleMessage(evt.data);
+        this.worker.onerror = evt => {
+            // Only errors the worker doesn't catch itself end up here, e.g. if the scripts can't be loaded
+            evt.preventDefault();
+            this.rejectAll(new Error("Decoder worker failed: " + evt.message));
+        };
+    }
+
+    /**
+     * Decode a JPEG file in the worker. Returns a Promise of the decoded image (null if the file doesn't
+     * contain an image), which is rejected if decoding fails or is cancelled.
+     * 
+     * @param {ArrayBuffer} data Contents of the JPEG file
+     */
+    decode(data) {
+        if (this.worker === null) {
+            this.startWorker();
+        }
+        let id = this.nextID++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve: resolve, reject: reject });
+            this.worker.postMessage({ type: "decode", id: id, data: data, options: this.options,
+                sendOutputs: (this.onOutput !== null) });
+        });
+    }
+
+    /**
+     * Cancel all the decodes that haven't finished; their Promises are rejected with a
+     * DecodeCancelledError. The worker is busy decoding, so it can't be asked to stop: it's
+     * terminated instead, and a new one is started for the next decode.
+     */
+    cancel() {
+        if (this.worker !== null) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(new DecodeCancelledError("Decoding was cancelled"));
+    }
+
+    /**
+     * Reject all the decodes that haven't finished
+     * 
+     * @param {Error} error
+     */
+    rejectAll(error) {
+        for (let request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Handle a message from the worker (see worker.js)
+     * 
+     * @param {*} message
+     */
+    handleMessage(message) {
+        let request = this.pending.get(message.id);
+        if (request === undefined) {
+            return;     // Cancelled
+        }
+        if (message.type === "progress") {
+            if (this.onProgress !== null) {
+                this.onProgress(message.progress);
+            }
+        } else if (message.type === "output") {
+            if (this.onOutput !== null) {
+                this.onOutput(message.output);
+            }
+        } else if (message.type === "done") {
+            this.pending.delete(message.id);
+            request.resolve(message.output);
+        } else if (message.type === "error") {
+            this.pending.delete(message.id);
+            request.reject(workerError(message));
+        }
+    }
+}
+
+/**
+ * Rebuild an error sent by the worker. JpegErrors (from strict decoding) keep their class, offset
+ * + marker, so they can be handled the same way as on the main thread.
+ * 
+ * @param {*} message Error message from the worker: { name, message, offset, marker }
+ */
+function workerError(message) {
+    let ErrorType = jpegErrorType(message.name);
+    if (ErrorType === undefined) {
+        return new Error(message.message);
+    }
+    return new ErrorType(message.message, message.offset, message.marker);
+}
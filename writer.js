@@ -0,0 +1,103 @@
+class DataViewWriter {
+
+    /**
+     * Creates a new, empty DataViewWriter. The buffer grows as data is written.
+     * 
+     * @param {Number} size Initial size of the buffer in bytes
+     */
+    constructor(size = 4096) {
+        this.view = new DataView(new ArrayBuffer(size));
+        this.index = 0;     // Index of the next byte to write
+        this.byte = 0;      // Current byte; used for writing individual bits
+        this.cnt = 0;       // # of bits in the current byte
+    }
+
+    /**
+     * Make sure there's room for length more bytes, growing the buffer if there isn't
+     * 
+     * @param {Number} length
+     */
+    ensureSpace(length) {
+        if (this.index + length <= this.view.byteLength) {
+            return;
+        }
+        let size = Math.max(this.view.byteLength * 2, this.index + length);
+        let buffer = new ArrayBuffer(size);
+        new Uint8Array(buffer).set(new Uint8Array(this.view.buffer, 0, this.index));
+        this.view = new DataView(buffer);
+    }
+
+    /**
+     * Write a byte. Uses setUint8() internally.
+     * 
+     * @param {Number} byte
+     */
+    writeByte(byte) {
+        this.ensureSpace(1);
+        this.view.setUint8(this.index++, byte);
+    }
+
+    /**
+     * Write 2 bytes (big-endian). Uses setUint16() internally.
+     * 
+     * @param {Number} word
+     */
+    writeWord(word) {
+        this.ensureSpace(2);
+        this.view.setUint16(this.index, word);
+        this.index += 2;
+    }
+
+    /**
+     * Write a list of bytes
+     * 
+     * @param {*} bytes
+     */
+    writeBytes(bytes) {
+        for (let byte of bytes) {
+            this.writeByte(byte);
+        }
+    }
+
+    /**
+     * Write the low length bits of value to the entropy-coded data, high bit first. A 0 byte
+     * is stuffed after each 0xFF so it isn't mistaken for a marker.
+     * 
+     * F.1.2.3
+     * 
+     * @param {Number} value
+     * @param {Number} length # of bits to write (0-16)
+     */
+    writeBits(value, length) {
+        for (let i = length - 1; i >= 0; i--) {
+            this.byte = (this.byte << 1) | ((value >> i) & 1);
+            this.cnt++;
+            if (this.cnt === 8) {
+                this.writeByte(this.byte);
+                if (this.byte === 0xFF) {
+                    this.writeByte(0);
+                }
+                this.byte = 0;
+                this.cnt = 0;
+            }
+        }
+    }
+
+    /**
+     * Pad the entropy-coded data out to a byte boundary with 1 bits
+     * 
+     * F.1.2.3
+     */
+    align() {
+        if (this.cnt > 0) {
+            this.writeBits(0x7F, 8 - this.cnt);
+        }
+    }
+
+    /**
+     * Return the bytes written so far
+     */
+    toArrayBuffer() {
+        return this.view.buffer.slice(0, this.index);
+    }
+}
@@ -0,0 +1,405 @@
+/**
+ * XMP metadata. The main XMP packet is an XML document in an APP1 segment; if it's too big for
+ * one segment, some of it is moved to an "extended" packet, which is split into chunks over as
+ * many more APP1 segments as it takes. The chunks are identified by a GUID (the MD5 of the extended
+ * packet) that the main packet gives in its xmpNote:HasExtendedXMP property.
+ * 
+ * The packets are RDF/XML, so we include a small XML parser (no DTDs, no validation) rather than
+ * relying on DOMParser, which isn't available outside of browsers.
+ * 
+ * References: XMP Specification Part 1 (2012) section 7 (RDF), Part 3 (2016) section 1.1.3 (JPEG)
+ */
+
+/**
+ * Namespace of the RDF syntax
+ */
+const RDF_NAMESPACE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+
+/**
+ * Namespace of the XML attributes, e.g. xml:lang
+ */
+const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace";
+
+/**
+ * Usual prefixes of the common XMP namespaces. Properties in these namespaces are named with
+ * these prefixes, whatever prefix the packet uses.
+ */
+const XMP_PREFIXES = new Map([
+    ["http://purl.org/dc/elements/1.1/", "dc"],
+    ["http://ns.adobe.com/xap/1.0/", "xmp"],
+    ["http://ns.adobe.com/xap/1.0/rights/", "xmpRights"],
+    ["http://ns.adobe.com/xap/1.0/mm/", "xmpMM"],
+    ["http://ns.adobe.com/xap/1.0/sType/ResourceEvent#", "stEvt"],
+    ["http://ns.adobe.com/xap/1.0/sType/ResourceRef#", "stRef"],
+    ["http://ns.adobe.com/xmp/note/", "xmpNote"],
+    ["http://ns.adobe.com/photoshop/1.0/", "photoshop"],
+    ["http://ns.adobe.com/tiff/1.0/", "tiff"],
+    ["http://ns.adobe.com/exif/1.0/", "exif"],
+    ["http://ns.adobe.com/exif/1.0/aux/", "aux"],
+    ["http://cipa.jp/exif/1.0/", "exifEX"],
+    ["http://ns.adobe.com/camera-raw-settings/1.0/", "crs"],
+    ["http://ns.adobe.com/lightroom/1.0/", "lr"],
+    ["http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/", "Iptc4xmpCore"],
+    ["http://iptc.org/std/Iptc4xmpExt/2008-02-29/", "Iptc4xmpExt"],
+    ["http://ns.google.com/photos/1.0/camera/", "GCamera"],
+]);
+
+/**
+ * Parse XMP metadata. Returns:
+ *      packet              XML text of the main packet
+ *      extendedPacket      XML text of the extended packet, or null if there isn't one
+ *      properties          The properties of both packets, by name ("prefix:property", e.g. "dc:creator").
+ *                          Simple values are Strings; arrays (rdf:Bag + rdf:Seq) are Arrays; alternatives
+ *                          (rdf:Alt, e.g. dc:rights) map each language (xml:lang) to a value; structures
+ *                          are objects of their fields.
+ * 
+ * @param {Uint8Array} packet The main packet (UTF-8)
+ * @param {Uint8Array} extendedPacket The extended packet (UTF-8), or null
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function parseXMP(packet, extendedPacket, report) {
+    let xmp = {
+        packet: decodeUTF8(packet),
+        extendedPacket: (extendedPacket ? decodeUTF8(extendedPacket) : null),
+        properties: {},
+    };
+    for (let text of [xmp.packet, xmp.extendedPacket]) {
+        if (text === null) {
+            continue;
+        }
+        try {
+            Object.assign(xmp.properties, rdfProperties(parseXML(text)));
+        } catch (e) {
+            report("couldn't parse XMP packet: " + e.message);
+        }
+    }
+    return xmp;
+}
+
+/**
+ * Put the chunks of an extended XMP packet back together. Returns null if any of it is missing.
+ * 
+ * XMP Specification Part 3, 1.1.3.1
+ * 
+ * @param {Array} chunks Chunks of the packet, in any order: { guid, length, offset, data }
+ * @param {String} guid GUID of the packet, from the main packet's xmpNote:HasExtendedXMP
+ * @param {Function} report Called with a message for each problem with the data
+ */
+function assembleExtendedXMP(chunks, guid, report) {
+    chunks = chunks.filter(chunk => chunk.guid === guid);
+    if (chunks.length === 0) {
+        report("extended XMP packet " + guid + " is missing");
+        return null;
+    }
+    let packet = new Uint8Array(chunks[0].length);
+    let covered = 0;
+    for (let chunk of chunks) {
+        if (chunk.length !== packet.length || chunk.offset + chunk.data.length > packet.length) {
+            report("bad extended XMP chunk at offset " + chunk.offset);
+            return null;
+        }
+        packet.set(chunk.data, chunk.offset);
+        covered += chunk.data.length;
+    }
+    if (covered < packet.length) {
+        report("extended XMP packet is missing " + (packet.length - covered) + " bytes");
+        return null;
+    }
+    return packet;
+}
+
+/**
+ * Decode UTF-8 text. Each byte that can't start a character, and each incomplete or invalid
+ * sequence, is replaced with U+FFFD (as TextDecoder does).
+ * 
+ * @param {Uint8Array} bytes
+ */
+function decodeUTF8(bytes) {
+    let str = "";
+    for (let i = 0; i < bytes.length; ) {
+        let byte = bytes[i++];
+        let numContinuation = utf8Continuations(byte);
+        if (numContinuation < 0) {
+            str += "�";
+            continue;
+        }
+        let codePoint = (numContinuation === 0 ? byte : byte & (0x3F >> numContinuation));
+        let [lower, upper] = utf8SecondByteRange(byte);
+        let j = 0;
+        for (; j < numContinuation && i < bytes.length && bytes[i] >= lower && bytes[i] <= upper; j++) {
+            codePoint = (codePoint << 6) | (bytes[i++] & 0x3F);
+            [lower, upper] = [0x80, 0xBF];
+        }
+        // A byte that doesn't continue the sequence is left to start the next one
+        str += (j === numContinuation ? String.fromCodePoint(codePoint) : "�");
+    }
+    return str;
+}
+
+/**
+ * Returns true if the bytes are valid UTF-8 (which includes plain ASCII)
+ * 
+ * @param {Uint8Array} bytes
+ */
+function isUTF8(bytes) {
+    for (let i = 0; i < bytes.length; ) {
+        let byte = bytes[i++];
+        let numContinuation = utf8Continuations(byte);
+        if (numContinuation < 0 || i + numContinuation > bytes.length) {
+            return false;
+        }
+        let [lower, upper] = utf8SecondByteRange(byte);
+        for (let j = 0; j < numContinuation; j++) {
+            if (bytes[i] < lower || bytes[i] > upper) {
+                return false;
+            }
+            i++;
+            [lower, upper] = [0x80, 0xBF];
+        }
+    }
+    return true;
+}
+
+/**
+ * Returns the # of continuation bytes after the first byte of a UTF-8 sequence, or -1 if the byte
+ * can't start one (a continuation byte, or a lead byte only used by overlong or out of range sequences)
+ * 
+ * RFC 3629 section 4
+ * 
+ * @param {Number} byte
+ */
+function utf8Continuations(byte) {
+    return (byte < 0x80 ? 0 : byte >= 0xF5 ? -1 : byte >= 0xF0 ? 3 : byte >= 0xE0 ? 2 : byte >= 0xC2 ? 1 : -1);
+}
+
+/**
+ * Returns the range of the second byte of a UTF-8 sequence, given the first: 0x80-0xBF, except
+ * where that would allow an overlong encoding, a surrogate (U+D800-DFFF) or a code point past U+10FFFF
+ * 
+ * RFC 3629 section 4
+ * 
+ * @param {Number} byte First byte of the sequence
+ */
+function utf8SecondByteRange(byte) {
+    return [(byte === 0xE0 ? 0xA0 : byte === 0xF0 ? 0x90 : 0x80), (byte === 0xED ? 0x9F : byte === 0xF4 ? 0x8F : 0xBF)];
+}
+
+/**
+ * Parse an XML document into a tree of elements: { name, namespace, localName, attributes, children, text }.
+ * Namespace prefixes are resolved; attributes are a list of { name, namespace, localName, value }.
+ * Returns the document's root element. Throws an Error if the XML isn't well formed.
+ * 
+ * @param {String} text
+ */
+function parseXML(text) {
+    let document = { name: "#document", namespace: null, localName: "#document", attributes: [], children: [], text: "",
+        namespaces: new Map([["xml", XML_NAMESPACE]]) };
+    let stack = [document];
+    const tagPattern = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    let pos = 0;
+    while (pos < text.length) {
+        let parent = stack[stack.length - 1];
+        let start = text.indexOf("<", pos);
+        if (start < 0) {
+            start = text.length;
+        }
+        parent.text += decodeXMLEntities(text.slice(pos, start));
+        if (start === text.length) {
+            break;
+        }
+
+        if (text.startsWith("<!--", start)) {
+            pos = skipPast(text, "-->", start);
+        } else if (text.startsWith("<![CDATA[", start)) {
+            pos = skipPast(text, "]]>", start);
+            parent.text += text.slice(start + 9, pos - 3);
+        } else if (text.startsWith("<?", start)) {
+            pos = skipPast(text, "?>", start);      // Processing instruction, e.g. <?xpacket ... ?>
+        } else if (text.startsWith("<!", start)) {
+            pos = skipPast(text, ">", start);       // DOCTYPE
+        } else if (text.startsWith("</", start)) {
+            pos = skipPast(text, ">", start);
+            let name = text.slice(start + 2, pos - 1).trim();
+            if (name !== parent.name) {
+                throw new Error("</" + name + "> doesn't match <" + parent.name + ">");
+            }
+            stack.pop();
+        } else {
+            tagPattern.lastIndex = start;
+            let match = tagPattern.exec(text);
+            if (match === null) {
+                throw new Error("bad tag at " + start);
+            }
+            pos = tagPattern.lastIndex;
+
+            // Namespace declarations apply to the element they're declared on, and everything inside it
+            let element = { name: match[1], attributes: [], children: [], text: "", namespaces: new Map(parent.namespaces) };
+            let attributes = [];
+            for (let attr of match[2].matchAll(attributePattern)) {
+                let name = attr[1];
+                let value = decodeXMLEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+                if (name === "xmlns") {
+                    element.namespaces.set("", value);
+                } else if (name.startsWith("xmlns:")) {
+                    element.namespaces.set(name.slice(6), value);
+                } else {
+                    attributes.push([name, value]);
+                }
+            }
+            Object.assign(element, resolveXMLName(element.name, element.namespaces, true));
+            for (let [name, value] of attributes) {
+                element.attributes.push(Object.assign({ name: name, value: value }, resolveXMLName(name, element.namespaces, false)));
+            }
+            parent.children.push(element);
+            if (match[3] !== "/") {
+                stack.push(element);
+            }
+        }
+    }
+    if (stack.length > 1) {
+        throw new Error("<" + stack[stack.length - 1].name + "> isn't closed");
+    }
+    return document;
+}
+
+/**
+ * Returns the index after the next occurrence of a string. Throws an Error if there isn't one.
+ * 
+ * @param {String} text
+ * @param {String} str String to look for
+ * @param {Number} start Index to start looking from
+ */
+function skipPast(text, str, start) {
+    let index = text.indexOf(str, start);
+    if (index < 0) {
+        throw new Error("missing " + str + " after " + start);
+    }
+    return index + str.length;
+}
+
+/**
+ * Resolve the prefix of an element or attribute name. Returns { namespace, localName }.
+ * Unprefixed attributes don't have a namespace, unlike unprefixed elements.
+ * 
+ * @param {String} name Qualified name, e.g. "dc:creator"
+ * @param {Map} namespaces Namespaces in scope, by prefix
+ * @param {Boolean} isElement True for an element name, false for an attribute name
+ */
+function resolveXMLName(name, namespaces, isElement) {
+    let colon = name.indexOf(":");
+    let prefix = (colon < 0 ? "" : name.slice(0, colon));
+    let namespace = (colon < 0 && !isElement ? null : namespaces.get(prefix));
+    return { namespace: (namespace === undefined ? null : namespace), localName: name.slice(colon + 1) };
+}
+
+/**
+ * Replace the entity + character references in XML text
+ * 
+ * @param {String} text
+ */
+function decodeXMLEntities(text) {
+    const entities = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (ref, name) => {
+        if (name.startsWith("#x")) {
+            return String.fromCodePoint(parseInt(name.slice(2), 16));
+        } else if (name.startsWith("#")) {
+            return String.fromCodePoint(parseInt(name.slice(1), 10));
+        }
+        return (entities[name] !== undefined ? entities[name] : ref);
+    });
+}
+
+/**
+ * Collect the properties of every rdf:Description in the rdf:RDF elements of a document
+ * 
+ * XMP Specification Part 1, 7.3
+ * 
+ * @param {*} element Element to look for rdf:RDF in, e.g. the document (from parseXML())
+ */
+function rdfProperties(element) {
+    let properties = {};
+    for (let child of element.children) {
+        if (child.namespace === RDF_NAMESPACE && child.localName === "RDF") {
+            for (let description of child.children) {
+                if (description.namespace === RDF_NAMESPACE && description.localName === "Description") {
+                    Object.assign(properties, rdfDescription(description));
+                }
+            }
+        } else {
+            Object.assign(properties, rdfProperties(child));     // e.g. inside x:xmpmeta
+        }
+    }
+    return properties;
+}
+
+/**
+ * Returns the properties of a resource: its attributes (other than RDF + XML ones) and child elements
+ * 
+ * @param {*} element rdf:Description, or a property element whose value is a structure
+ */
+function rdfDescription(element) {
+    let properties = {};
+    for (let attr of element.attributes) {
+        if (attr.namespace !== RDF_NAMESPACE && attr.namespace !== XML_NAMESPACE && attr.namespace !== null) {
+            properties[xmpPropertyName(attr)] = attr.value;
+        }
+    }
+    for (let child of element.children) {
+        properties[xmpPropertyName(child)] = rdfValue(child);
+    }
+    return properties;
+}
+
+/**
+ * Returns the value of a property element
+ * 
+ * XMP Specification Part 1, 7.4-7.7
+ * 
+ * @param {*} element Property element
+ */
+function rdfValue(element) {
+    let rdfAttribute = name => element.attributes.find(attr => attr.namespace === RDF_NAMESPACE && attr.localName === name);
+    let resource = rdfAttribute("resource");
+    let parseType = rdfAttribute("parseType");
+    if (resource) {
+        return resource.value;      // URI
+    } else if (parseType && parseType.value === "Resource") {
+        return rdfDescription(element);
+    }
+
+    let child = element.children[0];
+    if (child === undefined) {
+        // A simple value, or a structure given as attributes
+        let hasFields = element.attributes.some(attr => attr.namespace !== RDF_NAMESPACE && attr.namespace !== XML_NAMESPACE);
+        return (hasFields ? rdfDescription(element) : element.text);
+    } else if (child.namespace === RDF_NAMESPACE && (child.localName === "Bag" || child.localName === "Seq")) {
+        return child.children.map(item => rdfValue(item));
+    } else if (child.namespace === RDF_NAMESPACE && child.localName === "Alt") {
+        let alternatives = {};
+        for (let item of child.children) {
+            let lang = item.attributes.find(attr => attr.namespace === XML_NAMESPACE && attr.localName === "lang");
+            alternatives[lang ? lang.value : "x-default"] = rdfValue(item);
+        }
+        return alternatives;
+    } else if (child.namespace === RDF_NAMESPACE && child.localName === "Description") {
+        return rdfDescription(child);
+    }
+    return rdfDescription(element);
+}
+
+/**
+ * Returns the name of a property, as prefix:property. The usual prefix is used for common namespaces
+ * (see XMP_PREFIXES), otherwise the prefix the packet uses.
+ * 
+ * @param {*} node Element or attribute
+ */
+function xmpPropertyName(node) {
+    let prefix = XMP_PREFIXES.get(node.namespace);
+    if (prefix === undefined) {
+        let colon = node.name.indexOf(":");
+        prefix = (colon < 0 ? node.namespace : node.name.slice(0, colon));
+    }
+    return prefix + ":" + node.localName;
+}